@@ -0,0 +1,234 @@
+#!/usr/bin/env node
+/**
+ * Command line precompiler - turns template files into ES modules
+ *
+ *   jframe compile "src/**\/*.jframe.html" --out dist/
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { Jframe, JframeError } from '../index.js';
+
+const USAGE = `Usage: jframe compile <files or globs...> --out <dir> [options]
+
+Options:
+  --out <dir>           Directory for the generated modules (required)
+  --runtime <module>    Import specifier of the runtime (default: templating-engine/runtime);
+                        extensions are imported from <module>/components and so on
+  --helpers <file>      Module whose named exports are helpers used by the templates
+  --filters <file>      Module whose named exports are custom filters used by the templates
+  --partials <glob>     Layouts the templates extend, named by their path below the glob's
+                        base directory without the extension (layouts/base.jframe.html -> base)
+  --help                Show this message`;
+
+// Template extensions replaced by .js in output file names
+const TEMPLATE_EXTENSION = /(\.jframe)?\.html?$/;
+
+/**
+ * Parses command line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} { command, patterns, options }
+ */
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  const patterns = [];
+  const options = {};
+
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+
+    if (arg === '--help') {
+      options.help = true;
+    } else if (arg.startsWith('--')) {
+      const [flag, inline] = arg.slice(2).split('=');
+      const value = inline !== undefined ? inline : rest[++i];
+      if (value === undefined) {
+        throw new Error(`Missing value for --${flag}`);
+      }
+      options[flag] = value;
+    } else {
+      patterns.push(arg);
+    }
+  }
+
+  return { command, patterns, options };
+}
+
+/**
+ * Converts a glob pattern (*, ** and ?) to a regular expression
+ * @param {string} pattern - Glob relative to its base directory
+ * @returns {RegExp} Matcher for forward-slash relative paths
+ */
+function globToRegExp(pattern) {
+  let source = '';
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '*' && pattern[i + 1] === '*') {
+      // "**/" matches zero or more directories
+      if (pattern[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Lists files below a directory, as forward-slash paths relative to it
+ * @param {string} dir - Directory to walk
+ * @returns {string[]} Relative file paths
+ */
+function walk(dir, prefix = '') {
+  const files = [];
+
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (entry.name === 'node_modules' || entry.name.startsWith('.')) continue;
+
+    const relative = prefix + entry.name;
+    if (entry.isDirectory()) {
+      files.push(...walk(path.join(dir, entry.name), relative + '/'));
+    } else if (entry.isFile()) {
+      files.push(relative);
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Expands a file path or glob into { file, relative } pairs, where
+ * `relative` is the path below the pattern's base directory
+ * @param {string} pattern - File path or glob
+ * @returns {Object[]} Matched files
+ */
+function expandPattern(pattern) {
+  const segments = pattern.split(/[\\/]/);
+  const firstGlob = segments.findIndex(segment => /[*?]/.test(segment));
+
+  if (firstGlob === -1) {
+    if (!fs.existsSync(pattern)) {
+      throw new Error(`No such file: ${pattern}`);
+    }
+    return [{ file: pattern, relative: path.basename(pattern) }];
+  }
+
+  const base = segments.slice(0, firstGlob).join('/') || '.';
+  const matcher = globToRegExp(segments.slice(firstGlob).join('/'));
+
+  if (!fs.existsSync(base)) {
+    return [];
+  }
+
+  return walk(base)
+    .filter(relative => matcher.test(relative))
+    .map(relative => ({ file: path.join(base, relative), relative }));
+}
+
+/**
+ * Registers every function exported by a module
+ * @param {string} file - Module path
+ * @param {Function} register - (name, fn) registration callback
+ */
+async function registerExports(file, register) {
+  const exports = await import(pathToFileURL(path.resolve(file)).href);
+
+  Object.entries(exports).forEach(([name, fn]) => {
+    if (name !== 'default' && typeof fn === 'function') register(name, fn);
+  });
+}
+
+/**
+ * Registers the matched template files as partials, so templates can
+ * extend them as layouts
+ * @param {string} pattern - File path or glob
+ * @param {Jframe} engine - Engine compiling the templates
+ */
+function registerPartials(pattern, engine) {
+  for (const { file, relative } of expandPattern(pattern)) {
+    engine.registerPartial(relative.replace(TEMPLATE_EXTENSION, ''), fs.readFileSync(file, 'utf8'));
+  }
+}
+
+/**
+ * Precompiles the matched templates into the output directory
+ * @returns {number} Process exit code
+ */
+async function compileCommand(patterns, options) {
+  if (patterns.length === 0 || !options.out) {
+    console.error(USAGE);
+    return 1;
+  }
+
+  // Helpers and filters must be known at compile time so names resolve the same way
+  const engine = new Jframe();
+  if (options.helpers) await registerExports(options.helpers, (name, fn) => engine.registerHelper(name, fn));
+  if (options.filters) await registerExports(options.filters, (name, fn) => engine.registerFilter(name, fn));
+
+  // Layouts are merged into the templates extending them at compile time
+  if (options.partials) registerPartials(options.partials, engine);
+
+  const files = patterns.flatMap(expandPattern);
+  if (files.length === 0) {
+    console.error(`No templates matched ${patterns.join(', ')}`);
+    return 1;
+  }
+
+  let failures = 0;
+
+  for (const { file, relative } of files) {
+    const name = path.relative(process.cwd(), file).split(path.sep).join('/');
+    const outFile = path.join(options.out, relative.replace(TEMPLATE_EXTENSION, '') + '.js');
+
+    try {
+      const template = fs.readFileSync(file, 'utf8');
+      const code = engine.compileToModule(template, { name, runtime: options.runtime });
+
+      fs.mkdirSync(path.dirname(outFile), { recursive: true });
+      fs.writeFileSync(outFile, code);
+      console.log(`${name} -> ${outFile}`);
+    } catch (error) {
+      failures++;
+      console.error(error instanceof JframeError ? error.toString() : `${name}: ${error.message}`);
+    }
+  }
+
+  return failures > 0 ? 1 : 0;
+}
+
+async function main(argv) {
+  const { command, patterns, options } = parseArgs(argv);
+
+  if (!command || command === '--help' || options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  if (command !== 'compile') {
+    console.error(`Unknown command "${command}"\n\n${USAGE}`);
+    return 1;
+  }
+
+  return compileCommand(patterns, options);
+}
+
+main(process.argv.slice(2)).then(
+  code => { process.exitCode = code; },
+  error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  }
+);
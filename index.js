@@ -6,82 +6,470 @@
 import { Tokenizer } from './src/tokenizer.js';
 import { Parser } from './src/parser.js';
 import { Compiler } from './src/compiler.js';
+import { Interpreter } from './src/interpreter.js';
 import { Renderer } from './src/renderer.js';
 import { BindingManager } from './src/binding.js';
+import { LRUCache } from './src/cache.js';
+import { morphInnerHTML } from './src/morph.js';
+import { EventDelegator } from './src/events.js';
+import { reactive, isReactive, toRaw, nextTick, Watcher } from './src/reactive.js';
+import { JframeError } from './src/errors.js';
+import { escapeJsValue } from './src/escaping.js';
+import { COMPONENT_ATTRIBUTE, HYDRATE_ATTRIBUTE, escapeHtml, hashTemplate } from './src/utils.js';
+import { createDomLoader } from './src/loaders.js';
 
 /**
  * Templating Engine - main class that orchestrates the entire process
  */
 export class Jframe {
-  constructor() {
+  /**
+   * @param {Object} options - Engine options
+   * @param {string} options.mode - 'compile' (default) generates JavaScript with
+   *   new Function; 'interpret' walks the AST and works under a CSP without 'unsafe-eval'
+   * @param {number} options.cacheSize - Compiled templates kept in the LRU cache (default 100, 0 disables)
+   * @param {boolean|Object} options.sanitize - Sanitize all {{{ }}} output; an object sets the
+   *   allow-list ({ allowedTags, allowedAttributes, allowedSchemes }) also used by {{{sanitize-html}}}
+   * @param {Function[]} options.loaders - Loaders loadTemplate() tries in order (default: in a
+   *   browser, <template> and <script type="text/jframe"> elements of the document)
+   */
+  constructor(options = {}) {
+    const { mode = 'compile', cacheSize = 100, sanitize = false } = options;
+    const { loaders = typeof document !== 'undefined' ? [createDomLoader(document)] : [] } = options;
+    if (mode !== 'compile' && mode !== 'interpret') {
+      throw new Error(`Unknown mode "${mode}"; expected "compile" or "interpret"`);
+    }
+
+    this.mode = mode;
     this.tokenizer = new Tokenizer();
     this.parser = new Parser();
-    this.compiler = new Compiler();
+    this.compiler = mode === 'interpret' ? new Interpreter({ sanitizeRaw: !!sanitize }) : new Compiler({ sanitizeRaw: !!sanitize });
+    if (sanitize && typeof sanitize === 'object') {
+      this.compiler.runtime.configureSanitizer(sanitize);
+    }
     this.renderer = new Renderer();
-    this.bindingManager = new BindingManager();
+    this.bindingManager = new BindingManager({ onValidityChange: data => this._showValidity(data) });
     this.renderedElements = new Map();
+    this.cache = new LRUCache(cacheSize);
+    this.loaders = [...loaders];
   }
 
   /**
    * Compiles a template string into a render function
    * @param {string} template - Template string
+   * @param {Object} options - Compile options
+   * @param {string} options.name - Template name shown in error messages
+   * @param {string} options.id - Cache key to use instead of the template source
+   * @param {boolean} options.stream - Compile a render function that returns an
+   *   iterator of HTML chunks instead of a string (see renderStream())
    * @returns {Function} Compiled render function
    */
-  compile(template) {
+  compile(template, options = {}) {
     if (typeof template !== 'string') {
       throw new Error('Template must be a string');
     }
 
-    // Step 1: Tokenize
-    const tokens = this.tokenizer.tokenize(template);
+    // The name is part of the key because compiled functions report it in errors
+    const prefix = options.stream ? 'stream:' : '';
+    const key = options.id != null ? `${prefix}id:${options.id}` : `${prefix}source:${options.name || ''}\u0000${template}`;
+    const cached = this.cache.get(key);
+    if (cached && cached.template === template) {
+      return cached.render;
+    }
+
+    const render = this._compileUncached(template, options);
+    this.cache.set(key, { template, render });
+    return render;
+  }
+
+  /**
+   * Tokenizes, parses and compiles a template, bypassing the cache
+   * @private
+   */
+  _compileUncached(template, options) {
+    try {
+      // Step 1: Tokenize
+      const tokens = this.tokenizer.tokenize(template);
+
+      // Step 2: Parse
+      const ast = this.parser.parse(tokens);
+
+      // Step 3: Compile
+      const compileOptions = { source: template, name: options.name };
+      return options.stream ? this.compiler.compileStream(ast, compileOptions) : this.compiler.compile(ast, compileOptions);
+    } catch (error) {
+      if (error instanceof JframeError) error.attachSource(template, options.name);
+      throw error;
+    }
+  }
 
-    // Step 2: Parse
-    const ast = this.parser.parse(tokens);
+  /**
+   * Precompiles a template string into the source of an ES module whose
+   * default export is the render function
+   * @param {string} template - Template string
+   * @param {Object} options - Compile options
+   * @param {string} options.name - Template name shown in error messages
+   * @param {string} options.runtime - Import specifier of the runtime module
+   * @returns {string} Module source
+   */
+  compileToModule(template, options = {}) {
+    if (typeof template !== 'string') {
+      throw new Error('Template must be a string');
+    }
 
-    // Step 3: Compile
-    return this.compiler.compile(ast);
+    try {
+      const ast = this.parser.parse(this.tokenizer.tokenize(template));
+      return this.compiler.compileToModule(ast, { source: template, name: options.name, runtime: options.runtime });
+    } catch (error) {
+      if (error instanceof JframeError) error.attachSource(template, options.name);
+      throw error;
+    }
   }
 
   /**
-   * Renders a template with the given data context
+   * Registers a reusable template fragment for {{> name}} inclusion, or a
+   * layout for {{#extends "name"}}
+   * @param {string} name - Partial name
+   * @param {string} template - Partial template string
+   * @returns {Jframe} This instance for chaining
+   */
+  registerPartial(name, template) {
+    if (typeof name !== 'string' || !name.trim()) {
+      throw new Error('Partial name must be a non-empty string');
+    }
+
+    if (typeof template !== 'string') {
+      throw new Error('Partial template must be a string');
+    }
+
+    try {
+      const ast = this.parser.parse(this.tokenizer.tokenize(template));
+      this.compiler.registerPartial(name, ast, template);
+    } catch (error) {
+      if (error instanceof JframeError) error.attachSource(template, name);
+      throw error;
+    }
+
+    // Cached templates extending this layout were merged with its old version
+    this._invalidateTemplates();
+    return this;
+  }
+
+  /**
+   * Adds a template loader, tried after the ones already added. A loader
+   * takes a template name and returns its source, or null when it has no
+   * template of that name; see createDomLoader() and createFileLoader().
+   * @param {Function} loader - Loader function
+   * @returns {Jframe} This instance for chaining
+   */
+  addLoader(loader) {
+    if (typeof loader !== 'function') {
+      throw new Error('Loader must be a function');
+    }
+
+    this.loaders.push(loader);
+    return this;
+  }
+
+  /**
+   * Finds the source of a named template with the loaders
+   * @param {string} name - Template name, e.g. the id of a <template> element
+   * @returns {string} Template source
+   */
+  loadTemplate(name) {
+    if (typeof name !== 'string' || !name.trim()) {
+      throw new Error('Template name must be a non-empty string');
+    }
+
+    for (const loader of this.loaders) {
+      const source = loader(name);
+      if (typeof source === 'string') return source;
+    }
+
+    throw new Error(`Template "${name}" was not found; add a <template id="${name}"> or <script type="text/jframe" id="${name}"> element, or a loader that provides it`);
+  }
+
+  /**
+   * Registers a helper for this instance, callable as {{name arg key=value}}
+   * in output positions and #if conditions
+   * @param {string} name - Helper name
+   * @param {Function} fn - Helper function; receives positional args and an options object with `hash`
+   * @returns {Jframe} This instance for chaining
+   */
+  registerHelper(name, fn) {
+    if (typeof name !== 'string' || !/^[a-zA-Z_$][a-zA-Z0-9_$\-]*$/.test(name)) {
+      throw new Error(`Invalid helper name: ${name}`);
+    }
+
+    this.compiler.registerHelper(name, fn);
+
+    // Cached templates may have resolved this name as a context lookup
+    this._invalidateTemplates();
+    return this;
+  }
+
+  /**
+   * Registers a filter for this instance, usable as {{ value | name:arg }}
+   * @param {string} name - Filter name
+   * @param {Function} fn - Filter function; receives the value followed by the filter arguments
+   * @returns {Jframe} This instance for chaining
+   */
+  registerFilter(name, fn) {
+    if (typeof name !== 'string' || !/^[a-zA-Z_$][a-zA-Z0-9_$]*$/.test(name)) {
+      throw new Error(`Invalid filter name: ${name}`);
+    }
+
+    this.compiler.registerFilter(name, fn);
+    return this;
+  }
+
+  /**
+   * Empties the compiled-template cache and resets its statistics
+   * @returns {Jframe} This instance for chaining
+   */
+  clearCache() {
+    this.cache.clear();
+    return this;
+  }
+
+  /**
+   * Drops compiled templates after a partial or helper changed what they
+   * compile to, keeping the cache statistics. Rendered elements recompile
+   * their template on their next update.
+   * @private
+   */
+  _invalidateTemplates() {
+    this.cache.invalidate();
+    this.renderedElements.forEach(rendered => {
+      rendered.compiled = null;
+    });
+  }
+
+  /**
+   * Reports how well the compiled-template cache is working
+   * @returns {Object} { size, maxSize, hits, misses, evictions, hitRate }
+   */
+  getCacheStats() {
+    return this.cache.stats();
+  }
+
+  /**
+   * Registers a component, rendered wherever a template uses its tag, as in
+   * <user-card user="{{author}}"></user-card>. Each instance renders its
+   * template with its own reactive state made of data() and the props;
+   * content inside the tag fills the template's <slot> elements.
+   * @param {string} name - Tag name, which must contain a hyphen
+   * @param {Object} definition - Component definition
+   * @param {string} definition.template - Component template
+   * @param {Array|Object} definition.props - Attributes taken as props: names, or names mapped to { default }
+   * @param {Function} definition.data - Returns the initial state of an instance; receives the props
+   * @param {Object} definition.methods - Functions callable from the template and on:event, with the state as `this`
+   * @returns {Jframe} This instance for chaining
+   */
+  component(name, definition = {}) {
+    if (typeof name !== 'string' || !/^[a-z][a-z0-9]*(-[a-z0-9]+)+$/.test(name)) {
+      throw new Error(`Invalid component name: ${name}; component names are lowercase and contain a hyphen, e.g. user-card`);
+    }
+
+    if (typeof definition.template !== 'string') {
+      throw new Error(`Component "${name}" needs a template string`);
+    }
+
+    const render = this.compile(definition.template, { name });
+    this.compiler.runtime.registerComponent(name, { ...definition, render });
+    return this;
+  }
+
+  /**
+   * Registers a validator for data-validate rules, usable as name or name:arg
+   * @param {string} name - Validator name
+   * @param {Function} fn - Receives the value followed by the rule's arguments, with
+   *   the bound data as `this`; returns true when valid, or an error message
+   * @returns {Jframe} This instance for chaining
+   */
+  registerValidator(name, fn) {
+    if (typeof name !== 'string' || !/^[a-zA-Z_$][a-zA-Z0-9_$]*$/.test(name)) {
+      throw new Error(`Invalid validator name: ${name}`);
+    }
+
+    this.bindingManager.registerValidator(name, fn);
+    return this;
+  }
+
+  /**
+   * Renders a template with the given data context. Called as
+   * render(name, context, element, options), it renders the template
+   * loadTemplate(name) finds into the element.
    * @param {string|HTMLElement} target - Template string or DOM element
    * @param {Object} context - Data context
-   * @param {boolean} enableBinding - Enable two-way data binding
+   * @param {boolean|Object} options - Render options, or a boolean for options.binding
+   * @param {boolean} options.binding - Enable two-way data binding
+   * @param {Object} options.handlers - Functions on:event handlers call by name
+   * @param {string} options.template - Template to render into the element instead of its innerHTML
+   * @param {boolean|Object} elementOptions - Render options when a name and element are given
    * @returns {string|HTMLElement} Rendered HTML or element
    */
-  render(target, context = {}, enableBinding = false) {
-    if (typeof target === 'string') {
+  render(target, context = {}, options = {}, elementOptions = {}) {
+    if (typeof target === 'string' && typeof HTMLElement !== 'undefined' && options instanceof HTMLElement) {
+      // Named template rendered into an element
+      const renderOptions = typeof elementOptions === 'boolean' ? { binding: elementOptions } : elementOptions;
+      return this._renderToElement(options, context, { ...renderOptions, template: this.loadTemplate(target), name: target });
+    } else if (typeof target === 'string') {
       // Original behavior - return HTML string
       const compiled = this.compile(target);
       return this.renderer.render(compiled, context);
     } else if (target instanceof HTMLElement) {
       // New behavior - render directly to DOM element
-      return this._renderToElement(target, context, enableBinding);
+      return this._renderToElement(target, context, typeof options === 'boolean' ? { binding: options } : options);
     } else {
       throw new Error('Target must be a string template or DOM element');
     }
   }
 
   /**
-   * Renders template to DOM element
+   * Renders a template to a string once every promise its {{#await}} blocks
+   * reach has settled, for server rendering of data that is still loading.
+   * Promises found in a settled branch are waited for as well.
+   * @param {string} template - Template string
+   * @param {Object} context - Data context, which may hold promises
+   * @param {Object} options - Render options
+   * @param {string} options.name - Template name shown in error messages
+   * @returns {Promise<string>} Rendered HTML
+   */
+  async renderAsync(template, context = {}, options = {}) {
+    const compiled = this.compile(template, { name: options.name });
+    const runtime = this.compiler.runtime;
+
+    for (;;) {
+      const { result, pending } = runtime.collectPending(() => this.renderer.render(compiled, context));
+      if (pending.length === 0) return result;
+      await Promise.all(pending);
+    }
+  }
+
+  /**
+   * Renders a template as a stream of HTML chunks, so a response can start
+   * before a large template has finished rendering. Chunks are cut between
+   * the rows of #each loops; joined, they equal render()'s output. Compile
+   * and render errors are thrown from the iterator.
+   * @param {string} template - Template string
+   * @param {Object} context - Data context
+   * @param {Object} options - Render options
+   * @param {string} options.name - Template name shown in error messages
+   * @returns {AsyncIterable} HTML chunks; see toReadableStream() and pipeToWritable()
+   */
+  async *renderStream(template, context = {}, options = {}) {
+    const compiled = this.compile(template, { name: options.name, stream: true });
+    yield* this.renderer.renderStream(compiled, context);
+  }
+
+  /**
+   * Renders a template to HTML for hydrate() to take over in the browser.
+   * Unlike render() with a string, on:event attributes and components are
+   * kept, and a JSON script with the context and the template's id is
+   * appended. Functions, Maps and class instances in the context do not
+   * survive serialization; pass handlers to hydrate() instead.
+   * @param {string} template - Template string
+   * @param {Object} context - Data context
+   * @param {Object} options - Render options
+   * @param {string} options.id - Template id to embed instead of a hash of the template
+   * @param {string} options.name - Template name shown in error messages
+   * @returns {string} HTML to serve as the content of the element to hydrate
+   */
+  renderToString(template, context = {}, options = {}) {
+    const compiled = this.compile(template, { name: options.name });
+    const { html } = this._renderWithEvents(compiled, context);
+    const id = options.id || hashTemplate(template);
+
+    // escapeJsValue leaves no '<' that could close the script early
+    const state = escapeJsValue(toRaw(context)).trim();
+    return `${html}<script type="application/json" ${HYDRATE_ATTRIBUTE}="${escapeHtml(id)}">${state}</script>`;
+  }
+
+  /**
+   * Attaches on:event handlers, components and (with binding) data-bind
+   * fields to markup from renderToString() without rendering it again.
+   * Afterwards the element behaves as if render() had rendered it.
+   * @param {HTMLElement} element - Element whose content came from renderToString()
+   * @param {string} template - The template the markup was rendered from
+   * @param {Object} options - render() options, plus:
+   * @param {Object} options.context - Data to use instead of the serialized context
+   * @param {boolean} options.reactive - Wrap the context in reactive() so changes re-render
+   * @param {string} options.id - Template id given to renderToString()
+   * @returns {Object} The context the element is bound to
+   */
+  hydrate(element, template, options = {}) {
+    if (!(element instanceof HTMLElement)) {
+      throw new Error('hydrate() needs a DOM element');
+    }
+    if (typeof template !== 'string') {
+      throw new Error('Template must be a string');
+    }
+
+    const name = this._getElementName(element);
+    const script = Array.from(element.children).find(child => child.matches(`script[${HYDRATE_ATTRIBUTE}]`));
+    const id = options.id || hashTemplate(template);
+
+    if (script && script.getAttribute(HYDRATE_ATTRIBUTE) !== id) {
+      throw new Error(`${name} was rendered from a different template than the one passed to hydrate()`);
+    }
+    if (!script && !options.context) {
+      throw new Error(`${name} has no serialized context; render its markup with renderToString() or pass options.context`);
+    }
+
+    let context = options.context || JSON.parse(script.textContent);
+    if (options.reactive) {
+      context = reactive(context);
+    }
+    if (script) {
+      script.remove();
+    }
+
+    this._renderToElement(element, context, { ...options, template }, true);
+    return context;
+  }
+
+  /**
+   * Renders template to DOM element. When hydrating, the element already
+   * holds the rendered markup and only handlers and bindings are attached.
    * @private
    */
-  _renderToElement(element, context, enableBinding) {
-    const template = element.innerHTML;
-    const compiled = this.compile(template);
-    const html = this.renderer.render(compiled, context);
+  _renderToElement(element, context, options, hydrating = false) {
+    const { binding = false, handlers = null, template = element.innerHTML, name = this._getElementName(element) } = options;
+    const compiled = this.compile(template, { name });
+
+    // Rendering into the same element again keeps its delegated listeners
+    const previous = this.renderedElements.get(element);
+    if (previous) {
+      previous.watcher.stop();
+    }
+
+    // Re-renders the element when reactive data it read (a reactive context, component state) changes
+    const watcher = new Watcher(() => this._refresh(element));
+    const { html, events, components } = this._renderWithEvents(compiled, context, watcher, previous ? previous.components : []);
 
     // Update element content
-    element.innerHTML = html;
+    if (!hydrating) {
+      element.innerHTML = html;
+    }
+
+    const delegator = previous ? previous.delegator : new EventDelegator(element);
+    delegator.setHandlers(events, handlers);
 
     // FIX: Store the element reference properly
     this.renderedElements.set(element, {
-      context: { ...context }, // Clone the context
-      enableBinding,
-      template: template // Store original template
+      context: isReactive(context) ? context : { ...context }, // Clone plain contexts
+      enableBinding: binding,
+      template: template, // Store original template
+      name,
+      compiled, // Reused by update() without touching the cache
+      handlers,
+      delegator,
+      watcher,
+      components // Component instances, reused by the next render
     });
 
-    if (enableBinding) {
+    // Components bind their own fields even when the element has binding off
+    if (binding || components.length > 0) {
       this._setupBindings(element, context);
     }
 
@@ -89,25 +477,91 @@ export class Jframe {
   }
 
   /**
-   * Sets up two-way data binding for form elements
+   * Renders a compiled template, collecting the handlers of its on:event
+   * attributes, its component instances and, given a watcher, the reactive
+   * properties it reads
+   * @private
+   */
+  _renderWithEvents(compiled, context, watcher = null, components = []) {
+    const runtime = this.compiler.runtime;
+    const render = () => {
+      const { result, components: rendered } = runtime.collectComponents(components, () => {
+        return runtime.collectEvents(() => this.renderer.render(compiled, context));
+      });
+      return { ...result, components: rendered };
+    };
+    return watcher ? watcher.collect(render) : render();
+  }
+
+  /**
+   * Describes an element for error messages
+   * @private
+   */
+  _getElementName(element) {
+    return element.id ? `#${element.id}` : element.tagName.toLowerCase();
+  }
+
+  /**
+   * Sets up two-way data binding for form elements. Fields inside a
+   * component bind to that component's state.
    * @private
    */
   _setupBindings(element, context) {
-    // Find all elements with data-bind attribute
-    const bindableElements = element.querySelectorAll('[data-bind]');
+    const rendered = this.renderedElements.get(element);
+    const scopes = new Set();
+
+    // Selectors cannot match data-bind.<modifier> names, so read every element,
+    // starting with the container itself
+    [element, ...element.querySelectorAll('*')].forEach(el => {
+      const binding = this.bindingManager.readBinding(el);
+      if (!binding) return;
 
-    bindableElements.forEach(el => {
-      const path = el.getAttribute('data-bind');
-      if (path) {
-        this.bindingManager.bindElement(el, context, path);
+      const host = el.parentElement && el.parentElement.closest(`[${COMPONENT_ATTRIBUTE}]`);
+      let data = rendered.enableBinding ? context : null;
+      if (host && element.contains(host)) {
+        data = rendered.components[Number(host.getAttribute(COMPONENT_ATTRIBUTE))].state;
+      }
+
+      if (data) {
+        this.bindingManager.bindElement(el, data, binding.path, binding.modifiers, binding.rules);
+        scopes.add(data);
       }
     });
 
-    // Also check the container element itself
-    if (element.hasAttribute('data-bind')) {
-      const path = element.getAttribute('data-bind');
-      this.bindingManager.bindElement(element, context, path);
+    rendered.boundContext = rendered.enableBinding ? context : null;
+    scopes.forEach(data => this.bindingManager.validate(data));
+  }
+
+  /**
+   * Validates the data-validate fields of a rendered element, marking them
+   * all dirty so every error shows (e.g. when its form is submitted)
+   * @param {HTMLElement} element - Element rendered with binding enabled
+   * @returns {boolean} Whether every field is valid
+   */
+  validate(element) {
+    const rendered = this.renderedElements.get(element);
+    if (!rendered || !rendered.boundContext) {
+      throw new Error('Element was not rendered with binding enabled by this engine instance');
     }
+
+    return this.bindingManager.validate(rendered.boundContext, { touch: true });
+  }
+
+  /**
+   * Re-renders the elements bound to a plain data object after its
+   * validation state changed; reactive data re-renders by itself. The
+   * errors and validity are already on the data, so the element renders
+   * from it directly: merging them into a copy as update() does would
+   * re-bind the fields to the copy.
+   * @private
+   */
+  _showValidity(data) {
+    this.renderedElements.forEach((rendered, element) => {
+      if (rendered.boundContext === data) {
+        rendered.context = data;
+        this._refresh(element);
+      }
+    });
   }
 
   /**
@@ -123,30 +577,95 @@ export class Jframe {
       throw new Error('Element was not rendered by this engine instance');
     }
 
-    // Merge contexts properly
-    const updatedContext = { ...rendered.context, ...newContext };
+    // Reactive contexts take the changes in place; plain ones are merged into a copy
+    if (isReactive(rendered.context)) {
+      Object.assign(rendered.context, newContext);
+    } else {
+      rendered.context = { ...rendered.context, ...newContext };
+    }
+
+    this._refresh(element);
+    return element;
+  }
+
+  /**
+   * Re-renders an element with its stored context, then patches only what
+   * changed so focus, caret, scroll and listeners survive
+   * @private
+   */
+  _refresh(element) {
+    const rendered = this.renderedElements.get(element);
+    if (!rendered) return;
 
-    // Re-render with the original template
-    const compiled = this.compile(rendered.template);
-    const html = this.renderer.render(compiled, updatedContext);
-    element.innerHTML = html;
+    if (!rendered.compiled) {
+      rendered.compiled = this.compile(rendered.template, { name: rendered.name });
+    }
 
-    // Update stored context
-    rendered.context = updatedContext;
-    this.renderedElements.set(element, rendered);
+    const { html, events, components } = this._renderWithEvents(rendered.compiled, rendered.context, rendered.watcher, rendered.components);
+    rendered.components = components;
+    morphInnerHTML(element, html);
+    rendered.delegator.setHandlers(events, rendered.handlers);
 
     // Re-setup bindings if they were enabled
-    if (rendered.enableBinding) {
-      this._setupBindings(element, updatedContext);
+    if (rendered.enableBinding || components.length > 0) {
+      this._setupBindings(element, rendered.context);
     }
+  }
 
-    return element;
+  /**
+   * Wraps a plain object or array in a deep reactive proxy. Elements rendered
+   * with it re-render in a batched microtask after any change they depend on,
+   * including array methods and newly added properties.
+   * @param {Object|Array} data - Data to observe
+   * @returns {Proxy} Reactive proxy
+   */
+  reactive(data) {
+    return reactive(data);
+  }
+
+  /**
+   * Defines a cached property derived from reactive data, e.g.
+   * computed(state, 'remaining', s => s.todos.filter(t => !t.done).length).
+   * Templates read it like any other key; it recalculates only after a
+   * value it used changes.
+   * @param {Object} data - Reactive (or plain) data object
+   * @param {string} name - Property name
+   * @param {Function} getter - Receives the reactive data (also as `this`)
+   * @returns {Proxy} The reactive data
+   */
+  computed(data, name, getter) {
+    return this.bindingManager.computed(data, name, getter);
+  }
+
+  /**
+   * Calls back after a path on reactive data changes
+   * @param {Object} data - Reactive (or plain) data object
+   * @param {string|Function} source - Dot path such as 'user.name', or a function of the data
+   * @param {Function} callback - Receives (newValue, oldValue)
+   * @param {Object} options - { immediate, deep }
+   * @returns {Function} Stops watching
+   */
+  watch(data, source, callback, options = {}) {
+    return this.bindingManager.watch(data, source, callback, options);
+  }
+
+  /**
+   * Resolves once pending reactive re-renders have run
+   * @returns {Promise} Promise
+   */
+  nextTick() {
+    return nextTick();
   }
 
   /**
    * Clears all bindings and rendered elements
    */
   destroy() {
+    this.renderedElements.forEach(rendered => {
+      rendered.delegator.destroy();
+      rendered.watcher.stop();
+      rendered.components = [];
+    });
     this.bindingManager.clear();
     this.renderedElements.clear();
   }
@@ -159,5 +678,15 @@ export const jframe = new Jframe();
 export { Tokenizer } from './src/tokenizer.js';
 export { Parser } from './src/parser.js';
 export { Compiler } from './src/compiler.js';
+export { Interpreter } from './src/interpreter.js';
 export { Renderer } from './src/renderer.js';
-export { BindingManager } from './src/binding.js';
\ No newline at end of file
+export { Runtime, runtime } from './src/runtime.js';
+export { installComponents } from './src/runtime/components.js';
+export { installSanitizer } from './src/runtime/sanitizer.js';
+export { installAwait } from './src/runtime/await.js';
+export { Sanitizer, sanitizeHtml } from './src/sanitizer.js';
+export { toReadableStream, pipeToWritable } from './src/stream.js';
+export { createDomLoader } from './src/loaders.js';
+export { reactive, isReactive, toRaw, nextTick, Watcher } from './src/reactive.js';
+export { BindingManager } from './src/binding.js';
+export { JframeError, JframeSyntaxError, JframeRenderError } from './src/errors.js';
\ No newline at end of file
@@ -1,10 +1,84 @@
 /**
  * Binding Manager - handles two-way data binding
  */
+
+import { defineComputed, watch, reactive, isReactive } from './reactive.js';
+import { builtinValidators, parseRules } from './validators.js';
+
+// Attribute that binds a form control, optionally followed by modifiers: data-bind.lazy.trim
+const BIND_ATTRIBUTE = 'data-bind';
+const BIND_MODIFIERS = ['lazy', 'number', 'trim'];
+
+// Attribute holding a bound field's validation rules: data-validate="required|maxLength:120"
+const VALIDATE_ATTRIBUTE = 'data-validate';
+
+/**
+ * BindingManager class - keeps form elements, data and derived values in sync
+ */
 export class BindingManager {
-  constructor() {
+  /**
+   * @param {Object} options - Binding options
+   * @param {Function} options.onValidityChange - Called with a plain (non-reactive)
+   *   data object after validate() changed its errors or validity
+   */
+  constructor(options = {}) {
     this.bindings = new Map();
     this.observers = new Map();
+
+    // Watchers behind computed properties and watch() hooks, stopped by clear()
+    this.watchers = new Set();
+
+    // Listener state per element, so re-binding after an update adds no listeners
+    this.elementBindings = new WeakMap();
+
+    this.validators = new Map(Object.entries(builtinValidators));
+    this.onValidityChange = options.onValidityChange || null;
+  }
+
+  /**
+   * Registers a validator usable in data-validate rules as name or name:arg
+   * @param {string} name - Validator name
+   * @param {Function} fn - Receives the value followed by the rule's arguments, with
+   *   the bound data as `this`; returns true when valid, or an error message
+   * @returns {BindingManager} This manager for chaining
+   */
+  registerValidator(name, fn) {
+    if (typeof fn !== 'function') {
+      throw new Error(`Validator "${name}" must be a function`);
+    }
+
+    this.validators.set(name, fn);
+    return this;
+  }
+
+  /**
+   * Reads an element's binding attribute: data-bind="path", optionally with
+   * modifiers as in data-bind.lazy.number="path"
+   * @param {HTMLElement} element - DOM element
+   * @returns {Object|null} { path, modifiers, rules } or null when the element is not bound
+   */
+  readBinding(element) {
+    for (const attr of Array.from(element.attributes)) {
+      const [name, ...modifiers] = attr.name.split('.');
+      if (name !== BIND_ATTRIBUTE || !attr.value) continue;
+
+      modifiers.forEach(modifier => {
+        if (!BIND_MODIFIERS.includes(modifier)) {
+          throw new Error(`Unknown binding modifier ".${modifier}" on ${attr.name}; expected ${BIND_MODIFIERS.map(m => `.${m}`).join(', ')}`);
+        }
+      });
+
+      const rules = element.hasAttribute(VALIDATE_ATTRIBUTE) ? parseRules(element.getAttribute(VALIDATE_ATTRIBUTE)) : [];
+      rules.forEach(rule => {
+        if (!this.validators.has(rule.name)) {
+          throw new Error(`Unknown validator "${rule.name}" in ${VALIDATE_ATTRIBUTE}="${element.getAttribute(VALIDATE_ATTRIBUTE)}"`);
+        }
+      });
+
+      return { path: attr.value, modifiers, rules };
+    }
+
+    return null;
   }
 
   /**
@@ -12,32 +86,164 @@ export class BindingManager {
    * @param {HTMLElement} element - DOM element to bind
    * @param {Object} data - Data object
    * @param {string} path - Property path in data object
+   * @param {string[]} modifiers - Binding modifiers: 'lazy', 'number', 'trim'
+   * @param {Array} rules - Validation rules from parseRules(), checked by validate()
    */
-  bindElement(element, data, path) {
-    const bindingId = `${element.id}-${path}`;
-    
+  bindElement(element, data, path, modifiers = [], rules = []) {
     // Set initial value
     this._updateElement(element, this._getValue(data, path));
 
-    // Create observer if not exists
-    if (!this.observers.has(path)) {
+    // Reactive data re-renders and re-binds on its own
+    if (!isReactive(data) && !this.observers.has(path)) {
       this._createObserver(data, path);
     }
 
-    // Store binding
-    this.bindings.set(bindingId, { element, data, path });
+    // Store binding; checkbox and radio groups share a path, so key by element
+    this.bindings.set(element, { element, data, path, rules });
+
+    // Elements kept by DOM morphing already listen; point them at the new data
+    const existing = this.elementBindings.get(element);
+    if (existing) {
+      existing.data = data;
+      existing.path = path;
+      existing.modifiers = modifiers;
+      return;
+    }
+
+    // Errors show once a field is dirty: changed by the user or validated with touch
+    const binding = { data, path, modifiers, dirty: false };
+    this.elementBindings.set(element, binding);
 
     // Add event listeners for two-way binding
-    this._addBindingListeners(element, data, path);
+    this._addBindingListeners(element, binding);
+  }
+
+  /**
+   * Validates the fields bound to a data object and writes the results to
+   * it: `errors` mirrors the field paths with the first message of each
+   * dirty invalid field (errors.user.email), and `validity` holds
+   * { valid, fields: { path: { valid, dirty, errors } }, forms: { name: valid } }
+   * for every field, dirty or not. Forms are keyed by their name or id.
+   * @param {Object} data - Data object the fields are bound to
+   * @param {Object} options - Validate options
+   * @param {boolean} options.touch - Mark every field dirty, e.g. on submit
+   * @returns {boolean} Whether every field is valid
+   */
+  validate(data, options = {}) {
+    const fields = new Map();
+
+    for (const [element, binding] of this.bindings) {
+      if (binding.data !== data || !element.isConnected) continue;
+
+      const state = this.elementBindings.get(element);
+      if (options.touch) state.dirty = true;
+
+      // Checkbox and radio groups are one field; any of them may carry the rules
+      const field = fields.get(binding.path) || { rules: [], dirty: false, forms: new Set() };
+      if (field.rules.length === 0) field.rules = binding.rules;
+      field.dirty = field.dirty || state.dirty;
+
+      const form = element.form || element.closest('form');
+      const formName = form && (form.getAttribute('name') || form.id);
+      if (formName) field.forms.add(formName);
+
+      fields.set(binding.path, field);
+    }
+
+    const errors = {};
+    const validity = { valid: true, fields: {}, forms: {} };
+
+    fields.forEach((field, path) => {
+      if (field.rules.length === 0) return;
+
+      const messages = this._runRules(field.rules, data, path);
+      const valid = messages.length === 0;
+
+      validity.fields[path] = { valid, dirty: field.dirty, errors: messages };
+      validity.valid = validity.valid && valid;
+      field.forms.forEach(formName => {
+        validity.forms[formName] = validity.forms[formName] !== false && valid;
+      });
+
+      if (!valid && field.dirty) {
+        this._setValue(errors, path, messages[0]);
+      }
+    });
+
+    if (Object.keys(validity.fields).length === 0) return true;
+
+    // Writing only on change keeps re-renders that re-bind from looping
+    if (JSON.stringify({ errors, validity }) !== JSON.stringify({ errors: data.errors, validity: data.validity })) {
+      data.errors = errors;
+      data.validity = validity;
+
+      if (this.onValidityChange && !isReactive(data)) {
+        this.onValidityChange(data);
+      }
+    }
+
+    return validity.valid;
+  }
+
+  /**
+   * Runs a field's rules, returning the messages of those that fail
+   * @private
+   */
+  _runRules(rules, data, path) {
+    const value = this._getValue(data, path);
+
+    return rules.reduce((messages, { name, args }) => {
+      const result = this.validators.get(name).call(data, value, ...args);
+      if (typeof result === 'string') {
+        messages.push(result);
+      } else if (!result) {
+        messages.push('Invalid value');
+      }
+      return messages;
+    }, []);
+  }
+
+  /**
+   * Defines a cached computed property on reactive data, readable from
+   * templates like any other context key
+   * @param {Object} data - Reactive (or plain) data object
+   * @param {string} name - Property name
+   * @param {Function} getter - Receives the reactive data (also as `this`)
+   * @returns {Proxy} The reactive data
+   */
+  computed(data, name, getter) {
+    this.watchers.add(defineComputed(data, name, getter));
+    return reactive(data);
+  }
+
+  /**
+   * Calls back when a path on reactive data changes
+   * @param {Object} data - Reactive (or plain) data object
+   * @param {string|Function} source - Dot path, or a function of the data
+   * @param {Function} callback - Receives (newValue, oldValue)
+   * @param {Object} options - { immediate, deep }
+   * @returns {Function} Stops watching
+   */
+  watch(data, source, callback, options = {}) {
+    const watcher = watch(data, source, callback, options);
+    this.watchers.add(watcher);
+
+    return () => {
+      watcher.stop();
+      this.watchers.delete(watcher);
+    };
   }
 
   /**
    * Updates all elements bound to a specific path
    */
   updateBoundElements(path, value) {
-    for (const [bindingId, binding] of this.bindings) {
-      if (binding.path === path) {
-        this._updateElement(binding.element, value);
+    for (const [element, binding] of this.bindings) {
+      if (!element.isConnected) {
+        // Replaced by a later render
+        this.bindings.delete(element);
+      } else if (binding.path === path) {
+        this._updateElement(element, value);
       }
     }
   }
@@ -109,34 +315,83 @@ export class BindingManager {
   }
 
   /**
-   * Adds event listeners for two-way binding
+   * Adds event listeners for two-way binding. Text-like controls write on
+   * 'input' ('change' with .lazy); checkboxes, radios and selects on 'change'.
    */
-  _addBindingListeners(element, data, path) {
+  _addBindingListeners(element, binding) {
     const tagName = element.tagName.toLowerCase();
-    
-    switch (tagName) {
-      case 'input':
-      case 'textarea':
-      case 'select':
-        element.addEventListener('input', (e) => {
-          this._setValue(data, path, e.target.value);
-        });
-        break;
-      
-      case 'input':
-        if (element.type === 'checkbox') {
-          element.addEventListener('change', (e) => {
-            this._setValue(data, path, e.target.checked);
-          });
-        } else if (element.type === 'radio') {
-          element.addEventListener('change', (e) => {
-            if (e.target.checked) {
-              this._setValue(data, path, e.target.value);
-            }
-          });
-        }
-        break;
+    const type = (element.type || '').toLowerCase();
+    let eventName;
+
+    if (tagName === 'select' || type === 'checkbox' || type === 'radio') {
+      eventName = 'change';
+    } else if (element.isContentEditable || element.hasAttribute('contenteditable')) {
+      eventName = binding.modifiers.includes('lazy') ? 'blur' : 'input';
+    } else {
+      eventName = binding.modifiers.includes('lazy') ? 'change' : 'input';
     }
+
+    element.addEventListener(eventName, () => {
+      // Radios only write when they become the checked one
+      if (type === 'radio' && !element.checked) return;
+
+      const current = this._getValue(binding.data, binding.path);
+      this._setValue(binding.data, binding.path, this._readElement(element, binding.modifiers, current));
+
+      binding.dirty = true;
+      this.validate(binding.data);
+    });
+  }
+
+  /**
+   * Reads the value a form control holds, applying modifiers. Checkboxes
+   * bound to an array add or remove their value; multi-selects give an array.
+   * @private
+   */
+  _readElement(element, modifiers, current) {
+    const tagName = element.tagName.toLowerCase();
+    const type = (element.type || '').toLowerCase();
+    const coerce = value => this._coerce(value, modifiers, type);
+
+    if (type === 'checkbox') {
+      if (!Array.isArray(current)) {
+        return element.checked;
+      }
+
+      const value = coerce(element.value);
+      const others = current.filter(item => !looseEqual(item, value));
+      return element.checked ? [...others, value] : others;
+    }
+
+    if (tagName === 'select' && element.multiple) {
+      return Array.from(element.options).filter(option => option.selected).map(option => coerce(option.value));
+    }
+
+    if (tagName !== 'input' && tagName !== 'textarea' && tagName !== 'select') {
+      return coerce(element.textContent);
+    }
+
+    return coerce(element.value);
+  }
+
+  /**
+   * Applies .trim and .number; number and range inputs always give numbers
+   * @private
+   */
+  _coerce(value, modifiers, type) {
+    let result = value;
+
+    if (modifiers.includes('trim')) {
+      result = result.trim();
+    }
+
+    if (modifiers.includes('number') || type === 'number' || type === 'range') {
+      // Values that do not parse (such as an empty field) stay strings
+      const number = parseFloat(result);
+      return Number.isNaN(number) ? result : number;
+    }
+
+    return result;
   }
 
   /**
@@ -144,26 +399,29 @@ export class BindingManager {
    */
   _updateElement(element, value) {
     const tagName = element.tagName.toLowerCase();
-    
-    switch (tagName) {
-      case 'input':
-        if (element.type === 'checkbox') {
-          element.checked = !!value;
-        } else if (element.type === 'radio') {
-          element.checked = element.value === value;
-        } else {
-          element.value = value != null ? value : '';
-        }
-        break;
-      
-      case 'textarea':
-      case 'select':
-        element.value = value != null ? value : '';
-        break;
-      
-      default:
-        element.textContent = value != null ? value : '';
-        break;
+    const type = (element.type || '').toLowerCase();
+
+    if (type === 'checkbox') {
+      element.checked = Array.isArray(value) ? value.some(item => looseEqual(item, element.value)) : !!value;
+    } else if (type === 'radio') {
+      element.checked = looseEqual(value, element.value);
+    } else if (tagName === 'select' && element.multiple) {
+      const selected = Array.isArray(value) ? value : [];
+      Array.from(element.options).forEach(option => {
+        option.selected = selected.some(item => looseEqual(item, option.value));
+      });
+    } else if (tagName === 'input' || tagName === 'textarea' || tagName === 'select') {
+      const text = value != null ? String(value) : '';
+
+      // Rewriting an unchanged value would move the caret
+      if (element.value !== text) {
+        element.value = text;
+      }
+    } else {
+      const text = value != null ? String(value) : '';
+      if (element.textContent !== text) {
+        element.textContent = text;
+      }
     }
   }
 
@@ -196,7 +454,18 @@ export class BindingManager {
    * Clears all bindings
    */
   clear() {
+    this.watchers.forEach(watcher => watcher.stop());
+    this.watchers.clear();
     this.bindings.clear();
     this.observers.clear();
+    this.elementBindings = new WeakMap();
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Compares a bound value with a control's string value, so 2 matches "2"
+ * @private
+ */
+function looseEqual(a, b) {
+  return a === b || (a != null && b != null && String(a) === String(b));
+}
@@ -0,0 +1,106 @@
+/**
+ * Least-recently-used cache for compiled templates
+ */
+
+/**
+ * LRUCache class - a bounded Map that evicts the entry used longest ago
+ */
+export class LRUCache {
+  /**
+   * @param {number} maxSize - Maximum number of entries; 0 disables caching
+   */
+  constructor(maxSize = 100) {
+    if (!Number.isInteger(maxSize) || maxSize < 0) {
+      throw new Error(`Cache size must be a non-negative integer, got ${maxSize}`);
+    }
+
+    this.maxSize = maxSize;
+    this._entries = new Map();
+    this._resetStats();
+  }
+
+  /**
+   * Returns a cached value and marks it as most recently used
+   * @param {*} key - Cache key
+   * @returns {*} Cached value, or undefined on a miss
+   */
+  get(key) {
+    if (!this._entries.has(key)) {
+      this.misses++;
+      return undefined;
+    }
+
+    // Maps iterate in insertion order, so re-inserting moves the key to the end
+    const value = this._entries.get(key);
+    this._entries.delete(key);
+    this._entries.set(key, value);
+    this.hits++;
+    return value;
+  }
+
+  /**
+   * Stores a value, evicting the least recently used entry when full
+   * @param {*} key - Cache key
+   * @param {*} value - Value to cache
+   */
+  set(key, value) {
+    if (this.maxSize === 0) return;
+
+    this._entries.delete(key);
+    this._entries.set(key, value);
+
+    if (this._entries.size > this.maxSize) {
+      this._entries.delete(this._entries.keys().next().value);
+      this.evictions++;
+    }
+  }
+
+  delete(key) {
+    return this._entries.delete(key);
+  }
+
+  /**
+   * Removes all entries, keeping the statistics, for when the cached values
+   * went stale
+   */
+  invalidate() {
+    this._entries.clear();
+  }
+
+  /**
+   * Removes all entries and resets the statistics
+   */
+  clear() {
+    this._entries.clear();
+    this._resetStats();
+  }
+
+  get size() {
+    return this._entries.size;
+  }
+
+  /**
+   * Cache statistics
+   * @returns {Object} { size, maxSize, hits, misses, evictions, hitRate }
+   */
+  stats() {
+    const lookups = this.hits + this.misses;
+    return {
+      size: this._entries.size,
+      maxSize: this.maxSize,
+      hits: this.hits,
+      misses: this.misses,
+      evictions: this.evictions,
+      hitRate: lookups > 0 ? this.hits / lookups : 0
+    };
+  }
+
+  /**
+   * @private
+   */
+  _resetStats() {
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+  }
+}
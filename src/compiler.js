@@ -2,81 +2,505 @@
  * Compiler - converts AST to executable JavaScript functions
  */
 
-import { escapeHtml, deepGet, isValidPath } from './utils.js';
+import { isValidPath, hashTemplate, TEMPLATE_PATH_PATTERN, SAFE_GLOBALS } from './utils.js';
+import { parseExpression } from './expression.js';
+import { Runtime } from './runtime.js';
+import { installComponents } from './runtime/components.js';
+import { installSanitizer } from './runtime/sanitizer.js';
+import { installAwait } from './runtime/await.js';
+import { JframeError, JframeSyntaxError } from './errors.js';
+import { annotateContexts } from './html-context.js';
+
+// Built-in comparisons usable as (op a b) in conditions and helper arguments
+export const COMPARISON_OPERATORS = ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'and', 'or'];
+
+// Import specifier precompiled modules use for the shared runtime
+const DEFAULT_RUNTIME_MODULE = 'templating-engine/runtime';
+
+// Runtime extensions by module name (runtime/<name>.js), with the function installing each
+const RUNTIME_EXTENSIONS = { components: 'installComponents', sanitizer: 'installSanitizer', await: 'installAwait' };
+
+// Output pieces a streaming render buffers before yielding them as one chunk
+export const STREAM_CHUNK_PIECES = 256;
+
+// Constructor of function* functions, the streaming counterpart of Function
+const GeneratorFunction = Object.getPrototypeOf(function* () {}).constructor;
 
 /**
  * Compiler class - generates render functions from AST
  */
 export class Compiler {
+  /**
+   * @param {Object} options - Compiler options
+   * @param {boolean} options.sanitizeRaw - Pass {{{ }}} output through the runtime's HTML sanitizer
+   */
+  constructor(options = {}) {
+    this.partials = new Map();
+    this.sanitizeRaw = !!options.sanitizeRaw;
+
+    // Locations of the nodes in the template currently being generated
+    this._locations = [];
+
+    // Runtime extensions the template currently being generated calls, by module name
+    this._extensions = new Set();
+
+    // Passed to every render function for escaping, partial, helper and filter calls
+    this._runtime = new Runtime({ resolvePartial: name => this._resolvePartial(name) })
+      .use(installComponents)
+      .use(installSanitizer)
+      .use(installAwait);
+    this.helpers = this._runtime.helpers;
+    this.filters = this._runtime.filters;
+  }
+
+  /**
+   * Runtime the render functions from this compiler are bound to
+   * @returns {Runtime} Runtime instance
+   */
+  get runtime() {
+    return this._runtime;
+  }
+
   /**
    * Compiles AST to a render function
    * @param {Object} ast - Abstract Syntax Tree
+   * @param {Object} options - { source, name } of the template, used in error messages
    * @returns {Function} Compiled render function
    */
-  compile(ast) {
+  compile(ast, options = {}) {
     if (!ast || ast.type !== 'Root') {
       throw new Error('Invalid AST: expected Root node');
     }
 
-    const jsCode = this._generateJSCode(ast);
+    const { source = null, name = null } = options;
+    const jsCode = this._generateTemplateCode(ast, source, name);
 
     // Create function using Function constructor (safe for browser)
+    let render;
     try {
-      return new Function('ctx', jsCode);
+      render = new Function('ctx', '__runtime', jsCode);
     } catch (error) {
-      throw new Error(`Compilation failed: ${error.message}. Generated code: ${jsCode}`);
+      throw new JframeSyntaxError(`Compilation failed: ${error.message}. Generated code: ${jsCode}`, { source, templateName: name });
     }
+
+    return ctx => {
+      try {
+        return render(ctx, this._runtime);
+      } catch (error) {
+        if (error instanceof JframeError) this._attachSource(error, source, name);
+        throw error;
+      }
+    };
   }
 
   /**
-   * Generates JavaScript code from AST
+   * Compiles AST to a streaming render function. It returns an iterator of
+   * HTML chunks instead of a string: output is yielded between the rows of
+   * #each loops once enough has built up, so the first chunks are ready
+   * long before a large template finishes. Escaping is the same as compile().
+   * Slot content, partials and components are rendered whole.
+   * @param {Object} ast - Abstract Syntax Tree
+   * @param {Object} options - { source, name } of the template, used in error messages
+   * @returns {Function} (ctx) => Iterator of strings
+   */
+  compileStream(ast, options = {}) {
+    if (!ast || ast.type !== 'Root') {
+      throw new Error('Invalid AST: expected Root node');
+    }
+
+    const { source = null, name = null } = options;
+    const jsCode = this._generateTemplateCode(ast, source, name, true);
+
+    let render;
+    try {
+      render = new GeneratorFunction('ctx', '__runtime', jsCode);
+    } catch (error) {
+      throw new JframeSyntaxError(`Compilation failed: ${error.message}. Generated code: ${jsCode}`, { source, templateName: name });
+    }
+
+    return ctx => this._attachStreamSource(render(ctx, this._runtime), source, name);
+  }
+
+  /**
+   * Passes chunks through, attaching the template source to errors
    * @private
    */
-  _generateJSCode(ast) {
-    const lines = [
-      '"use strict";',
-      'var output = [];',
-      `var __escape = ${escapeHtml.toString()};`,
-      `var __get = ${deepGet.toString()};`
-    ];
+  *_attachStreamSource(chunks, source, name) {
+    try {
+      yield* chunks;
+    } catch (error) {
+      if (error instanceof JframeError) this._attachSource(error, source, name);
+      throw error;
+    }
+  }
+
+  /**
+   * Compiles AST to the source of a standalone ES module whose default export
+   * is the render function. The module imports the shared runtime rather than
+   * carrying its own copies of the escaping and lookup functions, plus the
+   * runtime extensions the template uses, which it installs before rendering.
+   * Extensions are imported from next to the runtime: runtime/components for
+   * a runtime specifier of 'runtime', runtime/components.js for 'runtime.js'.
+   * @param {Object} ast - Abstract Syntax Tree
+   * @param {Object} options - { source, name } of the template, plus `runtime`,
+   *   the import specifier of the runtime module
+   * @returns {string} Module source
+   */
+  compileToModule(ast, options = {}) {
+    if (!ast || ast.type !== 'Root') {
+      throw new Error('Invalid AST: expected Root node');
+    }
+
+    const { source = null, name = null, runtime = DEFAULT_RUNTIME_MODULE } = options;
+    const jsCode = this._generateTemplateCode(ast, source, name);
+    const extensions = Array.from(this._extensions, module => {
+      const specifier = runtime.endsWith('.js') ? `${runtime.slice(0, -3)}/${module}.js` : `${runtime}/${module}`;
+      return { install: `__${RUNTIME_EXTENSIONS[module]}`, name: RUNTIME_EXTENSIONS[module], specifier };
+    });
+
+    return [
+      `// Precompiled by jframe${name ? ` from ${name}` : ''}. Do not edit.`,
+      `import { runtime as __defaultRuntime } from ${JSON.stringify(runtime)};`,
+      ...extensions.map(extension => `import { ${extension.name} as ${extension.install} } from ${JSON.stringify(extension.specifier)};`),
+      '',
+      `export const templateName = ${JSON.stringify(name)};`,
+      '',
+      'function __render(ctx, __runtime) {',
+      ...jsCode.split('\n').map(line => '  ' + line),
+      '}',
+      '',
+      '// Pass a Runtime to use other helpers, filters and partials than the shared one',
+      'export default function render(ctx, runtime = __defaultRuntime) {',
+      ...extensions.map(extension => `  runtime.use(${extension.install});`),
+      '  try {',
+      '    return __render(ctx, runtime);',
+      '  } catch (error) {',
+      "    if (error && typeof error.attachSource === 'function') error.attachSource(null, templateName);",
+      '    throw error;',
+      '  }',
+      '}',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * Registers a helper function callable as {{name arg key=value}}
+   * @param {string} name - Helper name
+   * @param {Function} fn - Receives positional args plus an options object ({ name, hash })
+   */
+  registerHelper(name, fn) {
+    this._runtime.registerHelper(name, fn);
+  }
+
+  /**
+   * Registers a filter usable as {{ value | name:arg }}
+   * @param {string} name - Filter name
+   * @param {Function} fn - Receives the piped value followed by the filter arguments
+   */
+  registerFilter(name, fn) {
+    this._runtime.registerFilter(name, fn);
+  }
+
+  /**
+   * Registers a parsed partial template; it is compiled on first use.
+   * Partials double as the layouts templates extend.
+   * @param {string} name - Partial name used in {{> name}} and {{#extends "name"}}
+   * @param {Object} ast - Root AST node of the partial
+   * @param {string} source - Partial template source, used in error messages
+   */
+  registerPartial(name, ast, source = null) {
+    if (!ast || ast.type !== 'Root') {
+      throw new Error('Invalid AST: expected Root node');
+    }
+
+    // Partials that extend this one were merged with the old version when compiled
+    this.partials.forEach(partial => {
+      partial.render = null;
+    });
+    this.partials.set(name, { ast, source, render: null });
+  }
+
+  /**
+   * Returns a registered partial's render function, compiling and caching it on first use
+   * @private
+   */
+  _resolvePartial(name) {
+    const partial = this.partials.get(name);
+    if (!partial) {
+      return null;
+    }
+
+    if (!partial.render) {
+      this._assertPartialTerminates(name);
+      partial.render = this.compile(partial.ast, { source: partial.source, name });
+    }
+
+    return partial.render;
+  }
+
+  /**
+   * Rejects partials that include themselves outside of any #if or #each,
+   * since nothing could ever stop that recursion
+   * @private
+   */
+  _assertPartialTerminates(name) {
+    const visit = (current, chain) => {
+      const partial = this.partials.get(current);
+      if (!partial) return;
+
+      this._collectUnconditionalPartials(partial.ast.children).forEach(included => {
+        if (included === name) {
+          throw new Error(`Partial "${name}" includes itself without a terminating condition: ${[...chain, included].join(' > ')}`);
+        }
+        if (!chain.includes(included)) {
+          visit(included, [...chain, included]);
+        }
+      });
+    };
+
+    visit(name, [name]);
+  }
+
+  /**
+   * Collects partial names rendered unconditionally by the given nodes,
+   * looking inside components, slots and layout blocks but not inside
+   * #if, #each or #await
+   * @private
+   */
+  _collectUnconditionalPartials(nodes) {
+    return nodes.flatMap(node => {
+      switch (node.type) {
+        case 'Partial':
+          return [node.name];
+
+        case 'Component':
+          return [
+            ...node.attributes.flatMap(attribute => this._collectUnconditionalPartials(attribute.value || [])),
+            ...this._collectUnconditionalPartials(node.children)
+          ];
+
+        case 'Slot':
+        case 'SlotContent':
+        case 'Extends':
+        case 'Block':
+          return this._collectUnconditionalPartials(node.children);
+
+        default:
+          return [];
+      }
+    });
+  }
+
+  /**
+   * Generates the render function body, attaching the template source to
+   * syntax errors
+   * @private
+   */
+  _generateTemplateCode(ast, source, name, stream = false) {
+    try {
+      return this._generateJSCode(this._resolveLayout(ast, name), source, stream);
+    } catch (error) {
+      if (error instanceof JframeError) this._attachSource(error, source, name);
+      throw error;
+    }
+  }
+
+  /**
+   * Merges a template that extends a layout into that layout: each block
+   * of the layout is replaced by the template's block of the same name,
+   * with {{super}} standing for the layout's own content. Layouts may
+   * extend other layouts. Templates without {{#extends}} are returned as is;
+   * a block the layout does not define is an error.
+   * @private
+   * @param {Object} ast - Root AST node
+   * @param {string} name - Template name, used to detect layouts that extend themselves
+   * @param {Array} chain - Names of the templates extending this one
+   * @returns {Object} Root AST node without Extends nodes
+   */
+  _resolveLayout(ast, name = null, chain = []) {
+    const extendsNode = ast.children.find(node => node.type === 'Extends');
+    if (!extendsNode) return ast;
+
+    const layoutName = extendsNode.name;
+    const layout = this.partials.get(layoutName);
+    const path = name ? [...chain, name] : chain;
+
+    if (path.includes(layoutName)) {
+      throw new JframeSyntaxError(`Layout "${layoutName}" extends itself: ${[...path, layoutName].join(' > ')}`, { loc: extendsNode.loc });
+    }
+    if (!layout) {
+      throw new JframeSyntaxError(`Layout "${layoutName}" is not registered; register it as a partial`, { loc: extendsNode.loc });
+    }
+
+    const overrides = new Map();
+    collectBlocks(extendsNode.children, overrides);
+
+    const base = this._resolveLayout(layout.ast, layoutName, path);
+    const origin = { name: layoutName, source: layout.source };
+    const children = applyBlocks(cloneNodes(base.children, origin), overrides);
+
+    // Blocks inside an applied override are part of the result too, and may be new
+    const defined = new Map();
+    collectBlocks(children, defined);
+    const unknown = Array.from(overrides.values()).find(block => !defined.has(block.name));
+    if (unknown) {
+      throw new JframeSyntaxError(`Block "${unknown.name}" is not defined by layout "${layoutName}"`, { loc: unknown.loc, templateName: name });
+    }
+
+    return annotateContexts({ type: 'Root', children });
+  }
+
+  /**
+   * Fills in the template source of an error, using the layout's source
+   * when the error comes from a layout the template extends
+   * @private
+   */
+  _attachSource(error, source, name) {
+    const layout = error.templateName && error.templateName !== name ? this.partials.get(error.templateName) : null;
+    return error.attachSource(layout ? layout.source : source, name);
+  }
+
+  /**
+   * Generates JavaScript code from AST. Streaming code is the body of a
+   * generator that yields chunks of the output.
+   * @private
+   */
+  _generateJSCode(ast, source = null, stream = false) {
+    this._locations = [];
+    this._extensions = new Set();
+    this._loopCount = 0;
+    this._source = source;
+
+    // Whether the code being generated runs directly in the generator and may yield
+    this._streaming = stream;
+
+    const body = [];
 
     // Generate code for each child node
     ast.children.forEach(child => {
-      lines.push(...this._generateNodeCode(child));
+      body.push(...this._generateNodeCode(child));
     });
 
-    lines.push('return output.join("");');
+    // __node tracks the executing node so runtime errors map back to the template
+    const lines = [
+      '"use strict";',
+      'var output = [];',
+      'var __escape = __runtime.escape;',
+      'var __get = __runtime.get;',
+      'var __entries = __runtime.entries;',
+      `var __locations = ${JSON.stringify(this._locations)};`,
+      'var __node = -1;',
+      'try {',
+      ...body.map(line => '  ' + line),
+      '} catch (__error) {',
+      '  throw __runtime.error(__error, __locations[__node]);',
+      '}'
+    ];
+
+    lines.push(stream ? 'if (output.length > 0) yield output.join("");' : 'return output.join("");');
     return lines.join('\n');
   }
 
+  /**
+   * Records a node's location for runtime error mapping
+   * @private
+   * @returns {number} Index into the generated __locations table
+   */
+  _trackLocation(node) {
+    const source = node.origin ? node.origin.source : this._source;
+    let expression = null;
+    if (node.loc && typeof source === 'string') {
+      expression = source.slice(node.loc.offset, node.loc.end).replace(/^\{+|\}+$/g, '').trim();
+    }
+
+    const location = { loc: node.loc || null, expression };
+    if (node.origin) location.templateName = node.origin.name;
+
+    this._locations.push(location);
+    return this._locations.length - 1;
+  }
+
   /**
    * Generates JavaScript code for a single AST node
    * @private
    */
   _generateNodeCode(node, loopContext = null) {
+    try {
+      return this._generateNodeCodeUnchecked(node, loopContext);
+    } catch (error) {
+      if (error instanceof JframeError) throw error;
+      throw new JframeSyntaxError(error.message, { loc: node.loc, templateName: node.origin ? node.origin.name : null });
+    }
+  }
+
+  /**
+   * Generates node code without mapping errors to the node location
+   * @private
+   */
+  _generateNodeCodeUnchecked(node, loopContext) {
     const lines = [];
 
+    if (node.type !== 'Text') {
+      lines.push(`__node = ${this._trackLocation(node)};`);
+    }
+
     switch (node.type) {
       case 'Text':
         lines.push(`output.push(${JSON.stringify(node.value)});`);
         break;
 
       case 'Variable':
-        lines.push(...this._generateVariableCode(node.expression, false, loopContext));
+        lines.push(...this._generateVariableCode(node.expression, false, loopContext, node.filters, node.escape));
         break;
 
       case 'RawVariable':
-        lines.push(...this._generateVariableCode(node.expression, true, loopContext));
+        lines.push(...this._generateVariableCode(node.expression, true, loopContext, node.filters));
         break;
 
       case 'If':
         lines.push(...this._generateIfCode(node, loopContext));
         break;
 
+      case 'Await':
+        lines.push(...this._generateAwaitCode(node, loopContext));
+        break;
+
       case 'Each':
         lines.push(...this._generateEachCode(node, loopContext));
         break;
 
+      case 'Partial':
+        lines.push(...this._generatePartialCode(node, loopContext));
+        break;
+
+      case 'Event':
+        lines.push(...this._generateEventCode(node, loopContext));
+        break;
+
+      case 'Component':
+        lines.push(...this._generateComponentCode(node, loopContext));
+        break;
+
+      case 'Block':
+        node.children.forEach(child => {
+          lines.push(...this._generateNodeCode(child, loopContext));
+        });
+        break;
+
+      case 'Super':
+        throw new Error('{{super}} has no parent block to include; use it in a block that overrides a block of the layout');
+
+      case 'Slot':
+        this._extensions.add('components');
+        lines.push(`output.push(__runtime.slot(${JSON.stringify(node.name)}, ${this._generateContentFunctionCode(node.children, loopContext)}));`);
+        break;
+
+      case 'Helper': {
+        const helperCode = this._generateFilterCode(this._generateHelperCode(node, loopContext), node.filters, loopContext);
+        lines.push(`output.push(${node.raw ? this._generateRawCode(helperCode) : this._generateEscapeCode(helperCode, node.escape)});`);
+        break;
+      }
+
       default:
         throw new Error(`Unknown node type: ${node.type}`);
     }
@@ -88,7 +512,7 @@ export class Compiler {
    * Generates code for variable expressions
    * @private
    */
-  _generateVariableCode(expression, isRaw, loopContext) {
+  _generateVariableCode(expression, isRaw, loopContext, filters = [], escape = 'html') {
     const lines = [];
 
     // Validate expression
@@ -96,33 +520,60 @@ export class Compiler {
       throw new Error('Empty variable expression');
     }
 
-    const accessCode = this._generateAccessCode(expression, loopContext);
+    // Filters run before escaping so the final value is still escaped
+    const accessCode = this._generateFilterCode(this._generateAccessCode(expression, loopContext), filters, loopContext);
     if (isRaw) {
-      lines.push(`output.push(String(${accessCode}));`);
+      lines.push(`output.push(${this._generateRawCode(accessCode)});`);
     } else {
-      lines.push(`output.push(__escape(${accessCode}));`);
+      lines.push(`output.push(${this._generateEscapeCode(accessCode, escape)});`);
     }
 
     return lines;
   }
 
   /**
-   * Generates safe property access code for complex expressions
+   * Converts a value for {{{ }}} output, sanitized when sanitizeRaw is set
    * @private
    */
-  _generateAccessCode(expression, loopContext) {
-    // Handle 'this' in loop context
-    if (expression === 'this') {
-      return loopContext ? loopContext.itemName : 'ctx';
-    }
+  _generateRawCode(valueCode) {
+    if (!this.sanitizeRaw) return `String(${valueCode})`;
 
-    // Handle 'this.property' in loop context
-    if (expression.startsWith('this.')) {
-      const prop = expression.slice(5);
-      if (loopContext) {
-        return this._compileComplexExpression(`${loopContext.itemName}.${prop}`, loopContext);
+    this._extensions.add('sanitizer');
+    return `__runtime.sanitize(${valueCode})`;
+  }
+
+  /**
+   * Wraps a value in the escaper for the HTML context of its output tag
+   * @private
+   */
+  _generateEscapeCode(valueCode, escape = 'html') {
+    return escape === 'html' ? `__escape(${valueCode})` : `__runtime.escapeAs(${JSON.stringify(escape)}, ${valueCode})`;
+  }
+
+  /**
+   * Wraps a value expression in its filter pipeline, left to right
+   * @private
+   */
+  _generateFilterCode(valueCode, filters = [], loopContext) {
+    return filters.reduce((code, filter) => {
+      if (!this.filters.has(filter.name)) {
+        throw new Error(`Filter "${filter.name}" is not registered`);
       }
-      return this._compileComplexExpression(`ctx.${prop}`, loopContext);
+
+      const args = filter.args.map(arg => this._generateHelperArgumentCode(arg, loopContext));
+      return `__runtime.filter(${JSON.stringify(filter.name)}, ${code}, [${args.join(', ')}])`;
+    }, valueCode);
+  }
+
+  /**
+   * Generates safe property access code for complex expressions
+   * @private
+   */
+  _generateAccessCode(expression, loopContext) {
+    // Handle loop references: this, @index, block params, ../ and @parent
+    const loopAccess = this._resolveLoopPath(expression, loopContext);
+    if (loopAccess !== null) {
+      return loopAccess;
     }
 
     // Handle complex expressions with method calls, arithmetic, etc.
@@ -130,12 +581,114 @@ export class Compiler {
       return this._compileComplexExpression(expression, loopContext);
     }
 
+    // A bare name that matches a registered helper is a zero-argument call
+    if (this.helpers.has(expression)) {
+      return this._generateHelperCode({ name: expression, params: [], hash: {} }, loopContext);
+    }
+
     // Simple identifier or dot notation
-    if (/^[a-zA-Z_$][a-zA-Z0-9_$]*(\.[a-zA-Z_$][a-zA-Z0-9_$]*)*$/.test(expression)) {
+    if (isValidPath(expression)) {
       return `__get(ctx, ${JSON.stringify(expression)})`;
     }
 
-    throw new Error(`Invalid variable expression: ${expression}`);
+    // Anything else must parse as a template expression
+    return this._compileComplexExpression(expression, loopContext);
+  }
+
+  /**
+   * Resolves a dotted path whose head refers to the loop scope chain.
+   * Returns null when the path is an ordinary context lookup.
+   * @private
+   */
+  _resolveLoopPath(expression, loopContext) {
+    const match = expression.match(TEMPLATE_PATH_PATTERN);
+    if (!match) {
+      return null;
+    }
+
+    let [, parentSteps, head, rest] = match;
+    let depth = parentSteps ? parentSteps.match(/\.\.\/|@parent\./g).length : 0;
+
+    // A bare @parent is the enclosing scope's current item
+    if (head === '@parent') {
+      depth++;
+      head = 'this';
+    }
+
+    const scope = this._getLoopScope(loopContext, depth, expression);
+    let base = this._resolveLoopReference(head, scope);
+
+    if (base === null) {
+      if (depth === 0) {
+        return null;
+      }
+
+      // Plain names after ../ are properties of the enclosing item
+      base = scope ? scope.itemName : 'ctx';
+      rest = `.${head}${rest}`;
+    }
+
+    const path = rest.slice(1);
+    return path ? `__get(${base}, ${JSON.stringify(path)})` : base;
+  }
+
+  /**
+   * Walks up the loop context chain for ../ and @parent references
+   * @private
+   */
+  _getLoopScope(loopContext, depth, expression) {
+    let scope = loopContext;
+
+    for (let i = 0; i < depth; i++) {
+      if (!scope) {
+        throw new Error(`Invalid parent reference "${expression}": no enclosing {{#each}} scope`);
+      }
+      scope = scope.parent;
+    }
+
+    return scope;
+  }
+
+  /**
+   * Maps this, loop variables and block params to generated variable names.
+   * A null scope means the root context.
+   * @private
+   */
+  _resolveLoopReference(name, scope) {
+    if (name === 'this') {
+      return scope ? scope.itemName : 'ctx';
+    }
+
+    if (name.startsWith('@')) {
+      if (!scope) {
+        // @index outside of a loop has always rendered as 0
+        if (name === '@index') return '0';
+        throw new Error(`${name} can only be used inside an {{#each}} directive`);
+      }
+
+      switch (name) {
+        case '@index':
+          return scope.indexName;
+        case '@first':
+          return `(${scope.indexName} === 0)`;
+        case '@last':
+          return `(${scope.indexName} === ${scope.lengthName} - 1)`;
+        case '@length':
+          return scope.lengthName;
+        case '@key':
+          return scope.keyName;
+        default:
+          throw new Error(`Unknown loop variable: ${name}`);
+      }
+    }
+
+    // Block params stay visible inside nested loops
+    for (let current = scope; current; current = current.parent) {
+      if (name === current.itemAlias) return current.itemName;
+      if (name === current.indexAlias) return current.keyName;
+    }
+
+    return null;
   }
 
   /**
@@ -172,39 +725,210 @@ export class Compiler {
    * @private
    */
   _compileComplexExpression(expression, loopContext) {
-    let jsExpr = expression;
-
-    // Handle @index replacement
-    if (jsExpr.includes('@index')) {
-      if (loopContext && loopContext.indexName) {
-        jsExpr = jsExpr.replace(/@index/g, loopContext.indexName);
-      } else {
-        jsExpr = jsExpr.replace(/@index/g, '0');
-      }
+    let tree;
+    try {
+      tree = parseExpression(expression);
+    } catch (error) {
+      throw new Error(`Invalid complex expression: "${expression}". Error: ${error.message}`);
     }
 
-    // Handle 'this' replacement in loop context
-    if (loopContext) {
-      if (jsExpr === 'this') {
-        jsExpr = loopContext.itemName;
-      } else if (jsExpr.startsWith('this.')) {
-        jsExpr = loopContext.itemName + '.' + jsExpr.slice(5);
+    return this._generateExpressionCode(tree, loopContext, []);
+  }
+
+  /**
+   * Generates JavaScript for an expression tree. Free identifiers are read
+   * from the context unless they are arrow parameters or safe globals.
+   * @param {Function} [freeName] - Generates the lookup for a free identifier
+   * @private
+   */
+  _generateExpressionCode(node, loopContext, params, freeName = name => `__get(ctx, ${JSON.stringify(name)})`) {
+    const generate = child => this._generateExpressionCode(child, loopContext, params, freeName);
+
+    switch (node.type) {
+      case 'Literal':
+        return node.value === undefined ? 'undefined' : JSON.stringify(node.value);
+
+      case 'This':
+        return this._resolveLoopPath('this', loopContext);
+
+      case 'LoopReference':
+        return this._resolveLoopPath(node.path, loopContext);
+
+      case 'Identifier': {
+        if (params.includes(node.name)) {
+          return `__p_${node.name}`;
+        }
+
+        const loopAccess = this._resolveLoopPath(node.name, loopContext);
+        if (loopAccess !== null) {
+          return loopAccess;
+        }
+
+        return SAFE_GLOBALS.includes(node.name) ? node.name : freeName(node.name);
       }
-    }
 
-    // Handle arrow functions by converting them to regular functions
-    if (jsExpr.includes('=>')) {
-      jsExpr = jsExpr.replace(/([a-zA-Z_$][a-zA-Z0-9_$]*)\s*=>\s*(.+)/g, 'function($1) { return $2 }');
+      case 'Member': {
+        // Only literals need parentheses (1.5.toFixed); wrapping others would break ?. chains
+        const object = node.object.type === 'Literal' ? `(${generate(node.object)})` : generate(node.object);
+        const access = node.optional ? '?.' : '';
+        if (node.computed) {
+          return `${object}${access}[__runtime.property(${generate(node.property)})]`;
+        }
+        return `${object}${access || '.'}${node.property}`;
+      }
+
+      case 'Call':
+        return `${generate(node.callee)}${node.optional ? '?.' : ''}(${node.args.map(generate).join(', ')})`;
+
+      case 'Unary':
+        return `(${node.operator === 'typeof' ? 'typeof ' : node.operator}${generate(node.argument)})`;
+
+      case 'Binary':
+        return `(${generate(node.left)} ${node.operator} ${generate(node.right)})`;
+
+      case 'Conditional':
+        return `(${generate(node.test)} ? ${generate(node.consequent)} : ${generate(node.alternate)})`;
+
+      case 'Array':
+        return `[${node.elements.map(generate).join(', ')}]`;
+
+      case 'Arrow': {
+        const arrowParams = [...params, ...node.params];
+        const body = this._generateExpressionCode(node.body, loopContext, arrowParams, freeName);
+        return `((${node.params.map(param => `__p_${param}`).join(', ')}) => (${body}))`;
+      }
+
+      default:
+        throw new Error(`Unknown expression node: ${node.type}`);
     }
+  }
 
-    // Validate the expression
+  /**
+   * Generates code for an on:event attribute. The handler expression runs
+   * when the event fires, so the loop variables it may use are captured now;
+   * `event` is the DOM event and other free names resolve against the
+   * handlers passed to render() before the context.
+   * @private
+   */
+  _generateEventCode(node, loopContext) {
+    return [`output.push(${this._generateEventAttributeCode(node, loopContext)});`];
+  }
+
+  /**
+   * Generates the expression rendering an on:event attribute
+   * @private
+   */
+  _generateEventAttributeCode(node, loopContext) {
+    let tree;
     try {
-      // Test if it's valid JS
-      new Function('return ' + jsExpr);
-      return jsExpr;
+      tree = parseExpression(node.handler);
     } catch (error) {
-      throw new Error(`Invalid complex expression: "${expression}". Error: ${error.message}`);
+      throw new Error(`Invalid event handler: "${node.handler}". Error: ${error.message}`);
     }
+
+    const body = this._generateExpressionCode(tree, loopContext, ['event'],
+      name => `__runtime.lookup(__handlers, ctx, ${JSON.stringify(name)})`);
+
+    const captured = [];
+    for (let scope = loopContext; scope; scope = scope.parent) {
+      captured.push(scope.itemName, scope.indexName, scope.keyName, scope.lengthName);
+    }
+
+    const handler = `function (__p_event, __handlers) { return ${body}; }`;
+    const code = captured.length > 0
+      ? `(function (${captured.join(', ')}) { return ${handler}; })(${captured.join(', ')})`
+      : `(${handler})`;
+
+    return `__runtime.event(${JSON.stringify(node.event)}, ${code})`;
+  }
+
+  /**
+   * Generates code for a custom element tag. Output in attribute values is
+   * passed unescaped along with the context to escape it for, since a
+   * registered component takes it as a prop; slot content renders on demand.
+   * @private
+   */
+  _generateComponentCode(node, loopContext) {
+    this._extensions.add('components');
+    const attributes = node.attributes.map(attribute => {
+      const name = JSON.stringify(attribute.name);
+      if (!attribute.value) {
+        return `{ name: ${name}, quote: "", parts: null, escapes: null }`;
+      }
+
+      const parts = attribute.value.map(part => this._generateAttributePartCode(part, loopContext));
+      const escapes = attribute.value.map(part => (part.type === 'Text' || part.type === 'RawVariable' || part.raw ? null : part.escape));
+      return `{ name: ${name}, quote: ${JSON.stringify(attribute.quote)}, parts: [${parts.join(', ')}], escapes: ${JSON.stringify(escapes)} }`;
+    });
+
+    const events = node.events.map(event => this._generateEventAttributeCode(event, loopContext));
+
+    const slots = this._getSlotContents(node).map(([name, children]) => {
+      return `${JSON.stringify(name)}: ${this._generateContentFunctionCode(children, loopContext)}`;
+    });
+
+    return [`output.push(__runtime.component(${JSON.stringify(node.tag)}, [${attributes.join(', ')}], [${events.join(', ')}], { ${slots.join(', ')} }));`];
+  }
+
+  /**
+   * Splits a component's content into [name, nodes] pairs; content that is
+   * only whitespace gives no default slot, so the slot's own content shows
+   * @private
+   */
+  _getSlotContents(node) {
+    const defaultContent = node.children.filter(child => child.type !== 'SlotContent');
+    const hasDefault = defaultContent.some(child => child.type !== 'Text' || child.value.trim() !== '');
+
+    return [
+      ...(hasDefault ? [['default', defaultContent]] : []),
+      ...node.children.filter(child => child.type === 'SlotContent').map(child => [child.name, child.children])
+    ];
+  }
+
+  /**
+   * Generates the value of an output tag or text inside a component attribute
+   * @private
+   */
+  _generateAttributePartCode(part, loopContext) {
+    switch (part.type) {
+      case 'Text':
+        return JSON.stringify(part.value);
+
+      case 'Helper': {
+        const helperCode = this._generateFilterCode(this._generateHelperCode(part, loopContext), part.filters, loopContext);
+        return part.raw ? this._generateRawCode(helperCode) : helperCode;
+      }
+
+      default: {
+        if (!part.expression.trim()) {
+          throw new Error('Empty variable expression');
+        }
+
+        const valueCode = this._generateFilterCode(this._generateAccessCode(part.expression, loopContext), part.filters, loopContext);
+        return part.type === 'RawVariable' ? this._generateRawCode(valueCode) : valueCode;
+      }
+    }
+  }
+
+  /**
+   * Generates a function rendering nodes to a string, for slot content
+   * @private
+   */
+  _generateContentFunctionCode(nodes, loopContext) {
+    const lines = ['function () {', '  var output = [];'];
+    const streaming = this._streaming;
+    this._streaming = false;
+
+    try {
+      nodes.forEach(child => {
+        this._generateNodeCode(child, loopContext).forEach(line => lines.push('  ' + line));
+      });
+    } finally {
+      this._streaming = streaming;
+    }
+
+    lines.push('  return output.join("");', '}');
+    return lines.join('\n');
   }
 
   /**
@@ -222,6 +946,56 @@ export class Compiler {
       childLines.forEach(line => lines.push('  ' + line));
     });
 
+    if (node.alternate) {
+      lines.push('} else {');
+      node.alternate.forEach(child => {
+        const childLines = this._generateNodeCode(child, loopContext);
+        childLines.forEach(line => lines.push('  ' + line));
+      });
+    }
+
+    lines.push('}');
+
+    return lines;
+  }
+
+  /**
+   * Generates code for await directives. A branch that names the settled
+   * value runs in a block whose ctx has the name layered over it.
+   * @private
+   */
+  _generateAwaitCode(node, loopContext) {
+    const lines = [];
+    const stateName = `await_${this._loopCount++}`;
+    const valueCode = this._generateAccessCode(node.expression, loopContext);
+    this._extensions.add('await');
+
+    lines.push(`var ${stateName} = __runtime.awaited(${valueCode});`);
+    lines.push(`if (${stateName}.status === "pending") {`);
+
+    node.children.forEach(child => {
+      const childLines = this._generateNodeCode(child, loopContext);
+      childLines.forEach(line => lines.push('  ' + line));
+    });
+
+    [['fulfilled', node.resolved], ['rejected', node.rejected]].forEach(([status, branch]) => {
+      if (!branch) return;
+
+      lines.push(`} else if (${stateName}.status === "${status}") {`);
+      const indent = branch.alias ? '    ' : '  ';
+      if (branch.alias) {
+        lines.push(`  var ${stateName}_ctx = __runtime.scope(ctx, ${JSON.stringify(branch.alias)}, ${stateName}.value);`);
+        lines.push('  {', `    let ctx = ${stateName}_ctx;`);
+      }
+
+      branch.children.forEach(child => {
+        const childLines = this._generateNodeCode(child, loopContext);
+        childLines.forEach(line => lines.push(indent + line));
+      });
+
+      if (branch.alias) lines.push('  }');
+    });
+
     lines.push('}');
 
     return lines;
@@ -232,6 +1006,11 @@ export class Compiler {
    * @private
    */
   _generateConditionCode(condition, loopContext) {
+    // Helper calls are parsed into Helper nodes
+    if (typeof condition === 'object') {
+      return `!!(${this._generateHelperCode(condition, loopContext)})`;
+    }
+
     condition = condition.trim();
 
     // Handle comparison operations like (eq a b), (lt a b), etc.
@@ -240,27 +1019,7 @@ export class Compiler {
       const [, operator, left, right] = comparisonMatch;
       const leftCode = this._generateComparisonOperand(left.trim(), loopContext);
       const rightCode = this._generateComparisonOperand(right.trim(), loopContext);
-
-      switch (operator) {
-        case 'eq':
-          return `${leftCode} === ${rightCode}`;
-        case 'neq':
-          return `${leftCode} !== ${rightCode}`;
-        case 'gt':
-          return `${leftCode} > ${rightCode}`;
-        case 'gte':
-          return `${leftCode} >= ${rightCode}`;
-        case 'lt':
-          return `${leftCode} < ${rightCode}`;
-        case 'lte':
-          return `${leftCode} <= ${rightCode}`;
-        case 'and':
-          return `${leftCode} && ${rightCode}`;
-        case 'or':
-          return `${leftCode} || ${rightCode}`;
-        default:
-          throw new Error(`Unsupported comparison operator: ${operator}`);
-      }
+      return this._generateComparisonCode(operator, leftCode, rightCode);
     }
 
     // Handle complex conditions - Use _generateAccessCode for proper context access
@@ -269,22 +1028,88 @@ export class Compiler {
       return `!!(${valueCode})`;
     }
 
-    // Handle 'this.property' in loop context
-    if (condition.startsWith('this.')) {
-      const prop = condition.slice(5);
-      if (loopContext) {
-        return `!!${loopContext.itemName}.${prop}`;
+    // Handle simple truthy checks, including this.property and loop variables
+    if (isValidPath(condition) || TEMPLATE_PATH_PATTERN.test(condition)) {
+      const valueCode = this._generateAccessCode(condition, loopContext);
+      return `!!${valueCode}`;
+    }
+
+    // Any other template expression, e.g. a > b
+    return `!!(${this._compileComplexExpression(condition, loopContext)})`;
+  }
+
+  /**
+   * Generates code for a built-in comparison operator
+   * @private
+   */
+  _generateComparisonCode(operator, leftCode, rightCode) {
+    switch (operator) {
+      case 'eq':
+        return `${leftCode} === ${rightCode}`;
+      case 'neq':
+        return `${leftCode} !== ${rightCode}`;
+      case 'gt':
+        return `${leftCode} > ${rightCode}`;
+      case 'gte':
+        return `${leftCode} >= ${rightCode}`;
+      case 'lt':
+        return `${leftCode} < ${rightCode}`;
+      case 'lte':
+        return `${leftCode} <= ${rightCode}`;
+      case 'and':
+        return `${leftCode} && ${rightCode}`;
+      case 'or':
+        return `${leftCode} || ${rightCode}`;
+      default:
+        throw new Error(`Unsupported comparison operator: ${operator}`);
+    }
+  }
+
+  /**
+   * Generates code for a Helper node. Unregistered comparison names fall
+   * back to the built-in operators so (eq a b) works as a sub-expression.
+   * @private
+   */
+  _generateHelperCode(node, loopContext) {
+    const params = node.params.map(param => this._generateHelperArgumentCode(param, loopContext));
+    const hashKeys = Object.keys(node.hash);
+
+    if (!this.helpers.has(node.name)) {
+      if (COMPARISON_OPERATORS.includes(node.name) && params.length === 2 && hashKeys.length === 0) {
+        return `(${this._generateComparisonCode(node.name, params[0], params[1])})`;
       }
-      return `!!__get(ctx, ${JSON.stringify(prop)})`;
+      throw new Error(`Helper "${node.name}" is not registered`);
     }
 
-    // Handle simple truthy checks
-    if (/^[a-zA-Z_$][a-zA-Z0-9_$]*(\.[a-zA-Z_$][a-zA-Z0-9_$]*)*$/.test(condition)) {
-      const valueCode = this._generateAccessCode(condition, loopContext);
-      return `!!${valueCode}`;
+    const hashEntries = hashKeys.map(key => {
+      return `${JSON.stringify(key)}: ${this._generateHelperArgumentCode(node.hash[key], loopContext)}`;
+    });
+    const scopeCode = this._generateAccessCode('this', loopContext);
+
+    // The built-in sanitize helper comes with the sanitizer extension
+    if (node.name === 'sanitize-html') {
+      this._extensions.add('sanitizer');
+    }
+
+    return `__runtime.helper(${JSON.stringify(node.name)}, ${scopeCode}, [${params.join(', ')}], { ${hashEntries.join(', ')} })`;
+  }
+
+  /**
+   * Generates code for a helper argument: a literal, a path or a nested Helper node
+   * @private
+   */
+  _generateHelperArgumentCode(argument, loopContext) {
+    if (typeof argument === 'object') {
+      return this._generateHelperCode(argument, loopContext);
     }
 
-    throw new Error(`Invalid condition expression: ${condition}`);
+    // Paths are always looked up, even when they end in e.g. .length
+    if (TEMPLATE_PATH_PATTERN.test(argument) && !['true', 'false', 'null', 'undefined'].includes(argument)) {
+      const loopAccess = this._resolveLoopPath(argument, loopContext);
+      return loopAccess !== null ? loopAccess : `__get(ctx, ${JSON.stringify(argument)})`;
+    }
+
+    return this._generateComparisonOperand(argument, loopContext);
   }
 
   /**
@@ -305,6 +1130,11 @@ export class Compiler {
       return operand;
     }
 
+    // Boolean, null and undefined literals
+    if (['true', 'false', 'null', 'undefined'].includes(operand)) {
+      return operand;
+    }
+
     // Handle complex expressions
     if (this._isComplexExpression(operand)) {
       return this._compileComplexExpression(operand, loopContext);
@@ -314,6 +1144,36 @@ export class Compiler {
     return this._generateAccessCode(operand, loopContext);
   }
 
+  /**
+   * Generates code for partial inclusion. The partial receives the current
+   * scope (or the given context expression) with hash parameters on top.
+   * @private
+   */
+  _generatePartialCode(node, loopContext) {
+    const contextCode = this._generateAccessCode(node.context || 'this', loopContext);
+
+    const hashEntries = Object.keys(node.hash).map(key => {
+      return `${JSON.stringify(key)}: ${this._generateComparisonOperand(node.hash[key], loopContext)}`;
+    });
+    const hashCode = hashEntries.length > 0 ? `{ ${hashEntries.join(', ')} }` : 'null';
+
+    return [`output.push(__runtime.partial(${JSON.stringify(node.name)}, ${contextCode}, ${hashCode}));`];
+  }
+
+  /**
+   * Identifies a keyed list by a hash of its template and the position of
+   * its #each tag, so lists from partials and layouts rendered into the
+   * same element keep apart
+   * @private
+   * @param {Object} node - Each node
+   * @param {number} fallback - Position to use for nodes without a location
+   * @returns {string} List id
+   */
+  _getListId(node, fallback) {
+    const source = node.origin ? node.origin.source : this._source;
+    return `${hashTemplate(source || '')}-${node.loc ? node.loc.offset : fallback}`;
+  }
+
   /**
    * Generates code for each directives
    * @private
@@ -322,33 +1182,160 @@ export class Compiler {
     const lines = [];
     const itemsCode = this._generateAccessCode(node.items, parentLoopContext);
 
-    // Generate unique variable names to avoid conflicts
-    const loopId = Math.random().toString(36).substr(2, 9);
+    // Numbered per template so precompiled output is reproducible
+    const loopId = this._loopCount++;
     const itemName = `item_${loopId}`;
     const indexName = `index_${loopId}`;
-    const arrayName = `items_${loopId}`;
+    const keyName = `key_${loopId}`;
+    const entriesName = `entries_${loopId}`;
+    const lengthName = `length_${loopId}`;
     
-    // Create loop context with indexName for @index replacement
+    // Create loop context used to resolve this, @-variables and block params
     const loopContext = { 
       itemName, 
       indexName, 
+      keyName,
+      lengthName,
+      itemAlias: node.itemAlias || null,
+      indexAlias: node.indexAlias || null,
       parent: parentLoopContext 
     };
 
-    lines.push(`var ${arrayName} = ${itemsCode};`);
-    lines.push(`if (Array.isArray(${arrayName})) {`);
-    lines.push(`  for (var ${indexName} = 0; ${indexName} < ${arrayName}.length; ${indexName}++) {`);
-    lines.push(`    var ${itemName} = ${arrayName}[${indexName}];`);
+    // Keyed rows are wrapped in marker comments identifying the list
+    const list = this._getListId(node, loopId);
+    const seenName = `seen_${loopId}`;
+
+    // Arrays, Maps, Sets, iterables and plain objects all become [key, value] pairs
+    lines.push(`var ${entriesName} = __entries(${itemsCode});`);
+    if (node.key) {
+      lines.push(`var ${seenName} = new Set();`);
+    }
+    lines.push(`if (${entriesName}.length > 0) {`);
+    lines.push(`  var ${lengthName} = ${entriesName}.length;`);
+    lines.push(`  for (var ${indexName} = 0; ${indexName} < ${lengthName}; ${indexName}++) {`);
+    lines.push(`    var ${keyName} = ${entriesName}[${indexName}][0];`);
+    lines.push(`    var ${itemName} = ${entriesName}[${indexName}][1];`);
+    if (node.key) {
+      lines.push(`    output.push(__runtime.rowMarker(${JSON.stringify(list)}, ${this._generateRowKeyCode(node.key, loopContext)}, ${seenName}));`);
+    }
 
-    // Pass loopContext to child nodes for @index and this replacement
+    // Pass loopContext to child nodes for loop reference resolution
     node.children.forEach(child => {
       const childLines = this._generateNodeCode(child, loopContext);
       childLines.forEach(line => lines.push('      ' + line));
     });
 
+    if (this._streaming) {
+      lines.push(`    if (output.length >= ${STREAM_CHUNK_PIECES}) {`);
+      lines.push('      yield output.join("");');
+      lines.push('      output = [];');
+      lines.push('    }');
+    }
+
     lines.push('  }');
+
+    // {{else}} inside #each renders when there is nothing to iterate
+    if (node.alternate) {
+      lines.push('} else {');
+      node.alternate.forEach(child => {
+        const childLines = this._generateNodeCode(child, parentLoopContext);
+        childLines.forEach(line => lines.push('  ' + line));
+      });
+    }
+
     lines.push('}');
 
+    if (node.key) {
+      lines.push(`output.push(__runtime.listEnd(${JSON.stringify(list)}));`);
+    }
+
     return lines;
   }
-}
\ No newline at end of file
+
+  /**
+   * Generates code for a row key. Keys are paths on the item unless they
+   * start with this, a loop variable, a block param or a parent reference.
+   * @private
+   */
+  _generateRowKeyCode(key, loopContext) {
+    const loopAccess = this._resolveLoopPath(key, loopContext);
+    return loopAccess !== null ? loopAccess : this._resolveLoopPath(`this.${key}`, loopContext);
+  }
+}
+
+/**
+ * Collects the blocks a template defines, including nested ones
+ * @private
+ */
+function collectBlocks(nodes, blocks) {
+  nodes.forEach(node => {
+    if (node.type === 'Block') blocks.set(node.name, node);
+    if (node.children) collectBlocks(node.children, blocks);
+    if (node.alternate) collectBlocks(node.alternate, blocks);
+    if (node.resolved) collectBlocks(node.resolved.children, blocks);
+    if (node.rejected) collectBlocks(node.rejected.children, blocks);
+  });
+}
+
+/**
+ * Replaces the content of overridden blocks. Blocks nested in a layout
+ * block are overridden first, so {{super}} includes the updated content.
+ * @private
+ */
+function applyBlocks(nodes, overrides) {
+  return nodes.map(node => {
+    if (node.type !== 'Block') {
+      return mapBranches(node, branch => applyBlocks(branch, overrides));
+    }
+
+    const children = applyBlocks(node.children, overrides);
+    const override = overrides.get(node.name);
+
+    return { ...node, children: override ? replaceSuper(cloneNodes(override.children), children) : children };
+  });
+}
+
+/**
+ * Replaces {{super}} with the parent block's content. Blocks nested in the
+ * override keep theirs, which refers to their own parent.
+ * @private
+ */
+function replaceSuper(nodes, parentContent) {
+  return nodes.flatMap(node => {
+    if (node.type === 'Super') return cloneNodes(parentContent);
+    if (node.type === 'Block') return [node];
+    return [mapBranches(node, branch => replaceSuper(branch, parentContent))];
+  });
+}
+
+/**
+ * Copies a node with its children and alternate branches mapped
+ * @private
+ */
+function mapBranches(node, map) {
+  if (!node.children && !node.alternate) return node;
+
+  const copy = { ...node };
+  if (node.children) copy.children = map(node.children);
+  if (node.alternate) copy.alternate = map(node.alternate);
+  if (node.resolved) copy.resolved = { ...node.resolved, children: map(node.resolved.children) };
+  if (node.rejected) copy.rejected = { ...node.rejected, children: map(node.rejected.children) };
+  return copy;
+}
+
+/**
+ * Deep-copies AST nodes. With an origin, nodes not yet marked with one
+ * are marked as coming from that layout, so errors point into its source.
+ * @private
+ */
+function cloneNodes(value, origin = null) {
+  if (Array.isArray(value)) return value.map(item => cloneNodes(item, origin));
+  if (!value || typeof value !== 'object') return value;
+
+  const copy = {};
+  Object.keys(value).forEach(key => {
+    copy[key] = key === 'origin' ? value[key] : cloneNodes(value[key], origin);
+  });
+  if (origin && typeof value.type === 'string' && !copy.origin) copy.origin = origin;
+  return copy;
+}
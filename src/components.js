@@ -0,0 +1,404 @@
+/**
+ * Component tags - finds custom element tags (<user-card user="{{author}}">),
+ * <slot> placeholders and <template slot="name"> slot content in a parsed
+ * template and replaces their markup with Component, Slot and SlotContent
+ * nodes. Whether a custom tag is a registered component is only known when
+ * rendering; other custom tags render back as the markup they came from.
+ */
+
+// Custom element names contain a hyphen; <slot> marks where slot content goes
+const TAG_START_PATTERN = /<([a-zA-Z][a-zA-Z0-9]*-[a-zA-Z0-9.-]*|slot|template)(?=[\s/>])/g;
+
+// Nodes that may form (part of) an attribute value
+const OUTPUT_TYPES = ['Variable', 'RawVariable', 'Helper'];
+
+/**
+ * Replaces component, slot and slot content markup throughout a template
+ * @param {Object} root - Root AST node
+ * @returns {Object} The same AST
+ */
+export function extractComponents(root) {
+  root.children = extractNodes(root.children, false);
+  return root;
+}
+
+/**
+ * Converts a kebab-case attribute name to the camelCase prop it sets
+ * @param {string} name - Attribute name, such as user-id
+ * @returns {string} Prop name, such as userId
+ */
+export function toPropName(name) {
+  return name.replace(/-([a-z0-9])/g, (match, char) => char.toUpperCase());
+}
+
+/**
+ * Extracts elements from one list of sibling nodes. An element is only
+ * extracted when its start and end tags are siblings, so markup split
+ * across {{#if}} branches stays text.
+ * @private
+ */
+function extractNodes(nodes, isComponentContent) {
+  const result = [];
+  let text = null;
+
+  const pushText = (value, loc) => {
+    if (!value) return;
+    if (text) {
+      text.value += value;
+    } else {
+      text = { type: 'Text', value, loc };
+      result.push(text);
+    }
+  };
+
+  const pushNode = node => {
+    text = null;
+    result.push(node);
+  };
+
+  let index = 0;
+  let offset = 0;
+
+  while (index < nodes.length) {
+    const node = nodes[index];
+
+    if (node.type !== 'Text') {
+      pushNode(extractBranches(node));
+      index++;
+      offset = 0;
+      continue;
+    }
+
+    const start = findTagStart(node.value, offset, isComponentContent);
+    if (start === null) {
+      pushText(node.value.slice(offset), node.loc);
+      index++;
+      offset = 0;
+      continue;
+    }
+
+    const cursor = new Cursor(nodes, index, start.offset);
+    const element = parseElement(cursor, start.tag);
+
+    if (element) {
+      pushText(node.value.slice(offset, start.offset), node.loc);
+      element.loc = node.loc;
+      pushNode(element);
+      index = cursor.index;
+      offset = cursor.offset;
+    } else {
+      // Not an element we can take apart; keep the '<' as text and move on
+      pushText(node.value.slice(offset, start.offset + 1), node.loc);
+      offset = start.offset + 1;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Extracts elements inside the branches of #if, #each and #await blocks and
+ * inside layout blocks
+ * @private
+ */
+function extractBranches(node) {
+  if (node.type === 'Extends' || node.type === 'Block') {
+    node.children = extractNodes(node.children, false);
+  } else if (node.type === 'If' || node.type === 'Each') {
+    node.children = extractNodes(node.children, false);
+    if (node.alternate) {
+      node.alternate = extractNodes(node.alternate, false);
+    }
+  } else if (node.type === 'Await') {
+    node.children = extractNodes(node.children, false);
+    [node.resolved, node.rejected].filter(Boolean).forEach(branch => {
+      branch.children = extractNodes(branch.children, false);
+    });
+  }
+  return node;
+}
+
+/**
+ * Finds the next start tag worth extracting, skipping comments
+ * @private
+ */
+function findTagStart(value, offset, isComponentContent) {
+  TAG_START_PATTERN.lastIndex = offset;
+
+  for (let match; (match = TAG_START_PATTERN.exec(value));) {
+    const comment = value.lastIndexOf('<!--', match.index);
+    const commentEnd = comment >= offset ? value.indexOf('-->', comment) : -2;
+    if (commentEnd === -1) return null;
+    if (commentEnd > match.index) {
+      TAG_START_PATTERN.lastIndex = commentEnd + 3;
+      continue;
+    }
+
+    const tag = match[1].toLowerCase();
+    if (tag !== 'template' || isComponentContent) {
+      return { tag, offset: match.index };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Parses an element from its start tag to its end tag
+ * @private
+ * @returns {Object|null} Component, Slot or SlotContent node
+ */
+function parseElement(cursor, tag) {
+  const startTag = parseStartTag(cursor, tag);
+  if (!startTag) return null;
+
+  let children = [];
+  if (!startTag.selfClosing) {
+    children = parseContent(cursor, tag);
+    if (!children) return null;
+  }
+
+  if (tag === 'slot' || tag === 'template') {
+    const nameAttribute = startTag.attributes.find(attribute => attribute.name.toLowerCase() === (tag === 'slot' ? 'name' : 'slot'));
+    const name = nameAttribute ? getStaticValue(nameAttribute) : 'default';
+
+    // <template> without slot="..." is ordinary markup, and slot names must be literal
+    if (name === null || (tag === 'template' && !nameAttribute) || startTag.events.length > 0) return null;
+
+    return {
+      type: tag === 'slot' ? 'Slot' : 'SlotContent',
+      name,
+      children: extractNodes(children, false)
+    };
+  }
+
+  return {
+    type: 'Component',
+    tag,
+    attributes: startTag.attributes,
+    events: startTag.events,
+    children: extractNodes(children, true)
+  };
+}
+
+/**
+ * Parses a start tag's attributes. Values may mix text with output tags;
+ * on:event attributes are collected separately.
+ * @private
+ */
+function parseStartTag(cursor, tag) {
+  cursor.advance(tag.length + 1);
+  const attributes = [];
+  const events = [];
+
+  for (;;) {
+    cursor.skipWhitespace();
+    const next = cursor.peek();
+
+    if (next === null) return null;
+
+    if (typeof next === 'object') {
+      // Output in place of an attribute name, or a block inside the tag
+      if (next.type !== 'Event') return null;
+      events.push(next);
+      cursor.advance();
+      continue;
+    }
+
+    if (next === '>') {
+      cursor.advance();
+      return { attributes, events, selfClosing: false };
+    }
+
+    if (next === '/') {
+      cursor.advance();
+      if (cursor.peek() === '>') {
+        cursor.advance();
+        return { attributes, events, selfClosing: true };
+      }
+      continue;
+    }
+
+    const name = cursor.match(/[^\s"'>/=]+/y);
+    if (!name) return null;
+    cursor.skipWhitespace();
+
+    if (cursor.peek() !== '=') {
+      attributes.push({ name, quote: '', value: null });
+      continue;
+    }
+
+    cursor.advance();
+    cursor.skipWhitespace();
+    const value = parseAttributeValue(cursor);
+    if (!value) return null;
+
+    attributes.push({ name, quote: value.quote, value: value.parts });
+  }
+}
+
+/**
+ * Parses a quoted or unquoted attribute value into Text and output nodes
+ * @private
+ */
+function parseAttributeValue(cursor) {
+  const first = cursor.peek();
+  const quote = first === '"' || first === "'" ? first : '';
+  const parts = [];
+
+  if (quote) cursor.advance();
+
+  for (;;) {
+    const next = cursor.peek();
+    if (next === null) return null;
+
+    if (typeof next === 'object') {
+      if (!OUTPUT_TYPES.includes(next.type)) return null;
+      parts.push(next);
+      cursor.advance();
+      continue;
+    }
+
+    if (quote ? next === quote : /[\s>]/.test(next)) {
+      if (quote) cursor.advance();
+      return { quote, parts };
+    }
+
+    const value = cursor.match(quote ? new RegExp(`[^${quote}]+`, 'y') : /[^\s>]+/y);
+    parts.push({ type: 'Text', value, loc: cursor.node.loc });
+  }
+}
+
+/**
+ * Collects the nodes up to the matching end tag and moves past it
+ * @private
+ * @returns {Array|null} Content nodes, or null when the end tag is not a sibling
+ */
+function parseContent(cursor, tag) {
+  const content = [];
+  const pattern = new RegExp(`<(/?)${tag.replace(/[.-]/g, '\\$&')}(?=[\\s/>])`, 'gi');
+  let depth = 0;
+
+  while (cursor.index < cursor.nodes.length) {
+    const node = cursor.node;
+
+    if (node.type !== 'Text') {
+      content.push(node);
+      cursor.advance();
+      continue;
+    }
+
+    pattern.lastIndex = cursor.offset;
+    let match;
+    while ((match = pattern.exec(node.value))) {
+      if (!match[1]) {
+        // Nested tags of the same name, unless they close themselves
+        const end = node.value.indexOf('>', match.index);
+        if (end === -1 || node.value[end - 1] !== '/') depth++;
+        continue;
+      }
+
+      if (depth > 0) {
+        depth--;
+        continue;
+      }
+
+      const close = /<\/[^>]*>/y;
+      close.lastIndex = match.index;
+      if (!close.exec(node.value)) return null;
+
+      if (match.index > cursor.offset) {
+        content.push({ type: 'Text', value: node.value.slice(cursor.offset, match.index), loc: node.loc });
+      }
+      cursor.offset = close.lastIndex;
+      return content;
+    }
+
+    if (cursor.offset < node.value.length) {
+      content.push(cursor.offset === 0 ? node : { type: 'Text', value: node.value.slice(cursor.offset), loc: node.loc });
+    }
+    cursor.index++;
+    cursor.offset = 0;
+  }
+
+  return null;
+}
+
+/**
+ * Returns an attribute's value when it has no output tags in it
+ * @private
+ */
+function getStaticValue(attribute) {
+  if (!attribute.value) return '';
+  return attribute.value.every(part => part.type === 'Text') ? attribute.value.map(part => part.value).join('') : null;
+}
+
+/**
+ * Position in a list of sibling nodes: a node and, for Text nodes, an
+ * offset into its value. Other nodes are read as single items.
+ * @private
+ */
+class Cursor {
+  constructor(nodes, index, offset) {
+    this.nodes = nodes;
+    this.index = index;
+    this.offset = offset;
+  }
+
+  get node() {
+    return this.nodes[this.index];
+  }
+
+  /**
+   * Returns the next character, the next non-Text node, or null at the end
+   */
+  peek() {
+    this._skipUsedText();
+    const node = this.node;
+    if (!node) return null;
+    return node.type === 'Text' ? node.value[this.offset] : node;
+  }
+
+  /**
+   * Moves past characters of the current Text node, or past the current node
+   */
+  advance(count = 1) {
+    this._skipUsedText();
+    if (this.node && this.node.type === 'Text') {
+      this.offset += count;
+    } else {
+      this.index++;
+      this.offset = 0;
+    }
+  }
+
+  skipWhitespace() {
+    while (typeof this.peek() === 'string' && /\s/.test(this.peek())) {
+      this.advance();
+    }
+  }
+
+  /**
+   * Consumes a sticky pattern at the current position of a Text node
+   * @returns {string|null} Matched text
+   */
+  match(pattern) {
+    this._skipUsedText();
+    pattern.lastIndex = this.offset;
+    const match = pattern.exec(this.node.value);
+    if (!match) return null;
+
+    this.offset = pattern.lastIndex;
+    return match[0];
+  }
+
+  /**
+   * @private
+   */
+  _skipUsedText() {
+    while (this.node && this.node.type === 'Text' && this.offset >= this.node.value.length) {
+      this.index++;
+      this.offset = 0;
+    }
+  }
+}
@@ -0,0 +1,121 @@
+/**
+ * Error classes carrying template locations and code frames
+ */
+
+/**
+ * Builds a printable excerpt of the template around a location
+ * @param {string} source - Template source
+ * @param {Object} loc - Location with 1-based line and column
+ * @param {number} contextLines - Lines to show before and after
+ * @returns {string} Code frame
+ */
+export function createCodeFrame(source, loc, contextLines = 2) {
+  if (typeof source !== 'string' || !loc) return '';
+
+  const lines = source.split(/\r\n|\r|\n/);
+  const first = Math.max(1, loc.line - contextLines);
+  const last = Math.min(lines.length, loc.line + contextLines);
+  const gutterWidth = String(last).length;
+  const frame = [];
+
+  for (let lineNumber = first; lineNumber <= last; lineNumber++) {
+    const gutter = String(lineNumber).padStart(gutterWidth);
+    const marker = lineNumber === loc.line ? '>' : ' ';
+    frame.push(`${marker} ${gutter} | ${lines[lineNumber - 1]}`.trimEnd());
+
+    if (lineNumber === loc.line) {
+      const padding = lines[lineNumber - 1].slice(0, loc.column - 1).replace(/[^\t]/g, ' ');
+      frame.push(`  ${' '.repeat(gutterWidth)} | ${padding}^`);
+    }
+  }
+
+  return frame.join('\n');
+}
+
+/**
+ * Base class for template errors. The location and template name are
+ * appended to the message; the code frame is available once the template
+ * source is known.
+ */
+export class JframeError extends Error {
+  /**
+   * @param {string} reason - What went wrong, without location details
+   * @param {Object} options - { loc, templateName, source, expression, cause }
+   */
+  constructor(reason, options = {}) {
+    super(reason, options.cause ? { cause: options.cause } : undefined);
+    this.name = this.constructor.name;
+    this.reason = reason;
+    this.loc = options.loc || null;
+    this.templateName = options.templateName || null;
+    this.source = options.source || null;
+    this.expression = options.expression || null;
+
+    if (options.cause) {
+      this.cause = options.cause;
+      if (options.cause.stack) {
+        this.stack = `${this.stack}\nCaused by: ${options.cause.stack}`;
+      }
+    }
+
+    this.message = this._formatMessage();
+  }
+
+  /**
+   * Location line and column (1-based), or null when unknown
+   */
+  get line() {
+    return this.loc ? this.loc.line : null;
+  }
+
+  get column() {
+    return this.loc ? this.loc.column : null;
+  }
+
+  /**
+   * Excerpt of the template pointing at the error location
+   */
+  get codeFrame() {
+    return createCodeFrame(this.source, this.loc);
+  }
+
+  /**
+   * Fills in the template source and name if they are not known yet
+   * @param {string} source - Template source
+   * @param {string} templateName - Template name used in messages
+   * @returns {JframeError} This error
+   */
+  attachSource(source, templateName) {
+    if (!this.source && typeof source === 'string') this.source = source;
+    if (!this.templateName && templateName) this.templateName = templateName;
+    this.message = this._formatMessage();
+    return this;
+  }
+
+  toString() {
+    const frame = this.codeFrame;
+    return frame ? `${this.name}: ${this.message}\n\n${frame}` : `${this.name}: ${this.message}`;
+  }
+
+  /**
+   * @private
+   */
+  _formatMessage() {
+    const where = [];
+    if (this.templateName) where.push(`template "${this.templateName}"`);
+    if (this.loc) where.push(`line ${this.loc.line}, column ${this.loc.column}`);
+    if (this.expression) where.push(`in {{${this.expression}}}`);
+
+    return where.length > 0 ? `${this.reason} (${where.join(', ')})` : this.reason;
+  }
+}
+
+/**
+ * Thrown while tokenizing, parsing or compiling a template
+ */
+export class JframeSyntaxError extends JframeError {}
+
+/**
+ * Thrown when a compiled template fails while rendering
+ */
+export class JframeRenderError extends JframeError {}
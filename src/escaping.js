@@ -0,0 +1,249 @@
+/**
+ * Context-aware escapers. Output tags are escaped for the HTML context they
+ * sit in (see html-context.js): element text, attribute values, URLs,
+ * JavaScript and CSS.
+ */
+
+import { escapeHtml } from './utils.js';
+
+// Attributes whose values are URLs
+export const URL_ATTRIBUTES = [
+  'href', 'src', 'action', 'formaction', 'cite', 'poster', 'background', 'longdesc',
+  'usemap', 'xlink:href', 'data', 'manifest', 'codebase', 'icon', 'ping'
+];
+
+// URL schemes allowed at the start of an interpolated URL; relative URLs are always allowed
+export const SAFE_URL_SCHEMES = ['http', 'https', 'mailto', 'tel'];
+
+// Output in place of a URL with a disallowed scheme
+export const UNSAFE_URL = 'about:invalid#jframe-unsafe-url';
+
+// Output in place of a CSS value or attribute name that is not safe where it is used
+export const UNSAFE_VALUE = 'ZjframeZ';
+
+// Characters and words that could break out of a CSS value or run script from one
+const UNSAFE_CSS_PATTERN = /[\0"'()/;@[\]\\`{}<>]|expression|mozbinding/i;
+
+/**
+ * Classifies an attribute by what its value is interpreted as
+ * @param {string} name - Attribute name
+ * @returns {string} 'js', 'css', 'url' or 'text'
+ */
+export function getAttributeKind(name) {
+  const lower = name.toLowerCase();
+  if (lower.startsWith('on')) return 'js';
+  if (lower === 'style') return 'css';
+  if (URL_ATTRIBUTES.includes(lower)) return 'url';
+  return 'text';
+}
+
+/**
+ * Replaces URLs whose scheme is not in SAFE_URL_SCHEMES (javascript:,
+ * data:, vbscript: ...) and percent-encodes characters not valid in URLs
+ * @param {*} value - URL
+ * @returns {string} Safe URL
+ */
+export function filterUrl(value) {
+  const url = value == null ? '' : String(value);
+  const scheme = getUrlScheme(url);
+  if (scheme !== null && !SAFE_URL_SCHEMES.includes(scheme)) {
+    return UNSAFE_URL;
+  }
+
+  return normalizeUrl(url);
+}
+
+/**
+ * Passes a value that makes up the whole scheme of a URL, as in
+ * {{proto}}://host, only if it is empty or in SAFE_URL_SCHEMES
+ * @param {*} value - Scheme
+ * @returns {string} The scheme or UNSAFE_URL
+ */
+export function filterUrlScheme(value) {
+  const scheme = value == null ? '' : String(value);
+  return scheme === '' || SAFE_URL_SCHEMES.includes(scheme.toLowerCase()) ? scheme : UNSAFE_URL;
+}
+
+/**
+ * Percent-encodes the colons a value has before any '/', '?' or '#', so that
+ * output following text at the start of a URL cannot complete a scheme with
+ * it (java{{v}} with v = 'script:...'); the rest is normalized like a path
+ * @param {*} value - Part of a URL
+ * @returns {string} Encoded value
+ */
+export function encodeUrlPrefix(value) {
+  const url = normalizeUrl(value);
+  const end = url.search(/[/?#]/);
+  return end === -1
+    ? url.replace(/:/g, '%3A')
+    : url.slice(0, end).replace(/:/g, '%3A') + url.slice(end);
+}
+
+/**
+ * Returns the lowercased scheme of a URL as a browser would read it, or null
+ * for relative URLs
+ * @param {string} url - URL
+ * @returns {string|null} Scheme such as 'https'
+ */
+export function getUrlScheme(url) {
+  // Browsers ignore whitespace and control characters inside the scheme
+  const match = url.replace(/[\0- ]/g, '').match(/^([a-zA-Z][a-zA-Z0-9+.-]*):/);
+  return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Percent-encodes characters that are not valid in a URL, leaving its
+ * structure (and existing %XX escapes) intact
+ * @param {*} value - URL or part of a URL
+ * @returns {string} Normalized URL
+ */
+export function normalizeUrl(value) {
+  return String(value == null ? '' : value)
+    .replace(/[\ud800-\udbff][\udc00-\udfff]|[^\w\-.~:/?#[\]@!$&'()*+,;=%]/g, percentEncode);
+}
+
+/**
+ * Percent-encodes a value for use inside a query string or fragment
+ * @param {*} value - Value
+ * @returns {string} Encoded value
+ */
+export function encodeUrlComponent(value) {
+  return String(value == null ? '' : value)
+    .replace(/[\ud800-\udbff][\udc00-\udfff]|[^\w\-.~!*'()]/g, percentEncode);
+}
+
+/**
+ * Serializes a value as a JavaScript literal, padded with spaces so it cannot
+ * merge with neighbouring tokens
+ * @param {*} value - Value
+ * @returns {string} JavaScript expression
+ */
+export function escapeJsValue(value) {
+  if (value === undefined) return ' undefined ';
+  if (typeof value === 'function' || typeof value === 'symbol') return ' null ';
+
+  const json = JSON.stringify(typeof value === 'bigint' ? String(value) : value);
+  return ` ${json === undefined ? 'null' : json.replace(/[<>&/\u2028\u2029]/g, toUnicodeEscape)} `;
+}
+
+/**
+ * Escapes a value for use inside a JavaScript string, template literal or comment
+ * @param {*} value - Value
+ * @returns {string} Escaped string content
+ */
+export function escapeJsString(value) {
+  return String(value == null ? '' : value)
+    .replace(/[\\'"`$<>&/=\0-\u001f\u2028\u2029]/g, toUnicodeEscape);
+}
+
+/**
+ * Passes CSS values made of safe characters (lengths, colours, keywords)
+ * and replaces anything else with UNSAFE_VALUE
+ * @param {*} value - Value
+ * @returns {string} Safe CSS value
+ */
+export function filterCssValue(value) {
+  const css = value == null ? '' : String(value);
+  return UNSAFE_CSS_PATTERN.test(css) ? UNSAFE_VALUE : css;
+}
+
+/**
+ * Escapes a value for use inside a CSS string or comment
+ * @param {*} value - Value
+ * @returns {string} Escaped string content
+ */
+export function escapeCssString(value) {
+  return String(value == null ? '' : value)
+    .replace(/[^\w .,#%!-]/g, char => `\\${char.codePointAt(0).toString(16)} `);
+}
+
+/**
+ * Passes values that are a single plain attribute name, as in <input {{attr}}>;
+ * event handler, style and URL attributes are rejected
+ * @param {*} value - Value
+ * @returns {string} Attribute name or UNSAFE_VALUE
+ */
+export function filterAttributeName(value) {
+  const name = value == null ? '' : String(value);
+  if (name === '') return name;
+
+  return /^[a-zA-Z][\w-]*$/.test(name) && getAttributeKind(name) === 'text' ? name : UNSAFE_VALUE;
+}
+
+/**
+ * Escapes a value for an unquoted attribute value, where whitespace and
+ * quotes would otherwise end it
+ * @param {*} value - Value
+ * @returns {string} Escaped value
+ */
+export function escapeUnquotedAttribute(value) {
+  return String(value == null ? '' : value)
+    .replace(/[&<>"'`=\s\0]/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+// Escapers for the value itself, keyed by the kind of content it lands in
+const VALUE_ESCAPERS = {
+  text: value => (value == null ? '' : String(value)),
+  url: filterUrl,
+  'url-scheme': filterUrlScheme,
+  'url-prefix': encodeUrlPrefix,
+  'url-path': normalizeUrl,
+  'url-query': encodeUrlComponent,
+  js: escapeJsValue,
+  'js-string': escapeJsString,
+  css: filterCssValue,
+  'css-string': escapeCssString
+};
+
+// Escapers applied on top when the value is inside an attribute
+const ATTRIBUTE_ESCAPERS = {
+  attr: escapeHtml,
+  unquoted: escapeUnquotedAttribute
+};
+
+const escapers = new Map([
+  ['html', escapeHtml],
+  ['tag', filterAttributeName]
+]);
+
+/**
+ * Returns the escaper for a context name produced by html-context.js:
+ * 'html', 'tag', a content kind inside <script>/<style> ('js', 'css-string')
+ * or 'kind:attr' / 'kind:unquoted' for attribute values
+ * @param {string} context - Context name
+ * @returns {Function} value => escaped string
+ */
+export function getEscaper(context) {
+  let escaper = escapers.get(context);
+  if (escaper) return escaper;
+
+  const [kind, attribute] = context.split(':');
+  const escapeValue = VALUE_ESCAPERS[kind];
+  const escapeAttribute = attribute ? ATTRIBUTE_ESCAPERS[attribute] : null;
+  if (!escapeValue || escapeAttribute === undefined) {
+    throw new Error(`Unknown escaping context "${context}"`);
+  }
+
+  escaper = escapeAttribute ? value => escapeAttribute(escapeValue(value)) : escapeValue;
+  escapers.set(context, escaper);
+  return escaper;
+}
+
+/**
+ * @private
+ */
+function percentEncode(chars) {
+  try {
+    return encodeURIComponent(chars);
+  } catch (error) {
+    // Lone surrogate
+    return '%EF%BF%BD';
+  }
+}
+
+/**
+ * @private
+ */
+function toUnicodeEscape(char) {
+  return `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`;
+}
@@ -0,0 +1,77 @@
+/**
+ * Event delegation for on:event attributes. Rendered templates mark elements
+ * with data-jf-on-<event>="<id>"; one listener per event type on the root
+ * element looks the id up in the handler table of the latest render.
+ */
+
+import { EVENT_ATTRIBUTE_PREFIX } from './utils.js';
+
+// Events that do not bubble are caught while capturing and only run on their target
+const NON_BUBBLING_EVENTS = ['focus', 'blur', 'mouseenter', 'mouseleave', 'load', 'error', 'scroll', 'toggle', 'invalid'];
+
+/**
+ * EventDelegator class - dispatches DOM events below a root element to the
+ * handlers compiled from on:event attributes
+ */
+export class EventDelegator {
+  /**
+   * @param {HTMLElement} root - Element the template was rendered into
+   */
+  constructor(root) {
+    this.root = root;
+    this.table = [];
+    this.handlers = null;
+    this._listeners = new Map();
+    this._dispatch = this._dispatch.bind(this);
+  }
+
+  /**
+   * Installs the handler table produced by a render
+   * @param {Array} table - { event, handler } entries indexed by attribute id
+   * @param {Object} handlers - Functions that handler expressions call by name
+   */
+  setHandlers(table, handlers) {
+    this.table = table;
+    this.handlers = handlers;
+
+    table.forEach(({ event }) => {
+      if (!this._listeners.has(event)) {
+        const capture = NON_BUBBLING_EVENTS.includes(event);
+        this.root.addEventListener(event, this._dispatch, capture);
+        this._listeners.set(event, capture);
+      }
+    });
+  }
+
+  /**
+   * Removes all listeners from the root element
+   */
+  destroy() {
+    this._listeners.forEach((capture, event) => {
+      this.root.removeEventListener(event, this._dispatch, capture);
+    });
+    this._listeners.clear();
+    this.table = [];
+  }
+
+  /**
+   * Runs the handlers from the event target up to the root, honouring stopPropagation()
+   * @private
+   */
+  _dispatch(event) {
+    const attribute = EVENT_ATTRIBUTE_PREFIX + event.type;
+    const bubbles = !NON_BUBBLING_EVENTS.includes(event.type);
+
+    for (let node = event.target; node; node = node.parentNode) {
+      if (node.nodeType === 1 && node.hasAttribute(attribute)) {
+        const entry = this.table[Number(node.getAttribute(attribute))];
+        if (entry && entry.event === event.type) {
+          entry.handler(event, this.handlers);
+        }
+        if (event.cancelBubble) break;
+      }
+
+      if (node === this.root || !bubbles) break;
+    }
+  }
+}
@@ -0,0 +1,383 @@
+/**
+ * Expression parser - turns the JavaScript subset allowed inside {{ }}
+ * into an expression tree shared by the compiler and the interpreter
+ */
+
+import { BLOCKED_PROPERTIES } from './utils.js';
+
+// Expression node types
+export const EXPRESSION_TYPES = {
+  LITERAL: 'Literal',
+  IDENTIFIER: 'Identifier',
+  THIS: 'This',
+  LOOP_REFERENCE: 'LoopReference',   // @index, ../name, @parent.name
+  MEMBER: 'Member',
+  CALL: 'Call',
+  UNARY: 'Unary',
+  BINARY: 'Binary',
+  CONDITIONAL: 'Conditional',
+  ARRAY: 'Array',
+  ARROW: 'Arrow'
+};
+
+// Binary operator binding powers; ** is right-associative
+const BINARY_PRECEDENCE = {
+  '??': 1,
+  '||': 2,
+  '&&': 3,
+  '==': 4, '!=': 4, '===': 4, '!==': 4,
+  '<': 5, '>': 5, '<=': 5, '>=': 5, 'in': 5, 'instanceof': 5,
+  '+': 6, '-': 6,
+  '*': 7, '/': 7, '%': 7,
+  '**': 8
+};
+
+const UNARY_OPERATORS = ['!', '-', '+', 'typeof'];
+
+const LITERAL_KEYWORDS = {
+  true: true,
+  false: false,
+  null: null,
+  undefined: undefined
+};
+
+// Longest operators first so the lexer is greedy
+const PUNCTUATORS = [
+  '===', '!==', '**', '==', '!=', '<=', '>=', '&&', '||', '??', '?.', '=>',
+  '+', '-', '*', '/', '%', '<', '>', '!', '?', ':', '(', ')', '[', ']', ',', '.'
+];
+
+const IDENTIFIER_START = /[a-zA-Z_$]/;
+const IDENTIFIER_PART = /[a-zA-Z0-9_$]/;
+
+/**
+ * Parses an expression string into an expression tree
+ * @param {string} source - Expression source (e.g. 'items.filter(i => i.done).length')
+ * @returns {Object} Expression node
+ */
+export function parseExpression(source) {
+  const parser = new ExpressionParser(tokenizeExpression(source), source);
+  const node = parser.parseExpression();
+  parser.expectEnd();
+  return node;
+}
+
+/**
+ * Splits an expression into lexical tokens
+ * @private
+ */
+function tokenizeExpression(source) {
+  const tokens = [];
+  let position = 0;
+
+  while (position < source.length) {
+    const char = source[position];
+
+    if (/\s/.test(char)) {
+      position++;
+      continue;
+    }
+
+    // Strings
+    if (char === '"' || char === "'") {
+      const { value, end } = readString(source, position);
+      tokens.push({ type: 'string', value });
+      position = end;
+      continue;
+    }
+
+    // Numbers
+    if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(source[position + 1] || ''))) {
+      const match = source.slice(position).match(/^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/);
+      tokens.push({ type: 'number', value: Number(match[0]) });
+      position += match[0].length;
+      continue;
+    }
+
+    // Loop references: ../name, @index, @parent.name
+    if (source.startsWith('../', position) || char === '@') {
+      const match = source.slice(position).match(/^((?:\.\.\/|@parent\.)*)(this|@?[a-zA-Z_$][a-zA-Z0-9_$]*)/);
+      if (!match || (!match[1] && !match[2].startsWith('@'))) {
+        throw new Error(`Unexpected "${char}" in expression: ${source}`);
+      }
+      tokens.push({ type: 'loop', value: match[0] });
+      position += match[0].length;
+      continue;
+    }
+
+    if (IDENTIFIER_START.test(char)) {
+      let end = position + 1;
+      while (end < source.length && IDENTIFIER_PART.test(source[end])) end++;
+      tokens.push({ type: 'identifier', value: source.slice(position, end) });
+      position = end;
+      continue;
+    }
+
+    const punctuator = PUNCTUATORS.find(p => source.startsWith(p, position));
+    if (!punctuator) {
+      throw new Error(`Unexpected "${char}" in expression: ${source}`);
+    }
+
+    // "?." followed by a digit is a conditional with a decimal (a?.5:1)
+    if (punctuator === '?.' && /[0-9]/.test(source[position + 2] || '')) {
+      tokens.push({ type: 'punctuator', value: '?' });
+      position += 1;
+      continue;
+    }
+
+    tokens.push({ type: 'punctuator', value: punctuator });
+    position += punctuator.length;
+  }
+
+  return tokens;
+}
+
+/**
+ * Reads a quoted string literal starting at `start`
+ * @private
+ */
+function readString(source, start) {
+  const quote = source[start];
+  const escapes = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', v: '\v', 0: '\0' };
+  let value = '';
+  let position = start + 1;
+
+  while (position < source.length) {
+    const char = source[position];
+
+    if (char === quote) {
+      return { value, end: position + 1 };
+    }
+
+    if (char === '\\') {
+      const next = source[position + 1];
+      if (next === 'u') {
+        value += String.fromCharCode(parseInt(source.slice(position + 2, position + 6), 16));
+        position += 6;
+      } else if (next === 'x') {
+        value += String.fromCharCode(parseInt(source.slice(position + 2, position + 4), 16));
+        position += 4;
+      } else {
+        value += escapes[next] !== undefined ? escapes[next] : next;
+        position += 2;
+      }
+      continue;
+    }
+
+    value += char;
+    position++;
+  }
+
+  throw new Error(`Unterminated string in expression: ${source}`);
+}
+
+/**
+ * Recursive-descent parser over expression tokens
+ * @private
+ */
+class ExpressionParser {
+  constructor(tokens, source) {
+    this.tokens = tokens;
+    this.source = source;
+    this.position = 0;
+  }
+
+  parseExpression() {
+    const arrow = this._tryParseArrow();
+    if (arrow) return arrow;
+
+    const test = this._parseBinary(0);
+    if (!this._match('?')) return test;
+
+    const consequent = this.parseExpression();
+    this._expect(':');
+    const alternate = this.parseExpression();
+    return { type: EXPRESSION_TYPES.CONDITIONAL, test, consequent, alternate };
+  }
+
+  expectEnd() {
+    if (this.position < this.tokens.length) {
+      this._fail(`Unexpected "${this.tokens[this.position].value}"`);
+    }
+  }
+
+  /**
+   * Parses `x => body` or `(a, b) => body` when the tokens form an arrow
+   */
+  _tryParseArrow() {
+    const token = this._peek();
+    if (!token) return null;
+
+    let params = null;
+    let bodyStart = -1;
+
+    if (token.type === 'identifier' && this._isPunctuator(this.tokens[this.position + 1], '=>')) {
+      params = [token.value];
+      bodyStart = this.position + 2;
+    } else if (this._isPunctuator(token, '(')) {
+      const names = [];
+      let index = this.position + 1;
+
+      while (index < this.tokens.length && !this._isPunctuator(this.tokens[index], ')')) {
+        if (this.tokens[index].type !== 'identifier') return null;
+        names.push(this.tokens[index].value);
+        index++;
+        if (this._isPunctuator(this.tokens[index], ',')) index++;
+      }
+
+      if (!this._isPunctuator(this.tokens[index + 1], '=>')) return null;
+      params = names;
+      bodyStart = index + 2;
+    } else {
+      return null;
+    }
+
+    params.forEach(param => {
+      if (param in LITERAL_KEYWORDS || param === 'this' || param === 'typeof') {
+        this._fail(`Invalid arrow function parameter "${param}"`);
+      }
+    });
+
+    this.position = bodyStart;
+    return { type: EXPRESSION_TYPES.ARROW, params, body: this.parseExpression() };
+  }
+
+  _parseBinary(minPrecedence) {
+    let left = this._parseUnary();
+
+    for (;;) {
+      const token = this._peek();
+      const operator = token && (token.type === 'punctuator' || token.type === 'identifier') ? token.value : null;
+      const precedence = BINARY_PRECEDENCE[operator];
+      if (precedence === undefined || precedence <= minPrecedence) break;
+
+      this.position++;
+      // ** binds right-to-left
+      const right = this._parseBinary(operator === '**' ? precedence - 1 : precedence);
+      left = { type: EXPRESSION_TYPES.BINARY, operator, left, right };
+    }
+
+    return left;
+  }
+
+  _parseUnary() {
+    const token = this._peek();
+    if (token && UNARY_OPERATORS.includes(token.value) && token.type !== 'string') {
+      this.position++;
+      return { type: EXPRESSION_TYPES.UNARY, operator: token.value, argument: this._parseUnary() };
+    }
+
+    return this._parsePostfix(this._parsePrimary());
+  }
+
+  _parsePostfix(node) {
+    for (;;) {
+      if (this._match('.')) {
+        node = this._createMember(node, this._expectIdentifier(), false);
+      } else if (this._match('?.')) {
+        if (this._match('(')) {
+          node = { type: EXPRESSION_TYPES.CALL, callee: node, args: this._parseList(')'), optional: true };
+        } else if (this._match('[')) {
+          node = { type: EXPRESSION_TYPES.MEMBER, object: node, property: this.parseExpression(), computed: true, optional: true };
+          this._expect(']');
+        } else {
+          node = this._createMember(node, this._expectIdentifier(), true);
+        }
+      } else if (this._match('[')) {
+        node = { type: EXPRESSION_TYPES.MEMBER, object: node, property: this.parseExpression(), computed: true, optional: false };
+        this._expect(']');
+      } else if (this._match('(')) {
+        node = { type: EXPRESSION_TYPES.CALL, callee: node, args: this._parseList(')'), optional: false };
+      } else {
+        return node;
+      }
+    }
+  }
+
+  _parsePrimary() {
+    const token = this._peek();
+    if (!token) this._fail('Unexpected end of expression');
+    this.position++;
+
+    switch (token.type) {
+      case 'number':
+      case 'string':
+        return { type: EXPRESSION_TYPES.LITERAL, value: token.value };
+
+      case 'loop':
+        return { type: EXPRESSION_TYPES.LOOP_REFERENCE, path: token.value };
+
+      case 'identifier':
+        if (token.value in LITERAL_KEYWORDS) {
+          return { type: EXPRESSION_TYPES.LITERAL, value: LITERAL_KEYWORDS[token.value] };
+        }
+        if (token.value === 'this') {
+          return { type: EXPRESSION_TYPES.THIS };
+        }
+        return { type: EXPRESSION_TYPES.IDENTIFIER, name: token.value };
+
+      case 'punctuator':
+        if (token.value === '(') {
+          const node = this.parseExpression();
+          this._expect(')');
+          return node;
+        }
+        if (token.value === '[') {
+          return { type: EXPRESSION_TYPES.ARRAY, elements: this._parseList(']') };
+        }
+        break;
+    }
+
+    this._fail(`Unexpected "${token.value}"`);
+  }
+
+  _parseList(closer) {
+    const items = [];
+    if (this._match(closer)) return items;
+
+    do {
+      items.push(this.parseExpression());
+    } while (this._match(','));
+
+    this._expect(closer);
+    return items;
+  }
+
+  _createMember(object, property, optional) {
+    if (BLOCKED_PROPERTIES.includes(property)) {
+      this._fail(`Access to "${property}" is not allowed`);
+    }
+    return { type: EXPRESSION_TYPES.MEMBER, object, property, computed: false, optional };
+  }
+
+  _expectIdentifier() {
+    const token = this._peek();
+    if (!token || token.type !== 'identifier') this._fail('Expected a property name');
+    this.position++;
+    return token.value;
+  }
+
+  _expect(value) {
+    if (!this._match(value)) this._fail(`Expected "${value}"`);
+  }
+
+  _match(value) {
+    if (this._isPunctuator(this._peek(), value)) {
+      this.position++;
+      return true;
+    }
+    return false;
+  }
+
+  _isPunctuator(token, value) {
+    return !!token && token.type === 'punctuator' && token.value === value;
+  }
+
+  _peek() {
+    return this.tokens[this.position];
+  }
+
+  _fail(message) {
+    throw new Error(`${message} in expression: ${this.source}`);
+  }
+}
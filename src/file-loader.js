@@ -0,0 +1,58 @@
+/**
+ * Filesystem template loader for Node.js. Kept out of the main entry point
+ * so browser bundles never import node:fs.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+export const TEMPLATE_FILE_EXTENSION = '.jframe.html';
+
+/**
+ * Creates a loader reading templates from files under a root directory:
+ * 'todo-list' loads <root>/todo-list.jframe.html and 'admin/users' loads
+ * <root>/admin/users.jframe.html. Names may not leave the root.
+ * @param {string} root - Template directory
+ * @param {Object} options - Loader options
+ * @param {string} options.extension - File extension added to names (default '.jframe.html')
+ * @param {boolean} options.cache - Keep sources after the first read (default true);
+ *   turn off while editing templates
+ * @returns {Function} Loader, with clear() to forget cached sources
+ */
+export function createFileLoader(root, options = {}) {
+  const { extension = TEMPLATE_FILE_EXTENSION, cache = true } = options;
+  if (typeof root !== 'string') {
+    throw new Error('Template root must be a directory path');
+  }
+
+  const base = path.resolve(root);
+  const sources = new Map();
+
+  const loader = name => {
+    if (sources.has(name)) {
+      return sources.get(name);
+    }
+
+    const file = path.resolve(base, name.endsWith(extension) ? name : name + extension);
+    const relative = path.relative(base, file);
+    if (relative === '..' || relative.startsWith('..' + path.sep) || path.isAbsolute(relative)) {
+      throw new Error(`Template name "${name}" resolves outside of ${base}`);
+    }
+
+    let source;
+    try {
+      source = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.code === 'ENOTDIR') return null;
+      throw error;
+    }
+
+    if (cache) {
+      sources.set(name, source);
+    }
+    return source;
+  };
+
+  loader.clear = () => sources.clear();
+  return loader;
+}
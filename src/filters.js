@@ -0,0 +1,99 @@
+/**
+ * Built-in filters for {{ value | filter:arg }} pipelines
+ */
+
+const DATE_STYLES = ['short', 'medium', 'long', 'full'];
+
+/**
+ * Converts a filter input to a string, treating null/undefined as empty
+ * @param {*} value - Filter input
+ * @returns {string} String value
+ */
+function toText(value) {
+  return value == null ? '' : String(value);
+}
+
+/**
+ * Built-in filters. Each receives the piped value followed by its arguments.
+ */
+export const builtinFilters = {
+  upper(value) {
+    return toText(value).toUpperCase();
+  },
+
+  lower(value) {
+    return toText(value).toLowerCase();
+  },
+
+  trim(value) {
+    return toText(value).trim();
+  },
+
+  /**
+   * Shortens text to `length` characters, appending `suffix` when cut
+   */
+  truncate(value, length = 30, suffix = '...') {
+    const text = toText(value);
+    return text.length > length ? text.slice(0, length) + suffix : text;
+  },
+
+  /**
+   * Falls back when the value is null, undefined or an empty string
+   */
+  default(value, fallback = '') {
+    return value == null || value === '' ? fallback : value;
+  },
+
+  json(value, indent) {
+    return JSON.stringify(value, null, indent);
+  },
+
+  join(value, separator = ', ') {
+    if (value == null) return '';
+    if (Array.isArray(value)) return value.join(separator);
+    if (typeof value === 'object' && typeof value[Symbol.iterator] === 'function') {
+      return Array.from(value).join(separator);
+    }
+    return toText(value);
+  },
+
+  /**
+   * Formats a Date, timestamp or date string. Style is one of short, medium,
+   * long, full or iso.
+   */
+  date(value, style = 'medium', locale) {
+    if (value == null || value === '') return '';
+
+    const date = value instanceof Date ? value : new Date(value);
+    if (isNaN(date.getTime())) return '';
+
+    if (style === 'iso') return date.toISOString();
+    if (!DATE_STYLES.includes(style)) {
+      throw new Error(`Unknown date style "${style}"; expected one of ${DATE_STYLES.join(', ')}, iso`);
+    }
+
+    return new Intl.DateTimeFormat(locale, { dateStyle: style }).format(date);
+  },
+
+  /**
+   * Formats a number with grouping and an optional fixed number of decimals
+   */
+  number(value, decimals, locale) {
+    if (value == null || value === '') return '';
+
+    const number = Number(value);
+    if (isNaN(number)) return '';
+
+    const options = decimals == null ? {} : { minimumFractionDigits: decimals, maximumFractionDigits: decimals };
+    return new Intl.NumberFormat(locale, options).format(number);
+  },
+
+  currency(value, currency = 'USD', locale) {
+    if (value == null || value === '') return '';
+
+    const number = Number(value);
+    if (isNaN(number)) return '';
+
+    return new Intl.NumberFormat(locale, { style: 'currency', currency }).format(number);
+  }
+};
@@ -0,0 +1,467 @@
+/**
+ * HTML context analysis - follows the template's markup to find where each
+ * output tag lands (element text, a tag, an attribute value, a script or a
+ * style) and records on the node which escaper makes it safe there
+ */
+
+import { getAttributeKind } from './escaping.js';
+
+// Elements whose content is not markup, with the language it is lexed as
+const RAW_TEXT_ELEMENTS = { script: 'js', style: 'css', textarea: null, title: null };
+
+// Stands in for interpolated output when tracking an attribute value
+const OUTPUT_PLACEHOLDER = '\ufffd';
+
+/**
+ * Sets `escape` on the Variable, RawVariable and Helper output nodes of a
+ * template to the name of the escaper for their context (see getEscaper)
+ * @param {Object} root - Root AST node
+ * @returns {Object} The same AST
+ */
+export function annotateContexts(root) {
+  walk(root.children, createState());
+  return root;
+}
+
+/**
+ * Follows the markup of a template through its text and output tags, for
+ * callers that need to know where literal text lands before there is an AST
+ * @returns {Object} { scan(text), output(), inTag() } - inTag() is true
+ *   where an attribute may start
+ */
+export function createMarkupTracker() {
+  const state = createState();
+
+  return {
+    scan: text => scanText(state, text),
+    output: () => skipOutput(state),
+    inTag: () => state.mode === 'tag' || state.mode === 'after-attr-name'
+  };
+}
+
+/**
+ * Scans nodes in order, updating the state in place. Each branch of a block
+ * starts from the state before it; the first branch decides the state after.
+ * @private
+ */
+function walk(nodes, state) {
+  nodes.forEach(node => {
+    switch (node.type) {
+      case 'Text':
+        scanText(state, node.value);
+        break;
+
+      case 'Variable':
+      case 'RawVariable':
+      case 'Helper':
+        node.escape = getContext(state);
+        if (isSchemeOpen(state)) {
+          state.schemeOutputs.push(node);
+        }
+        skipOutput(state);
+        break;
+
+      case 'Component':
+        // Scanned as the markup it renders to when the tag is not a registered component
+        scanText(state, `<${node.tag}`);
+        node.attributes.forEach(attribute => {
+          scanText(state, ` ${attribute.name}`);
+          if (attribute.value) {
+            scanText(state, `=${attribute.quote}`);
+            walk(attribute.value, state);
+            scanText(state, attribute.quote || ' ');
+          }
+        });
+        scanText(state, '>');
+        walk(node.children, state);
+        scanText(state, `</${node.tag}>`);
+        break;
+
+      case 'Slot':
+      case 'SlotContent':
+        scanText(state, node.type === 'Slot' ? '<slot>' : '<template>');
+        walk(node.children, state);
+        scanText(state, node.type === 'Slot' ? '</slot>' : '</template>');
+        break;
+
+      case 'Extends':
+      case 'Block':
+        walk(node.children, state);
+        break;
+
+      case 'If':
+      case 'Each': {
+        const before = cloneState(state);
+        walk(node.children, state);
+        if (node.alternate) {
+          walkBranch(node.alternate, before, state);
+        }
+        break;
+      }
+
+      case 'Await': {
+        const before = cloneState(state);
+        walk(node.children, state);
+        [node.resolved, node.rejected].filter(Boolean).forEach(branch => {
+          walkBranch(branch.children, before, state);
+        });
+        break;
+      }
+    }
+  });
+}
+
+/**
+ * Scans another branch of a block from the state before the block. Output
+ * it leaves in an unfinished URL scheme is settled along with the first
+ * branch's.
+ * @private
+ */
+function walkBranch(nodes, before, state) {
+  const branch = cloneState(before);
+  walk(nodes, branch);
+  if (isSchemeOpen(state)) {
+    branch.schemeOutputs.forEach(node => {
+      if (!state.schemeOutputs.includes(node)) state.schemeOutputs.push(node);
+    });
+  }
+}
+
+/**
+ * @private
+ */
+function createState() {
+  return {
+    mode: 'text',   // text, comment, raw, tag, attr-name, after-attr-name, before-value, value
+    tag: '',
+    closing: false,
+    attr: '',
+    quote: '',
+    value: '',
+    lexer: null,    // JavaScript/CSS lexer inside scripts, styles and their attributes
+    schemeOutputs: [] // Output nodes in the current URL value before its scheme is settled
+  };
+}
+
+/**
+ * @private
+ */
+function cloneState(state) {
+  return {
+    ...state,
+    lexer: state.lexer ? { ...state.lexer, braces: [...state.lexer.braces] } : null,
+    schemeOutputs: [...state.schemeOutputs]
+  };
+}
+
+/**
+ * Returns the escaper name for output at the current position
+ * @private
+ */
+function getContext(state) {
+  switch (state.mode) {
+    case 'text':
+    case 'comment':
+      return 'html';
+
+    case 'raw':
+      return state.lexer ? getLexerKind(state.lexer) : 'html';
+
+    case 'before-value':
+      return getAttributeContext(state.attr, '', null, false);
+
+    case 'value':
+      return getAttributeContext(state.attr, state.value, state.lexer, state.quote !== '');
+
+    default:
+      return 'tag';
+  }
+}
+
+/**
+ * @private
+ */
+function getAttributeContext(attr, valueSoFar, lexer, quoted) {
+  const attrKind = getAttributeKind(attr);
+  let kind = 'text';
+
+  if (attrKind === 'url') {
+    // Until a ':', '/', '?' or '#' ends the scheme, output can still add to it
+    if (!valueSoFar.trim()) {
+      kind = 'url';
+    } else if (!/[:/?#]/.test(valueSoFar)) {
+      kind = 'url-prefix';
+    } else {
+      kind = /[?#]/.test(valueSoFar) ? 'url-query' : 'url-path';
+    }
+  } else if (attrKind === 'js' || attrKind === 'css') {
+    kind = lexer ? getLexerKind(lexer) : attrKind;
+  }
+
+  if (kind === 'text' && quoted) {
+    return 'html';
+  }
+  return `${kind}:${quoted ? 'attr' : 'unquoted'}`;
+}
+
+/**
+ * Whether output here lands in a URL attribute value whose scheme, if it
+ * has one, is not finished yet
+ * @private
+ */
+function isSchemeOpen(state) {
+  if (state.mode !== 'value' && state.mode !== 'before-value') return false;
+  return getAttributeKind(state.attr) === 'url' && (state.mode === 'before-value' || !/[:/?#]/.test(state.value));
+}
+
+/**
+ * Called once a URL value with output in it reaches its first ':', '/', '?'
+ * or '#'. A ':' makes everything before it the scheme, so that output
+ * must be a whole allowed scheme by itself ({{v}}:alert(1) with v = 'javascript').
+ * @private
+ */
+function settleScheme(state, char) {
+  if (char === ':') {
+    state.schemeOutputs.forEach(node => {
+      node.escape = node.escape.replace(/^[^:]+/, 'url-scheme');
+    });
+  }
+  state.schemeOutputs = [];
+}
+
+/**
+ * Moves past interpolated output: it fills an attribute value or name,
+ * and is a complete expression or string content inside scripts and styles
+ * @private
+ */
+function skipOutput(state) {
+  switch (state.mode) {
+    case 'tag':
+    case 'after-attr-name':
+      state.mode = 'attr-name';
+      state.attr = '';
+      break;
+
+    case 'before-value':
+      startValue(state, '');
+      state.value = OUTPUT_PLACEHOLDER;
+      break;
+
+    case 'value':
+      state.value += OUTPUT_PLACEHOLDER;
+      break;
+  }
+}
+
+/**
+ * Advances the state over a run of literal template text
+ * @private
+ */
+function scanText(state, text) {
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    switch (state.mode) {
+      case 'text':
+        if (char === '<') {
+          i = openTag(state, text, i);
+        }
+        break;
+
+      case 'comment':
+        if (text.startsWith('-->', i)) {
+          state.mode = 'text';
+          i += 2;
+        }
+        break;
+
+      case 'raw':
+        if (char === '<' && text[i + 1] === '/' && text.slice(i + 2, i + 2 + state.tag.length).toLowerCase() === state.tag) {
+          state.mode = 'tag';
+          state.closing = true;
+          state.lexer = null;
+          i += 1 + state.tag.length;
+        } else if (state.lexer) {
+          lex(state.lexer, char);
+        }
+        break;
+
+      case 'tag':
+        if (char === '>') {
+          closeTag(state);
+        } else if (!/[\s/]/.test(char)) {
+          state.mode = 'attr-name';
+          state.attr = char;
+        }
+        break;
+
+      case 'attr-name':
+        if (char === '=') {
+          state.mode = 'before-value';
+        } else if (char === '>') {
+          closeTag(state);
+        } else if (/[\s/]/.test(char)) {
+          state.mode = 'after-attr-name';
+        } else {
+          state.attr += char;
+        }
+        break;
+
+      case 'after-attr-name':
+        if (char === '=') {
+          state.mode = 'before-value';
+        } else if (char === '>') {
+          closeTag(state);
+        } else if (!/[\s/]/.test(char)) {
+          state.mode = 'attr-name';
+          state.attr = char;
+        }
+        break;
+
+      case 'before-value':
+        if (char === '"' || char === "'") {
+          startValue(state, char);
+        } else if (char === '>') {
+          closeTag(state);
+        } else if (!/\s/.test(char)) {
+          startValue(state, '');
+          i--;
+        }
+        break;
+
+      case 'value':
+        if (state.quote ? char === state.quote : /[\s>]/.test(char)) {
+          state.mode = 'tag';
+          state.lexer = null;
+          state.schemeOutputs = [];
+          if (char === '>') closeTag(state);
+        } else {
+          if (state.schemeOutputs.length > 0 && /[:/?#]/.test(char)) {
+            settleScheme(state, char);
+          }
+          state.value += char;
+          if (state.lexer) lex(state.lexer, char);
+        }
+        break;
+    }
+  }
+}
+
+/**
+ * Handles a '<' in element text
+ * @private
+ * @returns {number} Index of the last character consumed
+ */
+function openTag(state, text, i) {
+  if (text.startsWith('<!--', i)) {
+    state.mode = 'comment';
+    return i + 3;
+  }
+
+  const match = /^<(\/?)([a-zA-Z][^\s/>]*)/.exec(text.slice(i));
+  if (match) {
+    state.mode = 'tag';
+    state.tag = match[2].toLowerCase();
+    state.closing = match[1] === '/';
+    return i + match[0].length - 1;
+  }
+
+  // Doctypes and processing instructions
+  if (text[i + 1] === '!' || text[i + 1] === '?') {
+    state.mode = 'tag';
+    state.tag = '!';
+    state.closing = false;
+  }
+  return i;
+}
+
+/**
+ * @private
+ */
+function closeTag(state) {
+  const raw = !state.closing && Object.prototype.hasOwnProperty.call(RAW_TEXT_ELEMENTS, state.tag);
+  const language = raw ? RAW_TEXT_ELEMENTS[state.tag] : null;
+
+  state.mode = raw ? 'raw' : 'text';
+  state.lexer = language ? createLexer(language) : null;
+}
+
+/**
+ * @private
+ */
+function startValue(state, quote) {
+  const kind = getAttributeKind(state.attr);
+
+  state.mode = 'value';
+  state.quote = quote;
+  state.value = '';
+  state.lexer = kind === 'js' || kind === 'css' ? createLexer(kind) : null;
+}
+
+/**
+ * @private
+ */
+function createLexer(language) {
+  return { language, quote: null, escaped: false, comment: null, braces: [], previous: '' };
+}
+
+/**
+ * Output inside strings and comments is string content; elsewhere it is a value
+ * @private
+ */
+function getLexerKind(lexer) {
+  return lexer.quote || lexer.comment ? `${lexer.language}-string` : lexer.language;
+}
+
+/**
+ * Tracks strings, comments and template literal substitutions in
+ * JavaScript or CSS, one character at a time
+ * @private
+ */
+function lex(lexer, char) {
+  const previous = lexer.previous;
+  lexer.previous = char;
+
+  if (lexer.comment === 'line') {
+    if (char === '\n') lexer.comment = null;
+    return;
+  }
+
+  if (lexer.comment === 'block') {
+    if (previous === '*' && char === '/') {
+      lexer.comment = null;
+      lexer.previous = '';
+    }
+    return;
+  }
+
+  if (lexer.quote) {
+    if (lexer.escaped) {
+      lexer.escaped = false;
+      lexer.previous = '';
+    } else if (char === '\\') {
+      lexer.escaped = true;
+    } else if (char === lexer.quote) {
+      lexer.quote = null;
+    } else if (lexer.quote === '`' && previous === '$' && char === '{') {
+      lexer.braces.push('`');
+      lexer.quote = null;
+    }
+    return;
+  }
+
+  const isJs = lexer.language === 'js';
+
+  if (char === '"' || char === "'" || (isJs && char === '`')) {
+    lexer.quote = char;
+  } else if (isJs && previous === '/' && char === '/') {
+    lexer.comment = 'line';
+  } else if (previous === '/' && char === '*') {
+    lexer.comment = 'block';
+    lexer.previous = '';
+  } else if (char === '{') {
+    lexer.braces.push('{');
+  } else if (char === '}' && lexer.braces.pop() === '`') {
+    lexer.quote = '`';
+  }
+}
@@ -0,0 +1,1036 @@
+/**
+ * Interpreter - renders an AST without generating code, for pages whose
+ * Content-Security-Policy forbids eval and new Function
+ */
+
+import { Compiler, COMPARISON_OPERATORS, STREAM_CHUNK_PIECES } from './compiler.js';
+import { deepGet, toEntries, isValidPath, TEMPLATE_PATH_PATTERN, SAFE_GLOBALS } from './utils.js';
+import { parseExpression } from './expression.js';
+import { getEscaper } from './escaping.js';
+import { JframeError, JframeSyntaxError } from './errors.js';
+
+// Marks an optional chain (a?.b.c) that stopped at a null or undefined value
+const SHORT_CIRCUIT = Symbol('short-circuit');
+
+// Expression environment slot holding the handlers passed to render() in on:event handlers
+const HANDLERS = Symbol('handlers');
+
+/**
+ * Interpreter class - builds render functions from closures over the AST.
+ * It shares the partial, helper and filter registries and the name
+ * resolution rules of Compiler, so both produce identical output.
+ */
+export class Interpreter extends Compiler {
+  /**
+   * Prepares an AST for rendering
+   * @param {Object} ast - Abstract Syntax Tree
+   * @param {Object} options - { source, name } of the template, used in error messages
+   * @returns {Function} Render function
+   */
+  compile(ast, options = {}) {
+    if (!ast || ast.type !== 'Root') {
+      throw new Error('Invalid AST: expected Root node');
+    }
+
+    const { source = null, name = null } = options;
+
+    let render;
+    try {
+      this._locations = [];
+      this._source = source;
+      render = this._buildNodes(this._resolveLayout(ast, name).children, null);
+    } catch (error) {
+      if (error instanceof JframeError) this._attachSource(error, source, name);
+      throw error;
+    }
+
+    return ctx => {
+      // location tracks the executing node so runtime errors map back to the template
+      const frame = { ctx, loops: [], output: [], location: null };
+
+      try {
+        render(frame);
+      } catch (error) {
+        throw this._attachSource(this._runtime.error(error, frame.location), source, name);
+      }
+
+      return frame.output.join('');
+    };
+  }
+
+  /**
+   * Prepares an AST for streaming, like Compiler.compileStream: the render
+   * function returns an iterator of chunks, yielded between #each rows
+   * @param {Object} ast - Abstract Syntax Tree
+   * @param {Object} options - { source, name } of the template, used in error messages
+   * @returns {Function} (ctx) => Iterator of strings
+   */
+  compileStream(ast, options = {}) {
+    if (!ast || ast.type !== 'Root') {
+      throw new Error('Invalid AST: expected Root node');
+    }
+
+    const { source = null, name = null } = options;
+
+    let render;
+    try {
+      this._locations = [];
+      this._source = source;
+      render = this._buildStreamNodes(this._resolveLayout(ast, name).children, null);
+    } catch (error) {
+      if (error instanceof JframeError) this._attachSource(error, source, name);
+      throw error;
+    }
+
+    return ctx => this._renderStream(render, ctx, source, name);
+  }
+
+  /**
+   * Runs a streaming renderer, yielding what is left at the end
+   * @private
+   */
+  *_renderStream(render, ctx, source, name) {
+    const frame = { ctx, loops: [], output: [], location: null };
+
+    try {
+      yield* render(frame);
+    } catch (error) {
+      throw this._attachSource(this._runtime.error(error, frame.location), source, name);
+    }
+
+    if (frame.output.length > 0) yield frame.output.join('');
+  }
+
+  /**
+   * Builds a generator rendering a list of nodes in order
+   * @private
+   */
+  _buildStreamNodes(nodes, loopContext) {
+    const renderers = nodes.map(node => this._buildStreamNode(node, loopContext));
+    return function* (frame) {
+      for (let i = 0; i < renderers.length; i++) {
+        yield* renderers[i](frame);
+      }
+    };
+  }
+
+  /**
+   * Builds the streaming renderer for a node. Only #each, #if and layout
+   * blocks can yield; other nodes render as they do in compile().
+   * @private
+   */
+  _buildStreamNode(node, loopContext) {
+    if (node.type !== 'Each' && node.type !== 'If' && node.type !== 'Block') {
+      const render = this._buildNode(node, loopContext);
+      return function* (frame) {
+        render(frame);
+      };
+    }
+
+    if (node.type === 'Block') {
+      return this._buildStreamNodes(node.children, loopContext);
+    }
+
+    try {
+      const location = this._locations[this._trackLocation(node)];
+      return node.type === 'Each' ? this._buildStreamEach(node, loopContext, location) : this._buildStreamIf(node, loopContext, location);
+    } catch (error) {
+      if (error instanceof JframeError) throw error;
+      throw new JframeSyntaxError(error.message, { loc: node.loc, templateName: node.origin ? node.origin.name : null });
+    }
+  }
+
+  /**
+   * Builds a generator for an if directive, mirroring _buildIf
+   * @private
+   */
+  _buildStreamIf(node, loopContext, location) {
+    const condition = this._buildCondition(node.condition, loopContext);
+    const consequent = this._buildStreamNodes(node.children, loopContext);
+    const alternate = node.alternate ? this._buildStreamNodes(node.alternate, loopContext) : null;
+
+    return function* (frame) {
+      frame.location = location;
+      if (condition(frame)) {
+        yield* consequent(frame);
+      } else if (alternate) {
+        yield* alternate(frame);
+      }
+    };
+  }
+
+  /**
+   * Builds a generator for an each directive, mirroring _buildEach, that
+   * yields the output so far after any row that takes it past STREAM_CHUNK_PIECES
+   * @private
+   */
+  _buildStreamEach(node, parentLoopContext, location) {
+    const { items, depth, loopContext, list, rowKey } = this._prepareEach(node, parentLoopContext);
+    const body = this._buildStreamNodes(node.children, loopContext);
+    const alternate = node.alternate ? this._buildStreamNodes(node.alternate, parentLoopContext) : null;
+    const runtime = this._runtime;
+
+    return function* (frame) {
+      frame.location = location;
+      const entries = toEntries(items(frame));
+
+      if (entries.length === 0) {
+        if (alternate) yield* alternate(frame);
+      } else {
+        const loop = { item: undefined, key: undefined, index: 0, length: entries.length };
+        const seen = new Set();
+        frame.loops[depth] = loop;
+
+        for (let index = 0; index < entries.length; index++) {
+          loop.index = index;
+          loop.key = entries[index][0];
+          loop.item = entries[index][1];
+          if (rowKey) frame.output.push(runtime.rowMarker(list, rowKey(frame), seen));
+          yield* body(frame);
+
+          if (frame.output.length >= STREAM_CHUNK_PIECES) {
+            const chunk = frame.output.join('');
+            frame.output = [];
+            yield chunk;
+          }
+        }
+      }
+
+      if (rowKey) frame.output.push(runtime.listEnd(list));
+    };
+  }
+
+  /**
+   * Builds a function that renders a list of nodes in order
+   * @private
+   */
+  _buildNodes(nodes, loopContext) {
+    const renderers = nodes.map(node => this._buildNode(node, loopContext));
+    return frame => {
+      for (let i = 0; i < renderers.length; i++) {
+        renderers[i](frame);
+      }
+    };
+  }
+
+  /**
+   * Builds the renderer for a single AST node
+   * @private
+   */
+  _buildNode(node, loopContext) {
+    try {
+      return this._buildNodeUnchecked(node, loopContext);
+    } catch (error) {
+      if (error instanceof JframeError) throw error;
+      throw new JframeSyntaxError(error.message, { loc: node.loc, templateName: node.origin ? node.origin.name : null });
+    }
+  }
+
+  /**
+   * Builds node renderers without mapping errors to the node location
+   * @private
+   */
+  _buildNodeUnchecked(node, loopContext) {
+    if (node.type === 'Text') {
+      return frame => frame.output.push(node.value);
+    }
+
+    const location = this._locations[this._trackLocation(node)];
+    let render;
+
+    switch (node.type) {
+      case 'Variable':
+      case 'RawVariable': {
+        if (!node.expression.trim()) {
+          throw new Error('Empty variable expression');
+        }
+
+        const value = this._buildFilters(this._buildAccess(node.expression, loopContext), node.filters, loopContext);
+        render = this._buildOutput(value, node.type === 'RawVariable', node.escape);
+        break;
+      }
+
+      case 'Helper': {
+        const value = this._buildFilters(this._buildHelper(node, loopContext), node.filters, loopContext);
+        render = this._buildOutput(value, node.raw, node.escape);
+        break;
+      }
+
+      case 'If':
+        render = this._buildIf(node, loopContext);
+        break;
+
+      case 'Each':
+        render = this._buildEach(node, loopContext);
+        break;
+
+      case 'Await':
+        render = this._buildAwait(node, loopContext);
+        break;
+
+      case 'Partial':
+        render = this._buildPartial(node, loopContext);
+        break;
+
+      case 'Event':
+        render = this._buildEvent(node, loopContext);
+        break;
+
+      case 'Component':
+        render = this._buildComponent(node, loopContext);
+        break;
+
+      case 'Block':
+        render = this._buildNodes(node.children, loopContext);
+        break;
+
+      case 'Super':
+        throw new Error('{{super}} has no parent block to include; use it in a block that overrides a block of the layout');
+
+      case 'Slot': {
+        const fallback = this._buildContent(node.children, loopContext);
+        render = frame => frame.output.push(this._runtime.slot(node.name, () => fallback(frame)));
+        break;
+      }
+
+      default:
+        throw new Error(`Unknown node type: ${node.type}`);
+    }
+
+    return frame => {
+      frame.location = location;
+      render(frame);
+    };
+  }
+
+  /**
+   * Builds a renderer that writes a value, escaped unless raw (and sanitized
+   * if raw output is)
+   * @private
+   */
+  _buildOutput(value, isRaw, escape = 'html') {
+    if (isRaw) {
+      return this.sanitizeRaw
+        ? frame => frame.output.push(this._runtime.sanitize(value(frame)))
+        : frame => frame.output.push(String(value(frame)));
+    }
+
+    const escaper = getEscaper(escape);
+    return frame => frame.output.push(escaper(value(frame)));
+  }
+
+  /**
+   * Wraps a value in its filter pipeline, left to right
+   * @private
+   */
+  _buildFilters(value, filters = [], loopContext) {
+    return filters.reduce((input, filter) => {
+      if (!this.filters.has(filter.name)) {
+        throw new Error(`Filter "${filter.name}" is not registered`);
+      }
+
+      const args = filter.args.map(arg => this._buildHelperArgument(arg, loopContext));
+      return frame => this._runtime.filter(filter.name, input(frame), args.map(arg => arg(frame)));
+    }, value);
+  }
+
+  /**
+   * Builds a value accessor, mirroring Compiler._generateAccessCode
+   * @private
+   */
+  _buildAccess(expression, loopContext) {
+    const loopAccess = this._buildLoopPath(expression, loopContext);
+    if (loopAccess !== null) {
+      return loopAccess;
+    }
+
+    if (this._isComplexExpression(expression)) {
+      return this._buildExpression(expression, loopContext);
+    }
+
+    if (this.helpers.has(expression)) {
+      return this._buildHelper({ name: expression, params: [], hash: {} }, loopContext);
+    }
+
+    if (isValidPath(expression)) {
+      return frame => deepGet(frame.ctx, expression);
+    }
+
+    return this._buildExpression(expression, loopContext);
+  }
+
+  /**
+   * Resolves a path rooted in the loop scope chain, mirroring
+   * Compiler._resolveLoopPath. Returns null for ordinary context lookups.
+   * @private
+   */
+  _buildLoopPath(expression, loopContext) {
+    const match = expression.match(TEMPLATE_PATH_PATTERN);
+    if (!match) {
+      return null;
+    }
+
+    let [, parentSteps, head, rest] = match;
+    let depth = parentSteps ? parentSteps.match(/\.\.\/|@parent\./g).length : 0;
+
+    if (head === '@parent') {
+      depth++;
+      head = 'this';
+    }
+
+    const scope = this._getLoopScope(loopContext, depth, expression);
+    let base = this._buildLoopReference(head, scope);
+
+    if (base === null) {
+      if (depth === 0) {
+        return null;
+      }
+
+      base = this._buildLoopReference('this', scope);
+      rest = `.${head}${rest}`;
+    }
+
+    const path = rest.slice(1);
+    return path ? frame => deepGet(base(frame), path) : base;
+  }
+
+  /**
+   * Maps this, loop variables and block params to frame lookups.
+   * A null scope means the root context.
+   * @private
+   */
+  _buildLoopReference(name, scope) {
+    if (name === 'this') {
+      return scope ? frame => frame.loops[scope.depth].item : frame => frame.ctx;
+    }
+
+    if (name.startsWith('@')) {
+      if (!scope) {
+        if (name === '@index') return () => 0;
+        throw new Error(`${name} can only be used inside an {{#each}} directive`);
+      }
+
+      const depth = scope.depth;
+      switch (name) {
+        case '@index':
+          return frame => frame.loops[depth].index;
+        case '@first':
+          return frame => frame.loops[depth].index === 0;
+        case '@last':
+          return frame => frame.loops[depth].index === frame.loops[depth].length - 1;
+        case '@length':
+          return frame => frame.loops[depth].length;
+        case '@key':
+          return frame => frame.loops[depth].key;
+        default:
+          throw new Error(`Unknown loop variable: ${name}`);
+      }
+    }
+
+    for (let current = scope; current; current = current.parent) {
+      const depth = current.depth;
+      if (name === current.itemAlias) return frame => frame.loops[depth].item;
+      if (name === current.indexAlias) return frame => frame.loops[depth].key;
+    }
+
+    return null;
+  }
+
+  /**
+   * Parses and builds an evaluator for a template expression
+   * @private
+   */
+  _buildExpression(expression, loopContext) {
+    let tree;
+    try {
+      tree = parseExpression(expression);
+    } catch (error) {
+      throw new Error(`Invalid complex expression: "${expression}". Error: ${error.message}`);
+    }
+
+    const evaluate = this._buildExpressionNode(tree, loopContext, []);
+    return frame => evaluate(frame, {});
+  }
+
+  /**
+   * Builds an evaluator `(frame, env) => value` for an expression tree.
+   * `env` holds arrow function parameters.
+   * @private
+   */
+  _buildExpressionNode(node, loopContext, params) {
+    switch (node.type) {
+      case 'Member':
+      case 'Call': {
+        const chain = this._buildChain(node, loopContext, params);
+        return (frame, env) => {
+          const value = chain(frame, env);
+          return value === SHORT_CIRCUIT ? undefined : value;
+        };
+      }
+
+      case 'Literal':
+        return () => node.value;
+
+      case 'This': {
+        const value = this._buildLoopPath('this', loopContext);
+        return frame => value(frame);
+      }
+
+      case 'LoopReference': {
+        const value = this._buildLoopPath(node.path, loopContext);
+        return frame => value(frame);
+      }
+
+      case 'Identifier': {
+        if (params.includes(node.name)) {
+          return (frame, env) => env[node.name];
+        }
+
+        const loopAccess = this._buildLoopPath(node.name, loopContext);
+        if (loopAccess !== null) {
+          return frame => loopAccess(frame);
+        }
+
+        if (SAFE_GLOBALS.includes(node.name)) {
+          return () => globalThis[node.name];
+        }
+
+        return (frame, env) => (HANDLERS in env
+          ? this._runtime.lookup(env[HANDLERS], frame.ctx, node.name)
+          : deepGet(frame.ctx, node.name));
+      }
+
+      case 'Unary':
+        return this._buildUnary(node, loopContext, params);
+
+      case 'Binary':
+        return this._buildBinary(node, loopContext, params);
+
+      case 'Conditional': {
+        const test = this._buildExpressionNode(node.test, loopContext, params);
+        const consequent = this._buildExpressionNode(node.consequent, loopContext, params);
+        const alternate = this._buildExpressionNode(node.alternate, loopContext, params);
+        return (frame, env) => (test(frame, env) ? consequent(frame, env) : alternate(frame, env));
+      }
+
+      case 'Array': {
+        const elements = node.elements.map(element => this._buildExpressionNode(element, loopContext, params));
+        return (frame, env) => elements.map(element => element(frame, env));
+      }
+
+      case 'Arrow': {
+        const body = this._buildExpressionNode(node.body, loopContext, [...params, ...node.params]);
+        return (frame, env) => (...args) => {
+          const scope = Object.assign({}, env);
+          node.params.forEach((param, i) => {
+            scope[param] = args[i];
+          });
+          return body(frame, scope);
+        };
+      }
+
+      default:
+        throw new Error(`Unknown expression node: ${node.type}`);
+    }
+  }
+
+  /**
+   * Builds member access and call evaluators. Returns SHORT_CIRCUIT when an
+   * optional link hits null/undefined so the rest of the chain is skipped.
+   * @private
+   */
+  _buildChain(node, loopContext, params) {
+    const build = child => (child.type === 'Member' || child.type === 'Call')
+      ? this._buildChain(child, loopContext, params)
+      : this._buildExpressionNode(child, loopContext, params);
+
+    if (node.type === 'Member') {
+      const object = build(node.object);
+      const property = node.computed
+        ? this._buildExpressionNode(node.property, loopContext, params)
+        : () => node.property;
+
+      return (frame, env) => {
+        const target = object(frame, env);
+        if (target === SHORT_CIRCUIT) return SHORT_CIRCUIT;
+        if (node.optional && target == null) return SHORT_CIRCUIT;
+
+        return this._readProperty(target, property(frame, env));
+      };
+    }
+
+    const args = node.args.map(arg => this._buildExpressionNode(arg, loopContext, params));
+    const callee = node.callee;
+
+    // Method calls keep their receiver as `this`
+    if (callee.type === 'Member') {
+      const object = build(callee.object);
+      const property = callee.computed
+        ? this._buildExpressionNode(callee.property, loopContext, params)
+        : () => callee.property;
+
+      return (frame, env) => {
+        const target = object(frame, env);
+        if (target === SHORT_CIRCUIT) return SHORT_CIRCUIT;
+        if (callee.optional && target == null) return SHORT_CIRCUIT;
+
+        const key = property(frame, env);
+        const fn = this._readProperty(target, key);
+        if (node.optional && fn == null) return SHORT_CIRCUIT;
+        if (typeof fn !== 'function') {
+          throw new TypeError(`${String(key)} is not a function`);
+        }
+
+        return fn.apply(target, args.map(arg => arg(frame, env)));
+      };
+    }
+
+    const fnValue = build(callee);
+    return (frame, env) => {
+      const fn = fnValue(frame, env);
+      if (fn === SHORT_CIRCUIT) return SHORT_CIRCUIT;
+      if (node.optional && fn == null) return SHORT_CIRCUIT;
+      if (typeof fn !== 'function') {
+        throw new TypeError(`${callee.name || 'expression'} is not a function`);
+      }
+
+      return fn(...args.map(arg => arg(frame, env)));
+    };
+  }
+
+  /**
+   * Reads a property the way JavaScript would, refusing prototype escapes
+   * @private
+   */
+  _readProperty(target, key) {
+    if (target == null) {
+      throw new TypeError(`Cannot read properties of ${target} (reading '${String(key)}')`);
+    }
+
+    return target[this._runtime.property(key)];
+  }
+
+  /**
+   * @private
+   */
+  _buildUnary(node, loopContext, params) {
+    const argument = this._buildExpressionNode(node.argument, loopContext, params);
+
+    switch (node.operator) {
+      case '!':
+        return (frame, env) => !argument(frame, env);
+      case '-':
+        return (frame, env) => -argument(frame, env);
+      case '+':
+        return (frame, env) => +argument(frame, env);
+      case 'typeof':
+        return (frame, env) => typeof argument(frame, env);
+      default:
+        throw new Error(`Unsupported operator: ${node.operator}`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _buildBinary(node, loopContext, params) {
+    const left = this._buildExpressionNode(node.left, loopContext, params);
+    const right = this._buildExpressionNode(node.right, loopContext, params);
+
+    switch (node.operator) {
+      case '&&': return (frame, env) => left(frame, env) && right(frame, env);
+      case '||': return (frame, env) => left(frame, env) || right(frame, env);
+      case '??': return (frame, env) => left(frame, env) ?? right(frame, env);
+      case '==': return (frame, env) => left(frame, env) == right(frame, env);
+      case '!=': return (frame, env) => left(frame, env) != right(frame, env);
+      case '===': return (frame, env) => left(frame, env) === right(frame, env);
+      case '!==': return (frame, env) => left(frame, env) !== right(frame, env);
+      case '<': return (frame, env) => left(frame, env) < right(frame, env);
+      case '>': return (frame, env) => left(frame, env) > right(frame, env);
+      case '<=': return (frame, env) => left(frame, env) <= right(frame, env);
+      case '>=': return (frame, env) => left(frame, env) >= right(frame, env);
+      case 'in': return (frame, env) => left(frame, env) in right(frame, env);
+      case 'instanceof': return (frame, env) => left(frame, env) instanceof right(frame, env);
+      case '+': return (frame, env) => left(frame, env) + right(frame, env);
+      case '-': return (frame, env) => left(frame, env) - right(frame, env);
+      case '*': return (frame, env) => left(frame, env) * right(frame, env);
+      case '/': return (frame, env) => left(frame, env) / right(frame, env);
+      case '%': return (frame, env) => left(frame, env) % right(frame, env);
+      case '**': return (frame, env) => left(frame, env) ** right(frame, env);
+      default:
+        throw new Error(`Unsupported operator: ${node.operator}`);
+    }
+  }
+
+  /**
+   * Builds a renderer for if directives
+   * @private
+   */
+  _buildIf(node, loopContext) {
+    const condition = this._buildCondition(node.condition, loopContext);
+    const consequent = this._buildNodes(node.children, loopContext);
+    const alternate = node.alternate ? this._buildNodes(node.alternate, loopContext) : null;
+
+    return frame => {
+      if (condition(frame)) {
+        consequent(frame);
+      } else if (alternate) {
+        alternate(frame);
+      }
+    };
+  }
+
+  /**
+   * Builds a renderer for an await directive, mirroring Compiler._generateAwaitCode
+   * @private
+   */
+  _buildAwait(node, loopContext) {
+    const value = this._buildAccess(node.expression, loopContext);
+    const pending = this._buildNodes(node.children, loopContext);
+
+    const buildBranch = branch => {
+      if (!branch) return null;
+
+      const render = this._buildNodes(branch.children, loopContext);
+      if (!branch.alias) return render;
+
+      return (frame, state) => {
+        const ctx = frame.ctx;
+        frame.ctx = this._runtime.scope(ctx, branch.alias, state.value);
+        try {
+          render(frame);
+        } finally {
+          frame.ctx = ctx;
+        }
+      };
+    };
+
+    const resolved = buildBranch(node.resolved);
+    const rejected = buildBranch(node.rejected);
+
+    return frame => {
+      const state = this._runtime.awaited(value(frame));
+
+      if (state.status === 'pending') {
+        pending(frame);
+      } else if (state.status === 'fulfilled' && resolved) {
+        resolved(frame, state);
+      } else if (state.status === 'rejected' && rejected) {
+        rejected(frame, state);
+      }
+    };
+  }
+
+  /**
+   * Builds a condition predicate, mirroring Compiler._generateConditionCode
+   * @private
+   */
+  _buildCondition(condition, loopContext) {
+    let value;
+
+    if (typeof condition === 'object') {
+      value = this._buildHelper(condition, loopContext);
+    } else {
+      condition = condition.trim();
+      const comparisonMatch = condition.match(/^\((\w+)\s+([^)]+)\s+([^)]+)\)$/);
+
+      if (comparisonMatch) {
+        const [, operator, left, right] = comparisonMatch;
+        value = this._buildComparison(
+          operator,
+          this._buildComparisonOperand(left.trim(), loopContext),
+          this._buildComparisonOperand(right.trim(), loopContext)
+        );
+      } else if (this._isComplexExpression(condition) || isValidPath(condition) || TEMPLATE_PATH_PATTERN.test(condition)) {
+        value = this._buildAccess(condition, loopContext);
+      } else {
+        value = this._buildExpression(condition, loopContext);
+      }
+    }
+
+    return frame => !!value(frame);
+  }
+
+  /**
+   * Builds a built-in comparison
+   * @private
+   */
+  _buildComparison(operator, left, right) {
+    switch (operator) {
+      case 'eq': return frame => left(frame) === right(frame);
+      case 'neq': return frame => left(frame) !== right(frame);
+      case 'gt': return frame => left(frame) > right(frame);
+      case 'gte': return frame => left(frame) >= right(frame);
+      case 'lt': return frame => left(frame) < right(frame);
+      case 'lte': return frame => left(frame) <= right(frame);
+      case 'and': return frame => left(frame) && right(frame);
+      case 'or': return frame => left(frame) || right(frame);
+      default:
+        throw new Error(`Unsupported comparison operator: ${operator}`);
+    }
+  }
+
+  /**
+   * Builds a helper call, falling back to built-in comparisons like the compiler
+   * @private
+   */
+  _buildHelper(node, loopContext) {
+    const params = node.params.map(param => this._buildHelperArgument(param, loopContext));
+    const hashKeys = Object.keys(node.hash);
+
+    if (!this.helpers.has(node.name)) {
+      if (COMPARISON_OPERATORS.includes(node.name) && params.length === 2 && hashKeys.length === 0) {
+        return this._buildComparison(node.name, params[0], params[1]);
+      }
+      throw new Error(`Helper "${node.name}" is not registered`);
+    }
+
+    const hash = hashKeys.map(key => [key, this._buildHelperArgument(node.hash[key], loopContext)]);
+    const scope = this._buildAccess('this', loopContext);
+
+    return frame => {
+      const hashValues = {};
+      hash.forEach(([key, value]) => {
+        hashValues[key] = value(frame);
+      });
+      return this._runtime.helper(node.name, scope(frame), params.map(param => param(frame)), hashValues);
+    };
+  }
+
+  /**
+   * Builds a helper argument: a literal, a path or a nested Helper node
+   * @private
+   */
+  _buildHelperArgument(argument, loopContext) {
+    if (typeof argument === 'object') {
+      return this._buildHelper(argument, loopContext);
+    }
+
+    if (TEMPLATE_PATH_PATTERN.test(argument) && !['true', 'false', 'null', 'undefined'].includes(argument)) {
+      const loopAccess = this._buildLoopPath(argument, loopContext);
+      return loopAccess !== null ? loopAccess : frame => deepGet(frame.ctx, argument);
+    }
+
+    return this._buildComparisonOperand(argument, loopContext);
+  }
+
+  /**
+   * Builds a comparison operand (strings, numbers, literals and variables)
+   * @private
+   */
+  _buildComparisonOperand(operand, loopContext) {
+    operand = operand.trim();
+
+    if ((operand.startsWith("'") && operand.endsWith("'")) ||
+      (operand.startsWith('"') && operand.endsWith('"'))) {
+      return this._buildExpression(operand, loopContext);
+    }
+
+    if (!isNaN(operand) && operand !== '') {
+      const number = Number(operand);
+      return () => number;
+    }
+
+    if (['true', 'false', 'null', 'undefined'].includes(operand)) {
+      return this._buildExpression(operand, loopContext);
+    }
+
+    if (this._isComplexExpression(operand)) {
+      return this._buildExpression(operand, loopContext);
+    }
+
+    return this._buildAccess(operand, loopContext);
+  }
+
+  /**
+   * Builds a renderer for each directives
+   * @private
+   */
+  _buildEach(node, parentLoopContext) {
+    const { items, depth, loopContext, list, rowKey } = this._prepareEach(node, parentLoopContext);
+    const body = this._buildNodes(node.children, loopContext);
+    const alternate = node.alternate ? this._buildNodes(node.alternate, parentLoopContext) : null;
+
+    return frame => {
+      const entries = toEntries(items(frame));
+
+      if (entries.length === 0) {
+        if (alternate) alternate(frame);
+      } else {
+        const loop = { item: undefined, key: undefined, index: 0, length: entries.length };
+        const seen = new Set();
+        frame.loops[depth] = loop;
+
+        for (let index = 0; index < entries.length; index++) {
+          loop.index = index;
+          loop.key = entries[index][0];
+          loop.item = entries[index][1];
+          if (rowKey) frame.output.push(this._runtime.rowMarker(list, rowKey(frame), seen));
+          body(frame);
+        }
+      }
+
+      if (rowKey) frame.output.push(this._runtime.listEnd(list));
+    };
+  }
+
+  /**
+   * Builds what rendering an each directive needs besides its branches
+   * @private
+   */
+  _prepareEach(node, parentLoopContext) {
+    const items = this._buildAccess(node.items, parentLoopContext);
+    const depth = parentLoopContext ? parentLoopContext.depth + 1 : 0;
+
+    const loopContext = {
+      depth,
+      itemAlias: node.itemAlias || null,
+      indexAlias: node.indexAlias || null,
+      parent: parentLoopContext
+    };
+
+    // Keyed rows are wrapped in marker comments identifying the list
+    const list = this._getListId(node, depth);
+    const rowKey = node.key ? this._buildRowKey(node.key, loopContext) : null;
+
+    return { items, depth, loopContext, list, rowKey };
+  }
+
+  /**
+   * Builds a renderer for an on:event attribute, mirroring
+   * Compiler._generateEventCode. Loop state is copied at render time since
+   * the handler runs after the loop has moved on.
+   * @private
+   */
+  _buildEvent(node, loopContext) {
+    const attribute = this._buildEventAttribute(node, loopContext);
+    return frame => frame.output.push(attribute(frame));
+  }
+
+  /**
+   * Builds the function rendering an on:event attribute
+   * @private
+   */
+  _buildEventAttribute(node, loopContext) {
+    let tree;
+    try {
+      tree = parseExpression(node.handler);
+    } catch (error) {
+      throw new Error(`Invalid event handler: "${node.handler}". Error: ${error.message}`);
+    }
+
+    const handler = this._buildExpressionNode(tree, loopContext, ['event']);
+
+    return frame => {
+      const snapshot = { ctx: frame.ctx, loops: frame.loops.map(loop => Object.assign({}, loop)), output: null, location: null };
+      return this._runtime.event(node.event, (event, handlers) => handler(snapshot, { event, [HANDLERS]: handlers }));
+    };
+  }
+
+  /**
+   * Builds a renderer for a custom element tag, mirroring
+   * Compiler._generateComponentCode
+   * @private
+   */
+  _buildComponent(node, loopContext) {
+    const attributes = node.attributes.map(attribute => {
+      if (!attribute.value) {
+        return () => ({ name: attribute.name, quote: '', parts: null, escapes: null });
+      }
+
+      const parts = attribute.value.map(part => this._buildAttributePart(part, loopContext));
+      const escapes = attribute.value.map(part => (part.type === 'Text' || part.type === 'RawVariable' || part.raw ? null : part.escape));
+      return frame => ({ name: attribute.name, quote: attribute.quote, parts: parts.map(part => part(frame)), escapes });
+    });
+
+    const events = node.events.map(event => this._buildEventAttribute(event, loopContext));
+    const slots = this._getSlotContents(node).map(([name, children]) => [name, this._buildContent(children, loopContext)]);
+
+    return frame => {
+      const slotRenderers = {};
+      slots.forEach(([name, content]) => {
+        slotRenderers[name] = () => content(frame);
+      });
+
+      frame.output.push(this._runtime.component(
+        node.tag,
+        attributes.map(attribute => attribute(frame)),
+        events.map(event => event(frame)),
+        slotRenderers
+      ));
+    };
+  }
+
+  /**
+   * Builds the value of an output tag or text inside a component attribute
+   * @private
+   */
+  _buildAttributePart(part, loopContext) {
+    if (part.type === 'Text') {
+      return () => part.value;
+    }
+
+    let value;
+    if (part.type === 'Helper') {
+      value = this._buildFilters(this._buildHelper(part, loopContext), part.filters, loopContext);
+    } else {
+      if (!part.expression.trim()) {
+        throw new Error('Empty variable expression');
+      }
+      value = this._buildFilters(this._buildAccess(part.expression, loopContext), part.filters, loopContext);
+    }
+
+    if (part.type !== 'RawVariable' && !part.raw) return value;
+    return this.sanitizeRaw ? frame => this._runtime.sanitize(value(frame)) : frame => String(value(frame));
+  }
+
+  /**
+   * Builds a function rendering nodes to a string in the frame's scope, for slot content
+   * @private
+   */
+  _buildContent(nodes, loopContext) {
+    const render = this._buildNodes(nodes, loopContext);
+
+    return frame => {
+      const output = frame.output;
+      frame.output = [];
+      try {
+        render(frame);
+        return frame.output.join('');
+      } finally {
+        frame.output = output;
+      }
+    };
+  }
+
+  /**
+   * Builds a row key accessor, mirroring Compiler._generateRowKeyCode
+   * @private
+   */
+  _buildRowKey(key, loopContext) {
+    const loopAccess = this._buildLoopPath(key, loopContext);
+    return loopAccess !== null ? loopAccess : this._buildLoopPath(`this.${key}`, loopContext);
+  }
+
+  /**
+   * Builds a renderer for partial inclusion
+   * @private
+   */
+  _buildPartial(node, loopContext) {
+    const context = this._buildAccess(node.context || 'this', loopContext);
+    const hashKeys = Object.keys(node.hash);
+    const hash = hashKeys.map(key => [key, this._buildComparisonOperand(node.hash[key], loopContext)]);
+
+    return frame => {
+      let hashValues = null;
+      if (hash.length > 0) {
+        hashValues = {};
+        hash.forEach(([key, value]) => {
+          hashValues[key] = value(frame);
+        });
+      }
+
+      frame.output.push(this._runtime.partial(node.name, context(frame), hashValues));
+    };
+  }
+}
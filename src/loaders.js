@@ -0,0 +1,79 @@
+/**
+ * Template loaders - find a template's source by name. A loader is a
+ * function that takes a name and returns the source, or null when it has
+ * no template of that name.
+ */
+
+export const SCRIPT_TEMPLATE_TYPE = 'text/jframe';
+
+const TEXT_NODE = 3;
+
+// What innerHTML escapes in text and attribute values
+const SERIALIZED_ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'" };
+
+// A block tag closed, or continued with {{else}}, with nothing in between
+const EMPTIED_BLOCK_PATTERN = /\{\{\s*#[^}]*\}\}\s*\{\{\s*(?:\/|else\b|then\b|catch\b)/;
+
+/**
+ * Creates a loader reading <script type="text/jframe" id="name"> and
+ * <template id="name"> elements. Script content is used verbatim; template
+ * content went through the HTML parser, which moves text out of tables, so
+ * block tags between rows or cells need a script. Templates where that
+ * happened are reported rather than loaded.
+ * @param {Document} doc - Document to search (default: the global document)
+ * @returns {Function} Loader
+ */
+export function createDomLoader(doc = globalThis.document) {
+  return name => {
+    const element = doc.getElementById(name);
+    if (!element) return null;
+
+    const tag = element.tagName.toLowerCase();
+    if (tag === 'script' && element.type === SCRIPT_TEMPLATE_TYPE) {
+      return element.textContent;
+    }
+    if (tag === 'template') {
+      checkTables(element, name);
+      return decodeTags(element.innerHTML);
+    }
+    return null;
+  };
+}
+
+/**
+ * Throws when the parser moved block tags out of a table in a <template>:
+ * they end up next to the table with the rows they wrapped left behind,
+ * as in {{#each rows}}{{/each}}<table>...</table>
+ * @private
+ */
+function checkTables(template, name) {
+  template.content.querySelectorAll('table').forEach(table => {
+    const moved = ['previousSibling', 'nextSibling'].some(side => EMPTIED_BLOCK_PATTERN.test(adjacentText(table, side)));
+    if (moved) {
+      throw new Error(`Template "${name}" has block tags inside a <table>, which the HTML parser moves out of it; `
+        + `use <script type="${SCRIPT_TEMPLATE_TYPE}" id="${name}"> instead of <template>`);
+    }
+  });
+}
+
+/**
+ * Joins the text nodes next to a node on one side; the parser may leave
+ * moved text split over several
+ * @private
+ */
+function adjacentText(node, direction) {
+  let text = '';
+  for (let sibling = node[direction]; sibling && sibling.nodeType === TEXT_NODE; sibling = sibling[direction]) {
+    text = direction === 'previousSibling' ? sibling.nodeValue + text : text + sibling.nodeValue;
+  }
+  return text;
+}
+
+/**
+ * Undoes the escaping innerHTML applies inside {{ }} tags, so expressions
+ * such as {{#if a > b && c}} read back as written
+ * @private
+ */
+function decodeTags(html) {
+  return html.replace(/\{\{[\s\S]*?\}\}/g, tag => tag.replace(/&(?:amp|lt|gt|quot|#39);/g, entity => SERIALIZED_ENTITIES[entity]));
+}
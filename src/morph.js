@@ -0,0 +1,225 @@
+/**
+ * DOM morphing - patches live DOM to match newly rendered markup, keeping
+ * unchanged nodes (and with them focus, caret, scroll and listeners)
+ */
+
+import { ROW_MARKER_PREFIX, LIST_END_PREFIX } from './utils.js';
+
+const ELEMENT_NODE = 1;
+const TEXT_NODE = 3;
+const COMMENT_NODE = 8;
+
+/**
+ * Updates an element's children to match an HTML string
+ * @param {HTMLElement} element - Live element
+ * @param {string} html - Newly rendered inner HTML
+ */
+export function morphInnerHTML(element, html) {
+  // <template> parses table rows and other context-sensitive markup as-is
+  const template = element.ownerDocument.createElement('template');
+  template.innerHTML = html;
+  morphChildren(element, template.content);
+}
+
+/**
+ * Makes the children of `fromParent` match those of `toParent`. Matching
+ * nodes are patched in place; new nodes are moved over from `toParent`.
+ * @param {Node} fromParent - Live parent node
+ * @param {Node} toParent - Parent holding the desired children
+ */
+export function morphChildren(fromParent, toParent) {
+  let fromChild = fromParent.firstChild;
+  let toChild = toParent.firstChild;
+
+  while (toChild) {
+    const nextToChild = toChild.nextSibling;
+
+    // Rows still at the cursor when the new markup ends their list were removed
+    const list = getRowList(fromChild);
+    if (list !== null && isListEnd(toChild, list)) {
+      while (getRowList(fromChild) === list) {
+        fromChild = removeNodes(getRowNodes(fromChild));
+      }
+    }
+
+    const match = findMatch(fromChild, toChild);
+
+    if (match) {
+      if (match !== fromChild) {
+        // Keyed rows move with all of their nodes
+        const nodes = getRowList(match) !== null ? getRowNodes(match) : [match];
+        nodes.forEach(node => fromParent.insertBefore(node, fromChild));
+      }
+      morphNode(match, toChild);
+      fromChild = match.nextSibling;
+    } else {
+      fromParent.insertBefore(toChild, fromChild);
+    }
+
+    toChild = nextToChild;
+  }
+
+  while (fromChild) {
+    const next = fromChild.nextSibling;
+    fromParent.removeChild(fromChild);
+    fromChild = next;
+  }
+}
+
+/**
+ * Returns the key that identifies a node across renders, if any: an
+ * element's id, or the whole marker of a keyed #each row
+ * @param {Node} node - DOM node
+ * @returns {string|null} Key
+ */
+export function getNodeKey(node) {
+  if (node.nodeType === ELEMENT_NODE) {
+    return node.id || null;
+  }
+  return getRowList(node) !== null ? node.nodeValue : null;
+}
+
+/**
+ * Returns the list a keyed row marker belongs to, or null for other nodes
+ * @private
+ */
+function getRowList(node) {
+  if (!node || node.nodeType !== COMMENT_NODE || !node.nodeValue.startsWith(ROW_MARKER_PREFIX)) {
+    return null;
+  }
+  return node.nodeValue.slice(ROW_MARKER_PREFIX.length).split(':')[0];
+}
+
+/**
+ * Collects a row marker and the nodes up to the next row or the end of its list
+ * @private
+ */
+function getRowNodes(marker) {
+  const list = getRowList(marker);
+  const nodes = [marker];
+
+  for (let node = marker.nextSibling; node; node = node.nextSibling) {
+    if (getRowList(node) === list || isListEnd(node, list)) break;
+    nodes.push(node);
+  }
+
+  return nodes;
+}
+
+/**
+ * @private
+ */
+function isListEnd(node, list) {
+  return !!node && node.nodeType === COMMENT_NODE && node.nodeValue === LIST_END_PREFIX + list;
+}
+
+/**
+ * Removes nodes from the DOM
+ * @private
+ * @returns {Node|null} The node after the last one removed
+ */
+function removeNodes(nodes) {
+  const next = nodes[nodes.length - 1].nextSibling;
+  nodes.forEach(node => node.parentNode.removeChild(node));
+  return next;
+}
+
+/**
+ * Finds the live node to reuse for `toChild`. Keyed elements are looked up
+ * among the remaining siblings; others must match the node at the cursor.
+ * @private
+ */
+function findMatch(fromChild, toChild) {
+  const key = getNodeKey(toChild);
+
+  if (key) {
+    for (let node = fromChild; node; node = node.nextSibling) {
+      if (getNodeKey(node) === key && isSameKind(node, toChild)) return node;
+    }
+    return null;
+  }
+
+  return fromChild && !getNodeKey(fromChild) && isSameKind(fromChild, toChild) ? fromChild : null;
+}
+
+/**
+ * @private
+ */
+function isSameKind(a, b) {
+  if (a.nodeType !== b.nodeType || a.nodeName !== b.nodeName) return false;
+
+  // Switching an input's type in place loses its state anyway
+  return a.nodeName !== 'INPUT' || a.type === b.type;
+}
+
+/**
+ * Patches a live node to match another node of the same kind
+ * @private
+ */
+function morphNode(from, to) {
+  if (from.nodeType === TEXT_NODE || from.nodeType === COMMENT_NODE) {
+    if (from.nodeValue !== to.nodeValue) {
+      from.nodeValue = to.nodeValue;
+    }
+    return;
+  }
+
+  if (from.nodeType !== ELEMENT_NODE) return;
+
+  syncFormState(from, to);
+  morphAttributes(from, to);
+
+  // A textarea's children are its default value, handled by syncFormState
+  if (from.nodeName !== 'TEXTAREA') {
+    morphChildren(from, to);
+  }
+}
+
+/**
+ * @private
+ */
+function morphAttributes(from, to) {
+  Array.from(to.attributes).forEach(attr => {
+    if (from.getAttributeNS(attr.namespaceURI, attr.localName) !== attr.value) {
+      from.setAttributeNS(attr.namespaceURI, attr.name, attr.value);
+    }
+  });
+
+  Array.from(from.attributes).forEach(attr => {
+    if (!to.hasAttributeNS(attr.namespaceURI, attr.localName)) {
+      from.removeAttributeNS(attr.namespaceURI, attr.localName);
+    }
+  });
+}
+
+/**
+ * Carries value, checked and selected over only when the template changed
+ * them, so whatever the user typed or toggled survives unrelated updates.
+ * Must run before the attributes are patched.
+ * @private
+ */
+function syncFormState(from, to) {
+  switch (from.nodeName) {
+    case 'INPUT':
+      if (from.getAttribute('value') !== to.getAttribute('value')) {
+        from.value = to.value;
+      }
+      if (from.hasAttribute('checked') !== to.hasAttribute('checked')) {
+        from.checked = to.checked;
+      }
+      break;
+
+    case 'TEXTAREA':
+      if (from.defaultValue !== to.defaultValue) {
+        from.defaultValue = to.defaultValue;
+        from.value = to.value;
+      }
+      break;
+
+    case 'OPTION':
+      if (from.hasAttribute('selected') !== to.hasAttribute('selected')) {
+        from.selected = to.selected;
+      }
+      break;
+  }
+}
@@ -2,6 +2,11 @@
  * Parser - builds Abstract Syntax Tree from tokens
  */
 
+import { splitArguments, TEMPLATE_PATH_PATTERN } from './utils.js';
+import { JframeError, JframeSyntaxError } from './errors.js';
+import { annotateContexts } from './html-context.js';
+import { extractComponents } from './components.js';
+
 // AST Node types
 export const NODE_TYPES = {
   TEXT: 'Text',
@@ -9,6 +14,16 @@ export const NODE_TYPES = {
   RAW_VARIABLE: 'RawVariable',
   IF: 'If',
   EACH: 'Each',
+  PARTIAL: 'Partial',
+  HELPER: 'Helper',
+  EVENT: 'Event',
+  COMPONENT: 'Component',
+  SLOT: 'Slot',
+  SLOT_CONTENT: 'SlotContent',
+  EXTENDS: 'Extends',
+  BLOCK: 'Block',
+  SUPER: 'Super',
+  AWAIT: 'Await',
   ROOT: 'Root'
 };
 
@@ -17,7 +32,11 @@ export const NODE_TYPES = {
  */
 export class Parser {
   /**
-   * Parses tokens into an AST
+   * Parses tokens into an AST. Nodes keep the `loc` of the token that
+   * produced them; output nodes also get the `escape` context they sit in.
+   * Custom element tags become Component nodes (see components.js).
+   * {{#extends}} and {{#block}} are kept as nodes; the compiler merges a
+   * template with the layout it extends.
    * @param {Array} tokens - Tokens from tokenizer
    * @returns {Object} Root AST node
    */
@@ -38,10 +57,19 @@ export class Parser {
     root.children = parseResult.nodes;
     
     if (parseResult.position < tokens.length) {
-      throw new Error('Unexpected tokens at end of template');
+      const strayToken = tokens[parseResult.position];
+      if (strayToken.type === 'ELSE' || strayToken.type === 'ELSE_IF') {
+        throw new JframeSyntaxError('Unexpected {{else}} outside of an {{#if}} or {{#each}} directive', { loc: strayToken.loc });
+      }
+      if (strayToken.type === 'THEN' || strayToken.type === 'CATCH') {
+        throw new JframeSyntaxError(`Unexpected {{${strayToken.type.toLowerCase()}}} outside of an {{#await}} directive`, { loc: strayToken.loc });
+      }
+      throw new JframeSyntaxError('Unexpected closing directive with no matching opening directive', { loc: strayToken.loc });
     }
 
-    return root;
+    this._checkLayout(root);
+
+    return annotateContexts(extractComponents(root));
   }
 
   /**
@@ -59,23 +87,36 @@ export class Parser {
         case 'TEXT':
           nodes.push({
             type: NODE_TYPES.TEXT,
-            value: token.value
+            value: token.value,
+            loc: token.loc
           });
           position++;
           break;
 
         case 'VAR':
+        case 'RAW': {
+          nodes.push(this._parseOutput(token));
+          position++;
+          break;
+        }
+
+        case 'EVENT':
           nodes.push({
-            type: NODE_TYPES.VARIABLE,
-            expression: token.expression
+            type: NODE_TYPES.EVENT,
+            event: token.event,
+            handler: token.handler,
+            loc: token.loc
           });
           position++;
           break;
 
-        case 'RAW':
+        case 'PARTIAL':
           nodes.push({
-            type: NODE_TYPES.RAW_VARIABLE,
-            expression: token.expression
+            type: NODE_TYPES.PARTIAL,
+            name: token.name,
+            context: token.context,
+            hash: token.hash,
+            loc: token.loc
           });
           position++;
           break;
@@ -92,16 +133,52 @@ export class Parser {
           position = eachResult.nextPosition;
           break;
 
+        case 'EXTENDS_START': {
+          const extendsResult = this._parseNamedBlock(tokens, position, 'EXTENDS_END', NODE_TYPES.EXTENDS);
+          nodes.push(extendsResult.node);
+          position = extendsResult.nextPosition;
+          break;
+        }
+
+        case 'BLOCK_START': {
+          const blockResult = this._parseNamedBlock(tokens, position, 'BLOCK_END', NODE_TYPES.BLOCK);
+          nodes.push(blockResult.node);
+          position = blockResult.nextPosition;
+          break;
+        }
+
+        case 'AWAIT_START': {
+          const awaitResult = this._parseAwait(tokens, position);
+          nodes.push(awaitResult.node);
+          position = awaitResult.nextPosition;
+          break;
+        }
+
+        case 'SUPER':
+          nodes.push({
+            type: NODE_TYPES.SUPER,
+            loc: token.loc
+          });
+          position++;
+          break;
+
         case 'IF_END':
         case 'EACH_END':
-          // We've reached the end of a block, return control to parent
+        case 'EXTENDS_END':
+        case 'BLOCK_END':
+        case 'AWAIT_END':
+        case 'THEN':
+        case 'CATCH':
+        case 'ELSE':
+        case 'ELSE_IF':
+          // We've reached the end of a block (or branch), return control to parent
           return {
             nodes,
             position
           };
 
         default:
-          throw new Error(`Unknown token type: ${token.type}`);
+          throw new JframeSyntaxError(`Unknown token type: ${token.type}`, { loc: token.loc });
       }
     }
 
@@ -112,44 +189,384 @@ export class Parser {
   }
 
   /**
-   * Parses block structures (if, each)
+   * Parses block structures (if, each, else if)
    * @private
    */
   _parseBlock(tokens, startPosition, startType, endType, nodeType) {
     const startToken = tokens[startPosition];
     
     if (startToken.type !== startType) {
-      throw new Error(`Expected ${startType} at position ${startPosition}`);
+      throw new JframeSyntaxError(`Expected ${startType} at position ${startPosition}`, { loc: startToken.loc });
     }
 
-    // Parse children (everything until matching end tag)
+    const directiveName = endType.toLowerCase().replace('_end', '');
+
+    // Parse children (everything until matching end tag or else branch)
     const childResult = this._parseTokens(tokens, startPosition + 1);
+    let position = childResult.position;
+    let alternate = null;
+
+    if (position < tokens.length && tokens[position].type === 'ELSE_IF') {
+      if (nodeType !== NODE_TYPES.IF) {
+        throw new JframeSyntaxError(`{{else if}} is not allowed inside {{#${directiveName}}} directive`, { loc: tokens[position].loc });
+      }
+
+      // An else-if chain is a nested If that shares our closing tag
+      const elseIfResult = this._parseBlock(tokens, position, 'ELSE_IF', endType, NODE_TYPES.IF);
+      return {
+        node: this._createBlockNode(nodeType, startToken, childResult.nodes, [elseIfResult.node]),
+        nextPosition: elseIfResult.nextPosition
+      };
+    }
+
+    if (position < tokens.length && tokens[position].type === 'ELSE') {
+      const alternateResult = this._parseTokens(tokens, position + 1);
+      alternate = alternateResult.nodes;
+      position = alternateResult.position;
+
+      if (position < tokens.length && (tokens[position].type === 'ELSE' || tokens[position].type === 'ELSE_IF')) {
+        throw new JframeSyntaxError(`Unexpected {{else}} after {{else}} in {{#${directiveName}}} directive`, { loc: tokens[position].loc });
+      }
+    }
     
     // Check if we have the correct end tag
-    if (childResult.position >= tokens.length || tokens[childResult.position].type !== endType) {
-      // FIXED: Added the missing closing brace in error messages
-      const directiveName = startType.toLowerCase().replace('_start', '');
-      throw new Error(`Unclosed {{#${directiveName}}} directive`);
+    if (position >= tokens.length || tokens[position].type !== endType) {
+      throw new JframeSyntaxError(`Unclosed {{#${directiveName}}} directive`, { loc: startToken.loc });
     }
 
-    let node;
+    return {
+      node: this._createBlockNode(nodeType, startToken, childResult.nodes, alternate),
+      nextPosition: position + 1 // Move past the end tag
+    };
+  }
+
+  /**
+   * Parses {{#await promise}}pending{{then value}}...{{catch error}}...{{/await}};
+   * both branches are optional
+   * @private
+   */
+  _parseAwait(tokens, startPosition) {
+    const startToken = tokens[startPosition];
+    const pendingResult = this._parseTokens(tokens, startPosition + 1);
+    let position = pendingResult.position;
+
+    const parseBranch = type => {
+      const token = tokens[position];
+      if (!token || token.type !== type) return null;
+
+      const result = this._parseTokens(tokens, position + 1);
+      position = result.position;
+      return { alias: token.alias, children: result.nodes };
+    };
+
+    const resolved = parseBranch('THEN');
+    const rejected = parseBranch('CATCH');
+
+    if (position >= tokens.length || tokens[position].type !== 'AWAIT_END') {
+      throw new JframeSyntaxError('Unclosed {{#await}} directive', { loc: startToken.loc });
+    }
+
+    return {
+      node: {
+        type: NODE_TYPES.AWAIT,
+        expression: startToken.expression,
+        children: pendingResult.nodes,
+        resolved,
+        rejected,
+        loc: startToken.loc
+      },
+      nextPosition: position + 1
+    };
+  }
+
+  /**
+   * Parses {{#extends "name"}} and {{#block "name"}}. The closing
+   * {{/extends}} is optional; without it the layout's overrides run to the
+   * end of the template.
+   * @private
+   */
+  _parseNamedBlock(tokens, startPosition, endType, nodeType) {
+    const startToken = tokens[startPosition];
+    const childResult = this._parseTokens(tokens, startPosition + 1);
+    const endToken = tokens[childResult.position];
+    const node = {
+      type: nodeType,
+      name: startToken.name,
+      children: childResult.nodes,
+      loc: startToken.loc
+    };
+
+    if (endToken && endToken.type === endType) {
+      return { node, nextPosition: childResult.position + 1 };
+    }
+
+    if (nodeType === NODE_TYPES.BLOCK && (!endToken || endToken.type === 'EXTENDS_END')) {
+      throw new JframeSyntaxError('Unclosed {{#block}} directive', { loc: startToken.loc });
+    }
+
+    // Stray closing directives and {{else}} are reported by parse()
+    return { node, nextPosition: childResult.position };
+  }
+
+  /**
+   * Checks the placement of extends, block and super directives: a template
+   * that extends a layout holds nothing but the extends directive, and that
+   * holds nothing but blocks
+   * @private
+   */
+  _checkLayout(root) {
+    const blockNames = new Set();
+    const isBlank = node => node.type === NODE_TYPES.TEXT && !node.value.trim();
+
+    const visit = (nodes, parent, insideBlock) => {
+      nodes.forEach(node => {
+        if (node.type === NODE_TYPES.EXTENDS) {
+          if (parent !== root || !nodes.every(other => other === node || isBlank(other))) {
+            throw new JframeSyntaxError('{{#extends}} must wrap the whole template; only whitespace may appear outside it', { loc: node.loc });
+          }
+
+          const stray = node.children.find(child => child.type !== NODE_TYPES.BLOCK && !isBlank(child));
+          if (stray) {
+            throw new JframeSyntaxError('Only {{#block}} directives may appear directly inside {{#extends}}', { loc: stray.loc });
+          }
+        }
+
+        if (node.type === NODE_TYPES.BLOCK) {
+          if (blockNames.has(node.name)) {
+            throw new JframeSyntaxError(`Block "${node.name}" is defined more than once`, { loc: node.loc });
+          }
+          blockNames.add(node.name);
+        }
+
+        if (node.type === NODE_TYPES.SUPER && !insideBlock) {
+          throw new JframeSyntaxError('{{super}} can only be used inside a {{#block}} directive', { loc: node.loc });
+        }
+
+        const nested = insideBlock || node.type === NODE_TYPES.BLOCK;
+        if (node.children) visit(node.children, node, nested);
+        if (node.alternate) visit(node.alternate, node, nested);
+        if (node.resolved) visit(node.resolved.children, node, nested);
+        if (node.rejected) visit(node.rejected.children, node, nested);
+      });
+    };
+
+    visit(root.children, root, false);
+  }
+
+  /**
+   * Creates an If or Each node from its start token and branches
+   * @private
+   */
+  _createBlockNode(nodeType, startToken, children, alternate) {
     if (nodeType === NODE_TYPES.IF) {
-      node = {
+      return {
         type: NODE_TYPES.IF,
-        condition: startToken.condition,
-        children: childResult.nodes
+        condition: this._parseCondition(startToken.condition),
+        children,
+        alternate,
+        loc: startToken.loc
       };
-    } else if (nodeType === NODE_TYPES.EACH) {
-      node = {
-        type: NODE_TYPES.EACH,
-        items: startToken.items,
-        children: childResult.nodes
+    }
+
+    return {
+      type: NODE_TYPES.EACH,
+      items: startToken.items,
+      itemAlias: startToken.itemAlias,
+      indexAlias: startToken.indexAlias,
+      key: startToken.key || null,
+      children,
+      alternate,
+      loc: startToken.loc
+    };
+  }
+
+  /**
+   * Builds the Variable, RawVariable or Helper node for an output tag
+   * @private
+   */
+  _parseOutput(token) {
+    const isRaw = token.type === 'RAW';
+
+    try {
+      const [expression, ...filterSegments] = this._splitFilters(token.expression);
+      const filters = filterSegments.map(segment => this._parseFilter(segment));
+      const helper = this._parseHelperCall(expression);
+
+      if (helper) {
+        return { ...helper, raw: isRaw, filters, loc: token.loc };
+      }
+
+      return {
+        type: isRaw ? NODE_TYPES.RAW_VARIABLE : NODE_TYPES.VARIABLE,
+        expression,
+        filters,
+        loc: token.loc
       };
+    } catch (error) {
+      if (error instanceof JframeError) throw error;
+      throw new JframeSyntaxError(error.message, { loc: token.loc, expression: token.expression });
+    }
+  }
+
+  /**
+   * Parses an if condition, turning helper calls such as `isAdmin user`
+   * or `(hasRole user "editor")` into Helper nodes
+   * @private
+   */
+  _parseCondition(condition) {
+    const trimmed = condition.trim();
+    const isWrapped = trimmed.startsWith('(') && trimmed.endsWith(')');
+
+    return (isWrapped ? this._parseSubExpression(trimmed) : this._parseHelperCall(trimmed)) || condition;
+  }
+
+  /**
+   * Parses `name arg1 arg2 key=value` into a Helper node. Returns null when
+   * the expression is not helper call syntax (e.g. plain paths or raw JS).
+   * @private
+   */
+  _parseHelperCall(expression, allowNoArguments = false) {
+    let args;
+    try {
+      args = splitArguments(expression.trim());
+    } catch (error) {
+      return null;
+    }
+
+    const [name, ...rest] = args;
+    if (!name || !/^[a-zA-Z_$][a-zA-Z0-9_$\-]*$/.test(name) || name === 'typeof') return null;
+
+    // `a in b` and `a instanceof B` are operators, not a helper called with arguments
+    if (rest[0] === 'in' || rest[0] === 'instanceof') return null;
+    if (rest.length === 0 && !allowNoArguments) return null;
+
+    const params = [];
+    const hash = {};
+
+    for (const arg of rest) {
+      const hashMatch = arg.match(/^([a-zA-Z_$][a-zA-Z0-9_$]*)=(.+)$/);
+      const value = this._parseHelperArgument(hashMatch ? hashMatch[2] : arg);
+      if (value === null) return null;
+
+      if (hashMatch) {
+        hash[hashMatch[1]] = value;
+      } else {
+        params.push(value);
+      }
     }
 
     return {
-      node,
-      nextPosition: childResult.position + 1 // Move past the end tag
+      type: NODE_TYPES.HELPER,
+      name,
+      params,
+      hash
     };
   }
+
+  /**
+   * Parses a single helper argument: a literal, a template path or a
+   * parenthesized sub-expression. Returns null for anything else.
+   * @private
+   */
+  _parseHelperArgument(arg) {
+    if (arg.startsWith('(') && arg.endsWith(')')) {
+      return this._parseSubExpression(arg);
+    }
+
+    const isLiteral = /^("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|-?\d+(\.\d+)?|true|false|null|undefined)$/.test(arg);
+    return isLiteral || TEMPLATE_PATH_PATTERN.test(arg) ? arg : null;
+  }
+
+  /**
+   * Parses a parenthesized sub-expression such as `(formatDate created)`
+   * @private
+   */
+  _parseSubExpression(arg) {
+    return this._parseHelperCall(arg.slice(1, -1), true);
+  }
+
+  /**
+   * Splits an output expression on single pipes into the value expression
+   * and its filter segments. `||`, quoted strings and parentheses are kept.
+   * @private
+   */
+  _splitFilters(expression) {
+    const segments = [];
+    let current = '';
+    let quote = null;
+    let depth = 0;
+
+    for (let i = 0; i < expression.length; i++) {
+      const char = expression[i];
+
+      if (quote) {
+        if (char === '\\') {
+          current += char + (expression[++i] || '');
+          continue;
+        }
+        if (char === quote) quote = null;
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === '(' || char === '[') {
+        depth++;
+      } else if (char === ')' || char === ']') {
+        depth--;
+      } else if (char === '|' && depth === 0 && expression[i - 1] !== '|' && expression[i + 1] !== '|') {
+        segments.push(current.trim());
+        current = '';
+        continue;
+      }
+
+      current += char;
+    }
+
+    segments.push(current.trim());
+    return segments;
+  }
+
+  /**
+   * Parses a filter segment such as `truncate:40:"..."` into { name, args }
+   * @private
+   */
+  _parseFilter(segment) {
+    const parts = [];
+    let current = '';
+    let quote = null;
+
+    for (let i = 0; i < segment.length; i++) {
+      const char = segment[i];
+
+      if (quote) {
+        if (char === '\\') {
+          current += char + (segment[++i] || '');
+          continue;
+        }
+        if (char === quote) quote = null;
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === ':') {
+        parts.push(current.trim());
+        current = '';
+        continue;
+      }
+
+      current += char;
+    }
+    parts.push(current.trim());
+
+    const [name, ...rawArgs] = parts;
+    if (!/^[a-zA-Z_$][a-zA-Z0-9_$]*$/.test(name)) {
+      throw new Error(`Invalid filter expression: ${segment}`);
+    }
+
+    const args = rawArgs.map(arg => {
+      const value = this._parseHelperArgument(arg);
+      if (value === null) {
+        throw new Error(`Invalid argument "${arg}" for filter ${name}`);
+      }
+      return value;
+    });
+
+    return { name, args };
+  }
 }
\ No newline at end of file
@@ -0,0 +1,365 @@
+/**
+ * Reactivity - deep Proxies that record which properties a render reads and
+ * schedule the watchers that read a property when it changes
+ */
+
+import { deepGet } from './utils.js';
+
+// Key tracked by reads of an object's key list (Object.keys, for...in, #each over objects)
+const ITERATE = Symbol('iterate');
+
+// Read through a reactive proxy to get the object it wraps
+const RAW = Symbol('raw');
+
+// Plain object or array -> its proxy, so each object gets a single proxy
+const proxies = new WeakMap();
+
+// Object -> Map of key -> Set of watchers that read it
+const dependencies = new WeakMap();
+
+// Watcher whose callback is collecting dependencies right now
+let activeWatcher = null;
+
+// Rounds of watchers a flush may run before it is considered an update loop
+const MAX_FLUSH_ROUNDS = 100;
+
+// Watchers scheduled for the next flush, and the promise of that flush
+const pending = new Set();
+let flushPromise = null;
+
+const handlers = {
+  get(target, key, receiver) {
+    if (key === RAW) return target;
+
+    const value = Reflect.get(target, key, receiver);
+    if (typeof key === 'symbol') return value;
+
+    track(target, key);
+    return isObservable(value) ? reactive(value) : value;
+  },
+
+  has(target, key) {
+    if (typeof key !== 'symbol') track(target, key);
+    return Reflect.has(target, key);
+  },
+
+  ownKeys(target) {
+    track(target, Array.isArray(target) ? 'length' : ITERATE);
+    return Reflect.ownKeys(target);
+  },
+
+  set(target, key, value, receiver) {
+    const hadKey = Object.prototype.hasOwnProperty.call(target, key);
+    const oldValue = target[key];
+    const result = Reflect.set(target, key, toRaw(value), receiver);
+
+    if (!hadKey) {
+      trigger(target, key);
+      // New array indices grow the array even though the length write that follows changes nothing
+      trigger(target, Array.isArray(target) ? 'length' : ITERATE);
+    } else if (!Object.is(oldValue, target[key])) {
+      trigger(target, key);
+    }
+
+    return result;
+  },
+
+  deleteProperty(target, key) {
+    const hadKey = Object.prototype.hasOwnProperty.call(target, key);
+    const result = Reflect.deleteProperty(target, key);
+
+    if (hadKey && result) {
+      trigger(target, key);
+      trigger(target, ITERATE);
+    }
+
+    return result;
+  }
+};
+
+/**
+ * Returns a deep reactive proxy of a plain object or array. Nested plain
+ * objects and arrays are wrapped when read; Maps, Sets, Dates and class
+ * instances are returned as they are and their changes are not seen.
+ * @param {Object|Array} target - Object to observe
+ * @returns {Proxy} Reactive proxy
+ */
+export function reactive(target) {
+  if (isReactive(target)) return target;
+  if (!isObservable(target)) {
+    throw new Error('reactive() expects a plain object or an array');
+  }
+
+  let proxy = proxies.get(target);
+  if (!proxy) {
+    proxy = new Proxy(target, handlers);
+    proxies.set(target, proxy);
+  }
+  return proxy;
+}
+
+/**
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether the value is a reactive proxy
+ */
+export function isReactive(value) {
+  return !!value && typeof value === 'object' && !!value[RAW];
+}
+
+/**
+ * Returns the object behind a reactive proxy, or the value itself
+ * @param {*} value - Value
+ * @returns {*} Raw value
+ */
+export function toRaw(value) {
+  return isReactive(value) ? value[RAW] : value;
+}
+
+/**
+ * Resolves after scheduled watchers have run
+ * @returns {Promise} Promise for the current flush
+ */
+export function nextTick() {
+  return flushPromise || Promise.resolve();
+}
+
+/**
+ * Watcher class - runs a callback in a microtask after any property read
+ * during its last collect() changes. Changes in the same tick are batched.
+ */
+export class Watcher {
+  /**
+   * @param {Function} callback - Called when a dependency changes
+   * @param {Object} options - Watcher options
+   * @param {boolean} options.sync - Call back immediately instead of in the next flush
+   */
+  constructor(callback, options = {}) {
+    this.callback = callback;
+    this.sync = !!options.sync;
+    this.active = true;
+    this._dependencies = new Set();
+  }
+
+  /**
+   * Runs a function, replacing this watcher's dependencies with the reactive
+   * properties it reads
+   * @param {Function} fn - Function to run
+   * @returns {*} The function's result
+   */
+  collect(fn) {
+    this._cleanup();
+
+    // Running now makes a scheduled run redundant
+    pending.delete(this);
+
+    const previous = activeWatcher;
+    activeWatcher = this.active ? this : null;
+    try {
+      return fn();
+    } finally {
+      activeWatcher = previous;
+    }
+  }
+
+  /**
+   * Queues the callback for the next flush, or calls it now for sync watchers
+   */
+  schedule() {
+    if (!this.active) return;
+
+    if (this.sync) {
+      this.callback();
+      return;
+    }
+
+    pending.add(this);
+    if (!flushPromise) {
+      flushPromise = Promise.resolve().then(flush);
+    }
+  }
+
+  /**
+   * Stops watching; the callback will not run again
+   */
+  stop() {
+    this.active = false;
+    pending.delete(this);
+    this._cleanup();
+  }
+
+  /**
+   * @private
+   */
+  _cleanup() {
+    this._dependencies.forEach(watchers => watchers.delete(this));
+    this._dependencies.clear();
+  }
+}
+
+/**
+ * Defines a cached, read-only property computed from other reactive data.
+ * It recalculates on the first read after one of its dependencies changes.
+ * @param {Object} data - Reactive or plain object to define the property on
+ * @param {string} name - Property name
+ * @param {Function} getter - Receives the reactive object (also as `this`)
+ * @returns {Watcher} Watcher tracking the getter's dependencies; stop() it to detach
+ */
+export function defineComputed(data, name, getter) {
+  if (typeof getter !== 'function') {
+    throw new Error(`Computed property "${name}" needs a getter function`);
+  }
+
+  const proxy = reactive(data);
+  const target = toRaw(proxy);
+  let value;
+  let dirty = true;
+
+  // Invalidates synchronously so readers scheduled by the same change see the new value
+  const watcher = new Watcher(() => {
+    if (!dirty) {
+      dirty = true;
+      trigger(target, name);
+    }
+  }, { sync: true });
+
+  Object.defineProperty(target, name, {
+    configurable: true,
+    enumerable: false,
+    get() {
+      track(target, name);
+      if (dirty || !watcher.active) {
+        value = watcher.collect(() => getter.call(proxy, proxy));
+        dirty = false;
+      }
+      return value;
+    },
+    set() {
+      throw new Error(`Computed property "${name}" is read-only`);
+    }
+  });
+
+  return watcher;
+}
+
+/**
+ * Calls back after a path (or the result of a function) on reactive data
+ * changes, batched like re-renders
+ * @param {Object} data - Reactive or plain object
+ * @param {string|Function} source - Dot path such as 'user.name', or a function of the data
+ * @param {Function} callback - Receives (newValue, oldValue)
+ * @param {Object} options - Watch options
+ * @param {boolean} options.immediate - Also call back right away with the current value
+ * @param {boolean} options.deep - Call back on changes anywhere inside the value
+ * @returns {Watcher} The watcher; stop() it to unwatch
+ */
+export function watch(data, source, callback, options = {}) {
+  const proxy = reactive(data);
+  const { immediate = false, deep = false } = options;
+  const getter = typeof source === 'function' ? () => source.call(proxy, proxy) : () => deepGet(proxy, source);
+  const read = deep ? () => touchAll(getter()) : getter;
+
+  let oldValue;
+  const watcher = new Watcher(() => {
+    const value = watcher.collect(read);
+    if (deep || !Object.is(value, oldValue)) {
+      const previous = oldValue;
+      oldValue = value;
+      callback.call(proxy, value, previous);
+    }
+  });
+
+  oldValue = watcher.collect(read);
+  if (immediate) {
+    callback.call(proxy, oldValue, undefined);
+  }
+
+  return watcher;
+}
+
+/**
+ * Reads every nested property so a deep watcher depends on all of them
+ * @private
+ */
+function touchAll(value, seen = new Set()) {
+  if (isReactive(value) && !seen.has(value)) {
+    seen.add(value);
+    Object.keys(value).forEach(key => touchAll(value[key], seen));
+  }
+  return value;
+}
+
+/**
+ * Records that the active watcher read a property
+ * @private
+ */
+function track(target, key) {
+  if (!activeWatcher) return;
+
+  let keys = dependencies.get(target);
+  if (!keys) {
+    keys = new Map();
+    dependencies.set(target, keys);
+  }
+
+  let watchers = keys.get(key);
+  if (!watchers) {
+    watchers = new Set();
+    keys.set(key, watchers);
+  }
+
+  watchers.add(activeWatcher);
+  activeWatcher._dependencies.add(watchers);
+}
+
+/**
+ * Schedules the watchers that read a property
+ * @private
+ */
+function trigger(target, key) {
+  const keys = dependencies.get(target);
+  const watchers = keys && keys.get(key);
+  if (watchers) {
+    [...watchers].forEach(watcher => watcher.schedule());
+  }
+}
+
+/**
+ * Runs scheduled watchers; ones scheduled while flushing run in the same flush
+ * @private
+ */
+function flush() {
+  let rounds = 0;
+
+  try {
+    while (pending.size > 0) {
+      if (++rounds > MAX_FLUSH_ROUNDS) {
+        console.error(`Reactive updates kept scheduling each other for ${MAX_FLUSH_ROUNDS} rounds; check for watchers that change what they read`);
+        pending.clear();
+        break;
+      }
+
+      const watchers = [...pending];
+      pending.clear();
+
+      watchers.forEach(watcher => {
+        try {
+          watcher.callback();
+        } catch (error) {
+          console.error('Reactive update failed:', error);
+        }
+      });
+    }
+  } finally {
+    flushPromise = null;
+  }
+}
+
+/**
+ * @private
+ */
+function isObservable(value) {
+  if (!value || typeof value !== 'object' || Object.isFrozen(value)) return false;
+
+  const prototype = Object.getPrototypeOf(value);
+  return Array.isArray(value) || prototype === Object.prototype || prototype === null;
+}
@@ -2,6 +2,8 @@
  * Renderer - executes compiled templates with data context
  */
 
+import { JframeError, JframeRenderError } from './errors.js';
+
 /**
  * Renderer class - manages template rendering
  */
@@ -13,6 +15,35 @@ export class Renderer {
    * @returns {string} Rendered HTML
    */
   render(compiledTemplate, context = {}) {
+    this._check(compiledTemplate, context);
+
+    try {
+      return compiledTemplate(context);
+    } catch (error) {
+      throw toRenderError(error);
+    }
+  }
+
+  /**
+   * Renders a streaming template chunk by chunk
+   * @param {Function} compiledTemplate - Render function from compileStream()
+   * @param {Object} context - Data context
+   * @returns {Iterator} HTML chunks
+   */
+  *renderStream(compiledTemplate, context = {}) {
+    this._check(compiledTemplate, context);
+
+    try {
+      yield* compiledTemplate(context);
+    } catch (error) {
+      throw toRenderError(error);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _check(compiledTemplate, context) {
     if (typeof compiledTemplate !== 'function') {
       throw new Error('Compiled template must be a function');
     }
@@ -20,11 +51,14 @@ export class Renderer {
     if (typeof context !== 'object' || context === null) {
       throw new Error('Context must be an object');
     }
-
-    try {
-      return compiledTemplate(context);
-    } catch (error) {
-      throw new Error(`Rendering failed: ${error.message}`);
-    }
   }
+}
+
+/**
+ * @private
+ */
+function toRenderError(error) {
+  // Compiled templates already report the failing expression
+  if (error instanceof JframeError) return error;
+  return new JframeRenderError(`Rendering failed: ${error.message}`, { cause: error });
 }
\ No newline at end of file
@@ -0,0 +1,278 @@
+/**
+ * Runtime - the support functions compiled templates call while rendering.
+ * Shared by in-browser compilation and precompiled template modules. The
+ * core covers escaping, lookups, helpers, filters and partials; components,
+ * the sanitizer and {{#await}} are extensions in runtime/ added with use().
+ */
+
+import { escapeHtml, deepGet, toEntries, BLOCKED_PROPERTIES, ROW_MARKER_PREFIX, LIST_END_PREFIX, EVENT_ATTRIBUTE_PREFIX } from './utils.js';
+import { builtinFilters } from './filters.js';
+import { getEscaper } from './escaping.js';
+import { JframeError, JframeRenderError } from './errors.js';
+
+// Guards against partials that keep including themselves at runtime
+const MAX_PARTIAL_DEPTH = 100;
+
+/**
+ * Runtime class - holds the helper, filter and partial registries that
+ * render functions receive as `__runtime`
+ */
+export class Runtime {
+  /**
+   * @param {Object} options - Runtime options
+   * @param {Function} options.resolvePartial - Returns the render function for a
+   *   partial name; defaults to the partials registered on this runtime
+   */
+  constructor(options = {}) {
+    this.partials = new Map();
+    this.helpers = new Map();
+    this.filters = new Map(Object.entries(builtinFilters));
+    this._partialDepth = 0;
+    this._events = null;
+    this._extensions = new Set();
+    this._resolvePartial = options.resolvePartial || (name => this.partials.get(name));
+
+    this.escape = escapeHtml;
+    this.get = deepGet;
+    this.entries = toEntries;
+  }
+
+  /**
+   * Adds an extension such as installComponents (runtime/components.js).
+   * Each extension is installed once, however often it is passed.
+   * @param {Function} install - Receives the runtime and adds its methods and state
+   * @returns {Runtime} This runtime for chaining
+   */
+  use(install) {
+    if (typeof install !== 'function') {
+      throw new Error('Runtime extension must be a function');
+    }
+
+    if (!this._extensions.has(install)) {
+      this._extensions.add(install);
+      install(this);
+    }
+    return this;
+  }
+
+  /**
+   * Registers a helper function callable as {{name arg key=value}}
+   * @param {string} name - Helper name
+   * @param {Function} fn - Receives positional args plus an options object ({ name, hash })
+   * @returns {Runtime} This runtime for chaining
+   */
+  registerHelper(name, fn) {
+    if (typeof fn !== 'function') {
+      throw new Error(`Helper "${name}" must be a function`);
+    }
+
+    this.helpers.set(name, fn);
+    return this;
+  }
+
+  /**
+   * Registers a filter usable as {{ value | name:arg }}
+   * @param {string} name - Filter name
+   * @param {Function} fn - Receives the piped value followed by the filter arguments
+   * @returns {Runtime} This runtime for chaining
+   */
+  registerFilter(name, fn) {
+    if (typeof fn !== 'function') {
+      throw new Error(`Filter "${name}" must be a function`);
+    }
+
+    this.filters.set(name, fn);
+    return this;
+  }
+
+  /**
+   * Registers a render function (such as a precompiled module's default
+   * export) for {{> name}} inclusion
+   * @param {string} name - Partial name
+   * @param {Function} render - Render function
+   * @returns {Runtime} This runtime for chaining
+   */
+  registerPartial(name, render) {
+    if (typeof render !== 'function') {
+      throw new Error(`Partial "${name}" must be a render function`);
+    }
+
+    this.partials.set(name, render);
+    return this;
+  }
+
+  /**
+   * Renders a partial with hash parameters layered over its context
+   */
+  partial(name, context, hash) {
+    const render = this._resolvePartial(name);
+    if (!render) {
+      throw new Error(`Partial "${name}" is not registered`);
+    }
+
+    if (this._partialDepth >= MAX_PARTIAL_DEPTH) {
+      throw new Error(`Partial "${name}" exceeded the maximum nesting depth of ${MAX_PARTIAL_DEPTH}; check for recursion without a terminating condition`);
+    }
+
+    // Hash parameters are layered over a copy of the partial's context
+    let partialContext = context;
+    if (hash) {
+      partialContext = Object.assign({}, context && typeof context === 'object' ? context : {}, hash);
+    }
+
+    this._partialDepth++;
+    try {
+      return render(partialContext);
+    } finally {
+      this._partialDepth--;
+    }
+  }
+
+  /**
+   * Invokes a registered helper with the current scope as `this`
+   */
+  helper(name, scope, params, hash) {
+    const helper = this.helpers.get(name);
+    if (!helper) {
+      throw new Error(`Helper "${name}" is not registered`);
+    }
+
+    return helper.apply(scope, [...params, { name, hash }]);
+  }
+
+  /**
+   * Runs a registered filter
+   */
+  filter(name, value, args) {
+    const filter = this.filters.get(name);
+    if (!filter) {
+      throw new Error(`Filter "${name}" is not registered`);
+    }
+
+    return filter(value, ...args);
+  }
+
+  /**
+   * Renders the comment opening a keyed #each row, which DOM updates use to
+   * match, move and remove rows. Warns about missing and duplicate keys.
+   * Like on:event attributes, markers are only rendered inside
+   * collectEvents(), for element renders and renderToString().
+   * @param {string} list - Id of the list in its template
+   * @param {*} key - Row key
+   * @param {Set} seen - Keys already rendered by this pass over the list
+   * @returns {string} Marker comment, or '' outside collectEvents()
+   */
+  rowMarker(list, key, seen) {
+    if (key == null) {
+      console.warn(`Keyed {{#each}} row has no key (got ${key}); rows without keys cannot be told apart`);
+    } else if (seen.has(key)) {
+      console.warn(`Duplicate key "${String(key)}" in a keyed {{#each}}; rows sharing a key may reuse the wrong DOM nodes`);
+    }
+
+    seen.add(key);
+    if (!this._events) return '';
+    return `<!--${ROW_MARKER_PREFIX}${this._listMarkerId(list)}:${encodeURIComponent(String(key))}-->`;
+  }
+
+  /**
+   * Renders the comment closing the rows of a keyed #each
+   * @param {string} list - Id of the list in its template
+   * @returns {string} Marker comment, or '' outside collectEvents()
+   */
+  listEnd(list) {
+    return this._events ? `<!--${LIST_END_PREFIX}${this._listMarkerId(list)}-->` : '';
+  }
+
+  /**
+   * A partial that includes itself renders the same list inside its own
+   * rows; the nesting depth keeps their markers apart
+   * @private
+   */
+  _listMarkerId(list) {
+    return `${list}.${this._partialDepth}`;
+  }
+
+  /**
+   * Runs a render while collecting the handlers of its on:event attributes
+   * @param {Function} render - Renders and returns HTML
+   * @returns {Object} { html, events } where events is the handler table
+   */
+  collectEvents(render) {
+    const previous = this._events;
+    const events = this._events = [];
+
+    try {
+      return { html: render(), events };
+    } finally {
+      this._events = previous;
+    }
+  }
+
+  /**
+   * Registers an on:event handler for the render in progress
+   * @param {string} event - DOM event type
+   * @param {Function} handler - (event, handlers) => result
+   * @returns {string} The data attribute for the element with a leading space, or '' outside collectEvents()
+   */
+  event(event, handler) {
+    if (!this._events) return '';
+
+    this._events.push({ event, handler });
+    return ` ${EVENT_ATTRIBUTE_PREFIX}${event}="${this._events.length - 1}"`;
+  }
+
+  /**
+   * Resolves a name in an event handler: functions passed to render() first
+   * (bound to their object), then the render context
+   */
+  lookup(handlers, ctx, name) {
+    if (handlers && name in Object(handlers) && !(name in Object.prototype)) {
+      const value = handlers[name];
+      return typeof value === 'function' ? value.bind(handlers) : value;
+    }
+
+    return deepGet(ctx, name);
+  }
+
+  /**
+   * Escapes output for an HTML context other than element text, such as
+   * 'url:attr' or 'js-string' (see escaping.js)
+   */
+  escapeAs(context, value) {
+    return getEscaper(context)(value);
+  }
+
+  /**
+   * Rejects computed property names that could escape to the Function
+   * constructor or a prototype
+   * @returns {*} The key, when allowed
+   */
+  property(key) {
+    if (BLOCKED_PROPERTIES.includes(String(key))) {
+      throw new Error(`Access to "${String(key)}" is not allowed`);
+    }
+    return key;
+  }
+
+  /**
+   * Converts a runtime failure into a JframeRenderError pointing at the
+   * template expression that was executing
+   */
+  error(error, location) {
+    if (error instanceof JframeError) {
+      return error;
+    }
+
+    return new JframeRenderError(`Rendering failed: ${error && error.message}`, {
+      loc: location ? location.loc : null,
+      expression: location ? location.expression : null,
+      templateName: location ? location.templateName : null,
+      cause: error
+    });
+  }
+}
+
+/**
+ * Runtime used by precompiled template modules unless they are given another
+ */
+export const runtime = new Runtime();
@@ -0,0 +1,86 @@
+/**
+ * {{#await}} support for the runtime - tracks the promises a render waits
+ * for and what they settled with. Installed with runtime.use(installAwait).
+ */
+
+import { reactive } from '../reactive.js';
+
+/**
+ * Adds awaited(), collectPending() and scope() to a runtime
+ * @param {Runtime} runtime - Runtime to extend
+ */
+export function installAwait(runtime) {
+  // Promise -> settle record, and the pending ones of the render in progress
+  runtime._promises = new WeakMap();
+  runtime._pending = null;
+
+  Object.assign(runtime, awaitMethods);
+}
+
+const awaitMethods = {
+  /**
+   * Reports how far the value of an {{#await}} block has got. Promises and
+   * other thenables are pending until they settle; reading the state inside
+   * a Watcher makes the watcher run again when they do. Other values count
+   * as already resolved.
+   * @param {*} value - Awaited value
+   * @returns {Object} { status: 'pending' | 'fulfilled' | 'rejected', value }
+   */
+  awaited(value) {
+    if (!value || (typeof value !== 'object' && typeof value !== 'function') || typeof value.then !== 'function') {
+      return { status: 'fulfilled', value };
+    }
+
+    let record = this._promises.get(value);
+    if (!record) {
+      const signal = reactive({ status: 'pending' });
+      const settle = (status, result) => {
+        record.state = { status, value: result };
+        signal.status = status;
+      };
+
+      record = { signal, state: { status: 'pending', value: undefined }, settled: null };
+      record.settled = Promise.resolve(value).then(result => settle('fulfilled', result), error => settle('rejected', error));
+      this._promises.set(value, record);
+    }
+
+    // Reading the signal subscribes the watcher of the render in progress
+    if (record.signal.status === 'pending' && this._pending) {
+      this._pending.push(record.settled);
+    }
+
+    return record.state;
+  },
+
+  /**
+   * Runs a render while collecting the promises its {{#await}} blocks are
+   * still waiting for
+   * @param {Function} render - Renders and returns its result
+   * @returns {Object} { result, pending } where pending settles with the promises
+   */
+  collectPending(render) {
+    const previous = this._pending;
+    const pending = this._pending = [];
+
+    try {
+      return { result: render(), pending };
+    } finally {
+      this._pending = previous;
+    }
+  },
+
+  /**
+   * Layers the name a {{then}} or {{catch}} branch gives the settled value
+   * over the context. The context stays the prototype rather than being
+   * copied, so reads still reach reactive data.
+   * @param {Object} ctx - Context of the block
+   * @param {string} name - Branch name
+   * @param {*} value - Settled value or error
+   * @returns {Object} Context for the branch
+   */
+  scope(ctx, name, value) {
+    return Object.create(ctx && typeof ctx === 'object' ? ctx : null, {
+      [name]: { value, enumerable: true }
+    });
+  }
+};
@@ -0,0 +1,239 @@
+/**
+ * Component support for the runtime - renders registered components in
+ * place of their custom element tags, with <slot> content and on:event
+ * handlers that resolve against the component instance. Installed with
+ * runtime.use(installComponents).
+ */
+
+import { escapeHtml, COMPONENT_ATTRIBUTE } from '../utils.js';
+import { getEscaper } from '../escaping.js';
+import { reactive } from '../reactive.js';
+import { toPropName } from '../components.js';
+
+// Guards against components that keep rendering themselves
+const MAX_COMPONENT_DEPTH = 100;
+
+/**
+ * Adds registerComponent(), component(), slot() and collectComponents() to a runtime
+ * @param {Runtime} runtime - Runtime to extend
+ */
+export function installComponents(runtime) {
+  runtime.components = new Map();
+
+  // Components being rendered (innermost last), and the instances of the render in progress
+  runtime._componentStack = [];
+  runtime._mount = null;
+
+  // Handlers inside a component template resolve against the component instance
+  const event = runtime.event;
+  runtime.event = function (type, handler) {
+    const component = this._componentStack[this._componentStack.length - 1];
+    return event.call(this, type, component ? domEvent => handler(domEvent, component.instance.state) : handler);
+  };
+
+  Object.assign(runtime, componentMethods);
+}
+
+const componentMethods = {
+  /**
+   * Registers a component rendered in place of <name ...></name> tags
+   * @param {string} name - Tag name; custom element names contain a hyphen
+   * @param {Object} definition - Component definition
+   * @param {Function} definition.render - Render function of the component's template
+   * @param {Array|Object} definition.props - Prop names, or names mapped to { default }
+   * @param {Function} definition.data - Returns the initial state of each instance; receives the props
+   * @param {Object} definition.methods - Functions with the instance as `this`, callable from on:event
+   * @returns {Runtime} This runtime for chaining
+   */
+  registerComponent(name, definition) {
+    if (!definition || typeof definition.render !== 'function') {
+      throw new Error(`Component "${name}" must have a render function`);
+    }
+
+    const { props = [], data = null, methods = {} } = definition;
+    if (data !== null && typeof data !== 'function') {
+      throw new Error(`Component "${name}" data must be a function returning the initial state`);
+    }
+
+    // Prop name -> { default }
+    const propEntries = Array.isArray(props)
+      ? props.map(prop => [prop, {}])
+      : Object.entries(props).map(([prop, options]) => [prop, options && typeof options === 'object' ? options : {}]);
+
+    this.components.set(name, { name, render: definition.render, props: new Map(propEntries), data, methods });
+    return this;
+  },
+
+  /**
+   * Runs a render while collecting the component instances it renders.
+   * Instances of the previous render are reused in order (or by their `key`
+   * attribute), so their state survives re-rendering.
+   * @param {Array} previous - Instances from the previous render of the same element
+   * @param {Function} render - Renders and returns its result
+   * @returns {Object} { result, components }
+   */
+  collectComponents(previous, render) {
+    const saved = this._mount;
+    const mount = this._mount = { previous, claimed: new Set(), components: [] };
+
+    try {
+      return { result: render(), components: mount.components };
+    } finally {
+      this._mount = saved;
+    }
+  },
+
+  /**
+   * Renders a custom element tag. A registered component renders its
+   * template with its own state inside the tag; other tags are written back
+   * as they were, so web components keep working.
+   * @param {string} tag - Tag name
+   * @param {Array} attributes - { name, quote, parts, escapes }: parts are literal
+   *   text (escapes[i] null) or output values to escape for the context escapes[i]
+   * @param {string[]} events - Attributes rendered by on:event handlers on the tag
+   * @param {Object} slots - Slot name -> function rendering the content given for it
+   * @returns {string} HTML
+   */
+  component(tag, attributes, events, slots) {
+    const definition = this.components.get(tag);
+    const eventHtml = events.join('');
+
+    if (!definition) {
+      const named = Object.keys(slots).filter(name => name !== 'default')
+        .map(name => `<template slot="${escapeHtml(name)}">${slots[name]()}</template>`);
+      const content = (slots.default ? slots.default() : '') + named.join('');
+      return `<${tag}${this._attributesHtml(attributes)}${eventHtml}>${content}</${tag}>`;
+    }
+
+    if (this._componentStack.length >= MAX_COMPONENT_DEPTH) {
+      throw new Error(`Component <${tag}> exceeded the maximum nesting depth of ${MAX_COMPONENT_DEPTH}; check for components that render themselves`);
+    }
+
+    // Declared props go to the instance; other attributes stay on the host element
+    const props = {};
+    const hostAttributes = [];
+    let key = null;
+
+    attributes.forEach(attribute => {
+      const prop = toPropName(attribute.name);
+      if (attribute.name === 'key') {
+        key = this._attributeValue(attribute);
+      } else if (definition.props.has(prop)) {
+        props[prop] = this._attributeValue(attribute);
+      } else {
+        hostAttributes.push(attribute);
+      }
+    });
+
+    definition.props.forEach((options, prop) => {
+      if (!(prop in props)) {
+        props[prop] = typeof options.default === 'function' ? options.default() : options.default;
+      }
+    });
+
+    const instance = this._mountComponent(definition, props, key);
+
+    this._componentStack.push({ instance, slots });
+    let html;
+    try {
+      html = definition.render(instance.state);
+    } finally {
+      this._componentStack.pop();
+    }
+
+    const id = this._mount ? ` ${COMPONENT_ATTRIBUTE}="${this._mount.components.indexOf(instance)}"` : '';
+    return `<${tag}${id}${this._attributesHtml(hostAttributes)}${eventHtml}>${html}</${tag}>`;
+  },
+
+  /**
+   * Renders the content given for a <slot> of the component being rendered,
+   * or the slot's own content when none was given. The given content is
+   * rendered with the context (and handlers) of the template it came from.
+   * @param {string} name - Slot name; 'default' for <slot> without a name
+   * @param {Function} fallback - Renders the slot element's own content
+   * @returns {string} HTML
+   */
+  slot(name, fallback) {
+    const component = this._componentStack[this._componentStack.length - 1];
+    if (!component) {
+      // Outside a component, <slot> is ordinary (shadow DOM) markup
+      return `<slot${name === 'default' ? '' : ` name="${escapeHtml(name)}"`}>${fallback()}</slot>`;
+    }
+
+    const content = component.slots[name];
+    if (!content) return fallback();
+
+    this._componentStack.pop();
+    try {
+      return content();
+    } finally {
+      this._componentStack.push(component);
+    }
+  },
+
+  /**
+   * Finds the instance of the previous render to reuse, or creates one
+   * @private
+   */
+  _mountComponent(definition, props, key) {
+    const mount = this._mount;
+    let instance = null;
+
+    if (mount) {
+      const position = mount.components.length;
+      instance = mount.previous.find((candidate, index) => {
+        if (mount.claimed.has(candidate) || candidate.definition !== definition) return false;
+        return key !== null ? candidate.key === key : candidate.key === null && index === position;
+      }) || null;
+    }
+
+    if (instance) {
+      Object.assign(instance.state, props);
+    } else {
+      const state = definition.data ? definition.data.call(null, props) : {};
+      if (!state || typeof state !== 'object') {
+        throw new Error(`Component <${definition.name}> data() must return an object`);
+      }
+
+      Object.assign(state, props);
+
+      // Methods are callable from the template and from on:event, with the state as `this`
+      const proxy = reactive(state);
+      Object.entries(definition.methods).forEach(([name, method]) => {
+        Object.defineProperty(state, name, { configurable: true, enumerable: false, writable: true, value: method.bind(proxy) });
+      });
+
+      instance = { definition, key, state: proxy };
+    }
+
+    if (mount) {
+      mount.claimed.add(instance);
+      mount.components.push(instance);
+    }
+    return instance;
+  },
+
+  /**
+   * Value of a component attribute: an output tag alone passes its value
+   * as it is; anything else is text
+   * @private
+   */
+  _attributeValue(attribute) {
+    if (!attribute.parts) return true;
+    if (attribute.parts.length === 1 && attribute.escapes[0] !== null) return attribute.parts[0];
+    return attribute.parts.map(part => (part == null ? '' : String(part))).join('');
+  },
+
+  /**
+   * Serializes attributes, escaping output values for their context
+   * @private
+   */
+  _attributesHtml(attributes) {
+    return attributes.map(({ name, quote, parts, escapes }) => {
+      if (!parts) return ` ${name}`;
+
+      const value = parts.map((part, index) => (escapes[index] === null ? part : getEscaper(escapes[index])(part))).join('');
+      return ` ${name}=${quote}${value}${quote}`;
+    }).join('');
+  }
+};
@@ -0,0 +1,41 @@
+/**
+ * Sanitizer support for the runtime - the {{{sanitize-html html}}} helper and
+ * sanitized raw output. Installed with runtime.use(installSanitizer).
+ */
+
+import { Sanitizer } from '../sanitizer.js';
+
+/**
+ * Adds sanitize(), configureSanitizer() and the sanitize-html helper to a runtime
+ * @param {Runtime} runtime - Runtime to extend
+ */
+export function installSanitizer(runtime) {
+  runtime.sanitizer = new Sanitizer();
+
+  // {{{sanitize-html html}}} uses this runtime's allow-list, unless a helper of that name was registered first.
+  // The hyphen keeps it apart from context keys: {{sanitize}} still reads the key of that name.
+  if (!runtime.helpers.has('sanitize-html')) {
+    runtime.helpers.set('sanitize-html', html => runtime.sanitize(html));
+  }
+
+  Object.assign(runtime, sanitizerMethods);
+}
+
+const sanitizerMethods = {
+  /**
+   * Replaces the sanitizer allow-list used by {{{sanitize-html}}} and sanitized raw output
+   * @param {Object} options - Sanitizer options (see Sanitizer)
+   * @returns {Runtime} This runtime for chaining
+   */
+  configureSanitizer(options = {}) {
+    this.sanitizer = new Sanitizer(options);
+    return this;
+  },
+
+  /**
+   * Sanitizes user-authored HTML with the configured allow-list
+   */
+  sanitize(html) {
+    return this.sanitizer.sanitize(html);
+  }
+};
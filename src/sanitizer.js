@@ -0,0 +1,216 @@
+/**
+ * HTML sanitizer for user-authored rich text. Works on the markup string
+ * alone, so it runs the same in the browser and during server rendering.
+ */
+
+import { escapeHtml } from './utils.js';
+import { getAttributeKind, getUrlScheme } from './escaping.js';
+
+// Allow-list used when no options are given
+export const DEFAULT_SANITIZER_OPTIONS = {
+  allowedTags: [
+    'a', 'abbr', 'b', 'blockquote', 'br', 'caption', 'code', 'dd', 'del', 'div', 'dl', 'dt', 'em',
+    'figcaption', 'figure', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'img', 'ins', 'kbd', 'li',
+    'mark', 'ol', 'p', 'pre', 'q', 's', 'small', 'span', 'strong', 'sub', 'sup', 'table', 'tbody',
+    'td', 'tfoot', 'th', 'thead', 'tr', 'u', 'ul'
+  ],
+  allowedAttributes: {
+    '*': ['title', 'lang', 'dir'],
+    a: ['href', 'name', 'target', 'rel'],
+    img: ['src', 'alt', 'width', 'height'],
+    blockquote: ['cite'],
+    q: ['cite'],
+    ol: ['start', 'reversed'],
+    td: ['colspan', 'rowspan'],
+    th: ['colspan', 'rowspan', 'scope']
+  },
+  allowedSchemes: ['http', 'https', 'mailto']
+};
+
+// Elements removed together with their content when not allowed
+const DROP_CONTENT_TAGS = ['script', 'style', 'iframe', 'object', 'embed', 'noscript', 'template', 'textarea', 'title', 'xmp', 'svg', 'math', 'select'];
+
+// Never kept, whatever the allow-list says
+const FORBIDDEN_TAGS = ['script'];
+
+const VOID_TAGS = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'];
+
+// Sticky, so they match exactly at lastIndex
+const START_TAG_PATTERN = /<([a-zA-Z][a-zA-Z0-9-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*\/?>/y;
+const END_TAG_PATTERN = /<\/([a-zA-Z][a-zA-Z0-9-]*)\s*>/y;
+const ATTRIBUTE_PATTERN = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+// Named character references decoded in attribute values; others are kept literally
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0', colon: ':', tab: '\t', newline: '\n',
+  copy: '©', reg: '®', trade: '™', hellip: '…', mdash: '—', ndash: '–',
+  lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', euro: '€'
+};
+
+/**
+ * Sanitizer class - strips markup that is not on an allow-list of tags,
+ * attributes and URL schemes
+ */
+export class Sanitizer {
+  /**
+   * @param {Object} options - Allow-list; omitted lists use DEFAULT_SANITIZER_OPTIONS
+   * @param {string[]} options.allowedTags - Tags that are kept
+   * @param {Object} options.allowedAttributes - Attribute names per tag; '*' applies to all tags
+   * @param {string[]} options.allowedSchemes - Schemes allowed in URL attributes; relative URLs are always allowed
+   */
+  constructor(options = {}) {
+    const { allowedTags, allowedAttributes, allowedSchemes } = { ...DEFAULT_SANITIZER_OPTIONS, ...options };
+
+    this.allowedTags = new Set(allowedTags.map(tag => tag.toLowerCase()).filter(tag => !FORBIDDEN_TAGS.includes(tag)));
+    this.allowedAttributes = new Map(Object.entries(allowedAttributes).map(([tag, names]) => [
+      tag.toLowerCase(),
+      names.map(name => name.toLowerCase())
+    ]));
+    this.allowedSchemes = allowedSchemes.map(scheme => scheme.toLowerCase());
+  }
+
+  /**
+   * Sanitizes an HTML fragment. Disallowed tags are removed but their text
+   * is kept (except for scripts, styles and embedded content), comments are
+   * dropped and unclosed tags are closed at the end.
+   * @param {*} html - HTML fragment
+   * @returns {string} Sanitized HTML
+   */
+  sanitize(html) {
+    const input = html == null ? '' : String(html);
+    const lowerInput = input.toLowerCase();
+    const output = [];
+    const open = [];
+    let position = 0;
+
+    while (position < input.length) {
+      const next = input.indexOf('<', position);
+      if (next === -1) {
+        output.push(escapeText(input.slice(position)));
+        break;
+      }
+
+      output.push(escapeText(input.slice(position, next)));
+      position = next;
+
+      if (input.startsWith('<!--', position)) {
+        const end = input.indexOf('-->', position + 4);
+        position = end === -1 ? input.length : end + 3;
+        continue;
+      }
+
+      if (input.startsWith('<!', position) || input.startsWith('<?', position)) {
+        const end = input.indexOf('>', position);
+        position = end === -1 ? input.length : end + 1;
+        continue;
+      }
+
+      END_TAG_PATTERN.lastIndex = position;
+      const endTag = END_TAG_PATTERN.exec(input);
+      if (endTag) {
+        output.push(this._closeTag(endTag[1].toLowerCase(), open));
+        position += endTag[0].length;
+        continue;
+      }
+
+      START_TAG_PATTERN.lastIndex = position;
+      const startTag = START_TAG_PATTERN.exec(input);
+      if (!startTag) {
+        output.push('&lt;');
+        position++;
+        continue;
+      }
+
+      const tag = startTag[1].toLowerCase();
+      position += startTag[0].length;
+
+      if (this.allowedTags.has(tag)) {
+        output.push(this._openTag(tag, startTag[2]));
+        if (!VOID_TAGS.includes(tag)) open.push(tag);
+      } else if (DROP_CONTENT_TAGS.includes(tag)) {
+        const close = lowerInput.indexOf(`</${tag}`, position);
+        const end = close === -1 ? -1 : input.indexOf('>', close);
+        position = end === -1 ? input.length : end + 1;
+      }
+    }
+
+    while (open.length > 0) {
+      output.push(`</${open.pop()}>`);
+    }
+
+    return output.join('');
+  }
+
+  /**
+   * Serializes an allowed start tag with its allowed attributes
+   * @private
+   */
+  _openTag(tag, attributeSource) {
+    const allowed = [...(this.allowedAttributes.get('*') || []), ...(this.allowedAttributes.get(tag) || [])];
+    const attributes = [];
+    ATTRIBUTE_PATTERN.lastIndex = 0;
+
+    for (let match; (match = ATTRIBUTE_PATTERN.exec(attributeSource));) {
+      const name = match[1].toLowerCase();
+      const value = decodeEntities(match[2] ?? match[3] ?? match[4] ?? '');
+      const kind = getAttributeKind(name);
+
+      // Event handlers are never allowed
+      if (!allowed.includes(name) || kind === 'js') continue;
+
+      if (kind === 'url') {
+        const scheme = getUrlScheme(value);
+        if (scheme !== null && !this.allowedSchemes.includes(scheme)) continue;
+      }
+
+      attributes.push(` ${name}="${escapeHtml(value)}"`);
+    }
+
+    return `<${tag}${attributes.join('')}>`;
+  }
+
+  /**
+   * Closes an open allowed tag and any tags opened inside it; other end
+   * tags are dropped so the fragment cannot close the page's elements
+   * @private
+   */
+  _closeTag(tag, open) {
+    const index = open.lastIndexOf(tag);
+    if (index === -1) return '';
+
+    return open.splice(index).reverse().map(name => `</${name}>`).join('');
+  }
+}
+
+/**
+ * Sanitizes an HTML fragment with a Sanitizer built from the given options
+ * @param {*} html - HTML fragment
+ * @param {Object} options - Sanitizer options
+ * @returns {string} Sanitized HTML
+ */
+export function sanitizeHtml(html, options = {}) {
+  return new Sanitizer(options).sanitize(html);
+}
+
+/**
+ * Escapes angle brackets left in text; entities are already safe there
+ * @private
+ */
+function escapeText(text) {
+  return text.replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * @private
+ */
+function decodeEntities(value) {
+  return value.replace(/&(?:#(\d+)|#x([0-9a-f]+)|([a-z]+));?/gi, (entity, decimal, hex, name) => {
+    if (name) {
+      const char = NAMED_ENTITIES[name.toLowerCase()];
+      return char !== undefined && entity.endsWith(';') ? char : entity;
+    }
+
+    const code = decimal ? parseInt(decimal, 10) : parseInt(hex, 16);
+    return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '\ufffd';
+  });
+}
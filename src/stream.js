@@ -0,0 +1,79 @@
+/**
+ * Stream adapters - hand the chunks of a streaming render to a WHATWG
+ * ReadableStream or a Node.js writable stream
+ */
+
+/**
+ * Wraps HTML chunks in a ReadableStream of UTF-8 bytes, e.g. for the body
+ * of a fetch Response. Chunks are rendered as the reader pulls them.
+ * @param {AsyncIterable|Iterable} chunks - Chunks, e.g. from renderStream()
+ * @returns {ReadableStream} Byte stream
+ */
+export function toReadableStream(chunks) {
+  const iterator = getIterator(chunks);
+  const encoder = new TextEncoder();
+
+  return new ReadableStream({
+    async pull(controller) {
+      const { value, done } = await iterator.next();
+      if (done) {
+        controller.close();
+      } else {
+        controller.enqueue(encoder.encode(value));
+      }
+    },
+
+    async cancel() {
+      if (typeof iterator.return === 'function') await iterator.return();
+    }
+  });
+}
+
+/**
+ * Writes HTML chunks to a Node.js writable stream such as an
+ * http.ServerResponse, waiting for it to drain when its buffer is full
+ * @param {AsyncIterable|Iterable} chunks - Chunks, e.g. from renderStream()
+ * @param {Object} writable - Writable stream
+ * @param {Object} options - Pipe options
+ * @param {boolean} options.end - End the stream after the last chunk (default true)
+ * @returns {Promise} Resolves once every chunk is written; rejects if rendering
+ *   fails or the stream closes first, leaving the stream open
+ */
+export async function pipeToWritable(chunks, writable, options = {}) {
+  const { end = true } = options;
+
+  for await (const chunk of chunks) {
+    if (!writable.write(chunk)) {
+      await waitForDrain(writable);
+    }
+  }
+
+  if (end) writable.end();
+}
+
+/**
+ * @private
+ */
+function getIterator(chunks) {
+  return typeof chunks[Symbol.asyncIterator] === 'function' ? chunks[Symbol.asyncIterator]() : chunks[Symbol.iterator]();
+}
+
+/**
+ * @private
+ */
+function waitForDrain(writable) {
+  return new Promise((resolve, reject) => {
+    const settle = error => {
+      writable.off('drain', onDrain);
+      writable.off('close', onClose);
+      writable.off('error', settle);
+      if (error) reject(error); else resolve();
+    };
+    const onDrain = () => settle(null);
+    const onClose = () => settle(new Error('Stream closed before rendering finished'));
+
+    writable.on('drain', onDrain);
+    writable.on('close', onClose);
+    writable.on('error', settle);
+  });
+}
@@ -2,6 +2,10 @@
  * Tokenizer - converts template strings into tokens
  */
 
+import { splitArguments, createLocator, TEMPLATE_PATH_PATTERN } from './utils.js';
+import { JframeError, JframeSyntaxError } from './errors.js';
+import { createMarkupTracker } from './html-context.js';
+
 // Token types
 export const TOKEN_TYPES = {
   TEXT: 'TEXT',
@@ -9,16 +13,39 @@ export const TOKEN_TYPES = {
   RAW: 'RAW',                    // {{{variable}}}
   IF_START: 'IF_START',          // {{#if condition}}
   IF_END: 'IF_END',              // {{/if}}
+  ELSE: 'ELSE',                  // {{else}}
+  ELSE_IF: 'ELSE_IF',            // {{else if condition}}
   EACH_START: 'EACH_START',      // {{#each items}}
   EACH_END: 'EACH_END',          // {{/each}}
+  PARTIAL: 'PARTIAL',            // {{> name context key=value}}
+  EVENT: 'EVENT',                // on:click="handler(this)" or data-on-click="..." attribute
+  EXTENDS_START: 'EXTENDS_START', // {{#extends "layout"}}
+  EXTENDS_END: 'EXTENDS_END',    // {{/extends}}
+  BLOCK_START: 'BLOCK_START',    // {{#block "name"}}
+  BLOCK_END: 'BLOCK_END',        // {{/block}}
+  SUPER: 'SUPER',                // {{super}}
+  AWAIT_START: 'AWAIT_START',    // {{#await promise}}
+  THEN: 'THEN',                  // {{then value}}
+  CATCH: 'CATCH',                // {{catch error}}
+  AWAIT_END: 'AWAIT_END',        // {{/await}}
 };
 
+// Event attributes inside start tags: on:click="expr", data-on-click='expr'
+const EVENT_ATTRIBUTE_PATTERN = /(^|\s+)(?:on:|data-on-)([a-zA-Z][\w-]*)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+// An event attribute whose value runs into a {{ }} tag
+const UNCLOSED_EVENT_ATTRIBUTE_PATTERN = /(^|\s)(?:on:|data-on-)[a-zA-Z][\w-]*\s*=\s*(?:"[^"]*|'[^']*)$/;
+
+// Entities that may appear in handler expressions written as attribute values
+const ATTRIBUTE_ENTITIES = { '&quot;': '"', '&#39;': "'", '&apos;': "'", '&lt;': '<', '&gt;': '>', '&amp;': '&' };
+
 /**
  * Tokenizer class - converts template strings to tokens
  */
 export class Tokenizer {
   /**
-   * Tokenizes a template string
+   * Tokenizes a template string. Every token carries a `loc` with its
+   * line, column and offset range in the template.
    * @param {string} template - Template string to tokenize
    * @returns {Array} Array of tokens
    */
@@ -37,6 +64,10 @@ export class Tokenizer {
     let position = 0;
     const length = template.length;
     let textBuffer = '';
+    let textStart = 0;
+    const locate = createLocator(template);
+    const markup = createMarkupTracker();
+    let openAwaits = 0;
 
     while (position < length) {
       const char = template[position];
@@ -47,10 +78,7 @@ export class Tokenizer {
         
         // Save any accumulated text
         if (textBuffer.length > 0) {
-          tokens.push({
-            type: TOKEN_TYPES.TEXT,
-            value: textBuffer
-          });
+          this._pushText(tokens, textBuffer, textStart, locate, template, markup);
           textBuffer = '';
         }
 
@@ -68,17 +96,33 @@ export class Tokenizer {
         const closeIndex = template.indexOf(closeMarker, exprStart);
         
         if (closeIndex === -1) {
-          throw new Error(`Unclosed expression at position ${position}`);
+          throw new JframeSyntaxError('Unclosed expression', { loc: locate(position), source: template });
         }
 
         // Extract and process the expression
         const expression = template.substring(exprStart, closeIndex).trim();
-        this._processExpression(expression, isRaw, tokens);
+        const loc = locate(position, closeIndex + closeMarker.length);
+        const firstNewToken = tokens.length;
+
+        try {
+          this._processExpression(expression, isRaw, tokens, openAwaits > 0);
+        } catch (error) {
+          if (error instanceof JframeError) throw error;
+          throw new JframeSyntaxError(error.message, { loc, source: template, expression });
+        }
+
+        tokens.slice(firstNewToken).forEach(token => {
+          token.loc = loc;
+          if (token.type === TOKEN_TYPES.VAR || token.type === TOKEN_TYPES.RAW) markup.output();
+          if (token.type === TOKEN_TYPES.AWAIT_START) openAwaits++;
+          if (token.type === TOKEN_TYPES.AWAIT_END && openAwaits > 0) openAwaits--;
+        });
 
         // Move position past the closing braces
         position = closeIndex + closeMarker.length;
       } else {
         // Accumulate regular text
+        if (textBuffer.length === 0) textStart = position;
         textBuffer += char;
         position++;
       }
@@ -86,19 +130,80 @@ export class Tokenizer {
 
     // Add any remaining text
     if (textBuffer.length > 0) {
+      this._pushText(tokens, textBuffer, textStart, locate, template, markup);
+    }
+    return tokens;
+  }
+
+  /**
+   * Pushes a text token, splitting out on:event attributes as EVENT tokens.
+   * Only attributes inside a start tag count; the same syntax in element
+   * text, comments or scripts stays text.
+   * @private
+   */
+  _pushText(tokens, text, start, locate, template, markup) {
+    let last = 0;
+    let scanned = 0;
+    const scanTo = end => {
+      markup.scan(text.slice(scanned, end));
+      scanned = end;
+    };
+
+    EVENT_ATTRIBUTE_PATTERN.lastIndex = 0;
+
+    for (let match; (match = EVENT_ATTRIBUTE_PATTERN.exec(text));) {
+      const attributeStart = match.index + match[1].length;
+      scanTo(attributeStart);
+      if (!markup.inTag()) continue;
+
+      const handler = (match[3] ?? match[4]).replace(/&(?:quot|#39|apos|lt|gt|amp);/g, entity => ATTRIBUTE_ENTITIES[entity]).trim();
+
+      // The whitespace before the attribute goes with it, so a tag left without attributes has no trailing space
+      if (match.index > last) {
+        tokens.push({ type: TOKEN_TYPES.TEXT, value: text.slice(last, match.index), loc: locate(start + last, start + match.index) });
+      }
+
+      if (!handler) {
+        throw new JframeSyntaxError(`Event handler for "${match[2]}" is empty`, {
+          loc: locate(start + attributeStart, start + match.index + match[0].length),
+          source: template
+        });
+      }
+
       tokens.push({
-        type: TOKEN_TYPES.TEXT,
-        value: textBuffer
+        type: TOKEN_TYPES.EVENT,
+        event: match[2].toLowerCase(),
+        handler,
+        loc: locate(start + attributeStart, start + match.index + match[0].length)
       });
+      last = match.index + match[0].length;
+    }
+
+    const unclosed = text.slice(scanned).match(UNCLOSED_EVENT_ATTRIBUTE_PATTERN);
+    if (unclosed) {
+      const offset = scanned + unclosed.index + unclosed[1].length;
+      scanTo(offset);
+      if (markup.inTag()) {
+        throw new JframeSyntaxError(
+          'Event handlers are expressions and cannot contain {{ }} tags; reference values directly, e.g. on:click="remove(this.id)"',
+          { loc: locate(start + offset, start + text.length), source: template }
+        );
+      }
+    }
+    scanTo(text.length);
+
+    if (last < text.length) {
+      tokens.push({ type: TOKEN_TYPES.TEXT, value: text.slice(last), loc: locate(start + last, start + text.length) });
     }
-    return tokens;
   }
 
   /**
-   * Processes expression content and creates appropriate tokens
+   * Processes expression content and creates appropriate tokens. {{then}}
+   * and {{catch}} are branch tags only inside an {{#await}}; elsewhere they
+   * output the variable of that name.
    * @private
    */
-  _processExpression(expression, isRaw, tokens) {
+  _processExpression(expression, isRaw, tokens, inAwait = false) {
     
     if (isRaw) {
       tokens.push({
@@ -117,11 +222,20 @@ export class Tokenizer {
         condition: condition
       });
     } else if (expression.startsWith('#each ')) {
-      const items = expression.slice(6).trim();
-      if (!items) throw new Error('Each directive requires an items expression');
       tokens.push({
         type: TOKEN_TYPES.EACH_START,
-        items: items
+        ...this._parseEachExpression(expression.slice(6).trim())
+      });
+    } else if (expression === 'else') {
+      tokens.push({
+        type: TOKEN_TYPES.ELSE
+      });
+    } else if (expression === 'else if' || expression.startsWith('else if ')) {
+      const condition = expression.slice(7).trim();
+      if (!condition) throw new Error('Else if directive requires a condition');
+      tokens.push({
+        type: TOKEN_TYPES.ELSE_IF,
+        condition: condition
       });
     } else if (expression === '/if') {
       tokens.push({
@@ -131,6 +245,50 @@ export class Tokenizer {
       tokens.push({
         type: TOKEN_TYPES.EACH_END
       });
+    } else if (expression === '#extends' || expression.startsWith('#extends ')) {
+      tokens.push({
+        type: TOKEN_TYPES.EXTENDS_START,
+        name: this._parseNameArgument(expression.slice(8).trim(), 'Extends')
+      });
+    } else if (expression === '#block' || expression.startsWith('#block ')) {
+      tokens.push({
+        type: TOKEN_TYPES.BLOCK_START,
+        name: this._parseNameArgument(expression.slice(6).trim(), 'Block')
+      });
+    } else if (expression === '/extends') {
+      tokens.push({
+        type: TOKEN_TYPES.EXTENDS_END
+      });
+    } else if (expression === '/block') {
+      tokens.push({
+        type: TOKEN_TYPES.BLOCK_END
+      });
+    } else if (expression.startsWith('#await ')) {
+      const promise = expression.slice(7).trim();
+      if (!promise) throw new Error('Await directive requires an expression');
+      tokens.push({
+        type: TOKEN_TYPES.AWAIT_START,
+        expression: promise
+      });
+    } else if (inAwait && /^(then|catch)(\s|$)/.test(expression)) {
+      const [keyword, ...names] = expression.split(/\s+/);
+      tokens.push({
+        type: keyword === 'then' ? TOKEN_TYPES.THEN : TOKEN_TYPES.CATCH,
+        alias: this._parseAwaitAlias(names, keyword)
+      });
+    } else if (expression === '/await') {
+      tokens.push({
+        type: TOKEN_TYPES.AWAIT_END
+      });
+    } else if (expression === 'super') {
+      tokens.push({
+        type: TOKEN_TYPES.SUPER
+      });
+    } else if (expression.startsWith('>')) {
+      tokens.push({
+        type: TOKEN_TYPES.PARTIAL,
+        ...this._parsePartialExpression(expression.slice(1).trim())
+      });
     } else if (expression.startsWith('/')) {
       throw new Error(`Unknown closing directive: ${expression}`);
     } else {
@@ -141,4 +299,104 @@ export class Tokenizer {
       });
     }
   }
+
+  /**
+   * Splits an each expression into the items expression, optional block
+   * parameters and an optional row key, e.g. 'users as |user i| key="id"'
+   * @private
+   */
+  _parseEachExpression(expression) {
+    let key = null;
+    const keyMatch = expression.match(/\s+key=(?!=)(?:"([^"]*)"|'([^']*)'|([^\s|'"]+))(?=\s|$)/);
+    if (keyMatch) {
+      key = (keyMatch[1] ?? keyMatch[2] ?? keyMatch[3]).trim();
+      if (!TEMPLATE_PATH_PATTERN.test(key)) {
+        throw new Error(`Invalid each key "${key}"; expected a property path such as key="id"`);
+      }
+      expression = expression.slice(0, keyMatch.index) + expression.slice(keyMatch.index + keyMatch[0].length);
+    }
+
+    const match = expression.match(/^(.*?)\s+as\s+\|([^|]*)\|$/);
+    const items = (match ? match[1] : expression).trim();
+    if (!items) throw new Error('Each directive requires an items expression');
+
+    if (!match) {
+      return { items, itemAlias: null, indexAlias: null, key };
+    }
+
+    const params = match[2].trim().split(/\s+/).filter(Boolean);
+    if (params.length === 0 || params.length > 2) {
+      throw new Error(`Each block parameters must be |item| or |item index|: ${expression}`);
+    }
+
+    params.forEach(param => {
+      if (!/^[a-zA-Z_$][a-zA-Z0-9_$]*$/.test(param) || param === 'this') {
+        throw new Error(`Invalid each block parameter name: ${param}`);
+      }
+    });
+
+    return {
+      items,
+      itemAlias: params[0],
+      indexAlias: params[1] || null,
+      key
+    };
+  }
+
+  /**
+   * Reads the optional name a {{then}} or {{catch}} branch gives the settled value
+   * @private
+   */
+  _parseAwaitAlias(names, keyword) {
+    if (names.length === 0) return null;
+
+    const [alias] = names;
+    if (names.length > 1 || !/^[a-zA-Z_$][a-zA-Z0-9_$]*$/.test(alias) || alias === 'this') {
+      throw new Error(`{{${keyword}}} takes a single name for the settled value, e.g. {{${keyword} ${keyword === 'then' ? 'user' : 'error'}}}`);
+    }
+    return alias;
+  }
+
+  /**
+   * Reads the name of an extends or block directive, quoted or bare
+   * @private
+   */
+  _parseNameArgument(argument, directive) {
+    const match = argument.match(/^(?:"([^"]*)"|'([^']*)'|([^\s"']+))$/);
+    const name = match ? (match[1] ?? match[2] ?? match[3]).trim() : '';
+    if (!name) throw new Error(`${directive} directive requires a name`);
+    if (!/^[a-zA-Z0-9_$\-\/.]+$/.test(name)) {
+      throw new Error(`Invalid ${directive.toLowerCase()} name: ${name}`);
+    }
+    return name;
+  }
+
+  /**
+   * Splits a partial tag into its name, optional context expression
+   * and hash parameters, e.g. "userCard user compact=true"
+   * @private
+   */
+  _parsePartialExpression(expression) {
+    const [name, ...args] = splitArguments(expression);
+    if (!name) throw new Error('Partial directive requires a partial name');
+    if (!/^[a-zA-Z0-9_$\-\/.]+$/.test(name)) {
+      throw new Error(`Invalid partial name: ${name}`);
+    }
+
+    let context = null;
+    const hash = {};
+
+    args.forEach(arg => {
+      const hashMatch = arg.match(/^([a-zA-Z_$][a-zA-Z0-9_$]*)=(.+)$/);
+      if (hashMatch) {
+        hash[hashMatch[1]] = hashMatch[2];
+      } else if (context === null && Object.keys(hash).length === 0) {
+        context = arg;
+      } else {
+        throw new Error(`Unexpected argument "${arg}" in partial ${name}`);
+      }
+    });
+
+    return { name, context, hash };
+  }
 }
\ No newline at end of file
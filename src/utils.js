@@ -2,6 +2,61 @@
  * Utility functions for the templating engine
  */
 
+/**
+ * Matches template paths, including loop references such as this, @index,
+ * block params, ../name and @parent.name
+ */
+export const TEMPLATE_PATH_PATTERN = /^((?:\.\.\/|@parent\.)*)(this|@?[a-zA-Z_$][a-zA-Z0-9_$]*)((?:\.[a-zA-Z_$][a-zA-Z0-9_$]*)*)$/;
+
+/**
+ * Globals that template expressions may reference by name. Any other free
+ * identifier is looked up on the render context.
+ */
+export const SAFE_GLOBALS = [
+  'Math', 'JSON', 'Number', 'String', 'Boolean', 'Array', 'Object', 'Date',
+  'parseInt', 'parseFloat', 'isNaN', 'isFinite',
+  'encodeURIComponent', 'decodeURIComponent', 'Infinity', 'NaN'
+];
+
+/**
+ * Comment markers around keyed #each rows: <!--jf-row:LIST:KEY--> opens a
+ * row and <!--/jf-each:LIST--> ends the list, LIST identifying the template,
+ * the position of the #each tag in it and the partial nesting depth
+ */
+export const ROW_MARKER_PREFIX = 'jf-row:';
+export const LIST_END_PREFIX = '/jf-each:';
+
+/**
+ * Attribute that on:event directives render to, e.g. data-jf-on-click="3",
+ * where the number indexes the handler table of the render
+ */
+export const EVENT_ATTRIBUTE_PREFIX = 'data-jf-on-';
+
+/**
+ * Attribute on the host element of a rendered component, e.g.
+ * data-jf-component="2", where the number indexes the components of the render
+ */
+export const COMPONENT_ATTRIBUTE = 'data-jf-component';
+
+/**
+ * Attribute on the script renderToString() writes the serialized context
+ * to; its value is the id of the template the markup was rendered from
+ */
+export const HYDRATE_ATTRIBUTE = 'data-jf-hydrate';
+
+/**
+ * Properties that could reach the Function constructor or mutate prototypes
+ */
+export const BLOCKED_PROPERTIES = [
+  'constructor',
+  '__proto__',
+  'prototype',
+  '__defineGetter__',
+  '__defineSetter__',
+  '__lookupGetter__',
+  '__lookupSetter__'
+];
+
 /**
  * Escapes HTML special characters to prevent XSS
  * @param {string} str - String to escape
@@ -39,6 +94,60 @@ export function deepGet(obj, path) {
   return result;
 }
 
+/**
+ * Normalizes anything #each can iterate into an array of [key, value] pairs.
+ * Arrays, Sets and other iterables are keyed by position, Maps by their keys
+ * and plain objects by their own enumerable property names. Strings and
+ * primitives produce no entries.
+ * @param {*} value - Array, Map, Set, iterable or plain object
+ * @returns {Array} Array of [key, value] pairs
+ */
+export function toEntries(value) {
+  if (value == null || typeof value !== 'object') return [];
+
+  if (Array.isArray(value)) {
+    return value.map(function (item, index) { return [index, item]; });
+  }
+
+  if (typeof Map !== 'undefined' && value instanceof Map) {
+    return Array.from(value.entries());
+  }
+
+  if (typeof Symbol !== 'undefined' && typeof value[Symbol.iterator] === 'function') {
+    return Array.from(value, function (item, index) { return [index, item]; });
+  }
+
+  return Object.keys(value).map(function (key) { return [key, value[key]]; });
+}
+
+/**
+ * Creates a function mapping string offsets to 1-based line/column locations
+ * @param {string} source - Source text
+ * @returns {Function} (offset, end) => { line, column, offset, end }
+ */
+export function createLocator(source) {
+  const lineStarts = [0];
+  for (let i = 0; i < source.length; i++) {
+    if (source[i] === '\n') lineStarts.push(i + 1);
+  }
+
+  return function locate(offset, end = offset) {
+    let low = 0;
+    let high = lineStarts.length - 1;
+
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (lineStarts[mid] <= offset) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+
+    return { line: low + 1, column: offset - lineStarts[low] + 1, offset, end };
+  };
+}
+
 /**
  * Validates if a string is a valid JavaScript identifier path
  * @param {string} path - Path to validate
@@ -46,4 +155,66 @@ export function deepGet(obj, path) {
  */
 export function isValidPath(path) {
   return /^[a-zA-Z_$][a-zA-Z0-9_$]*(\.[a-zA-Z_$][a-zA-Z0-9_$]*)*$/.test(path);
-}
\ No newline at end of file
+}
+
+/**
+ * Splits a tag's argument list on whitespace, keeping quoted strings and
+ * parenthesized sub-expressions together
+ * @param {string} str - Argument list (e.g. 'user compact=true title="A b"')
+ * @returns {string[]} Individual arguments
+ */
+export function splitArguments(str) {
+  const args = [];
+  let current = '';
+  let quote = null;
+  let depth = 0;
+
+  for (let i = 0; i < str.length; i++) {
+    const char = str[i];
+
+    if (quote) {
+      current += char;
+      if (char === '\\' && i + 1 < str.length) {
+        current += str[++i];
+      } else if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char;
+      current += char;
+    } else if (char === '(' || char === '[') {
+      depth++;
+      current += char;
+    } else if (char === ')' || char === ']') {
+      depth--;
+      current += char;
+    } else if (/\s/.test(char) && depth === 0) {
+      if (current) args.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  if (quote || depth !== 0) {
+    throw new Error(`Unbalanced quotes or parentheses in: ${str}`);
+  }
+
+  if (current) args.push(current);
+  return args;
+}
+
+/**
+ * Hashes a template source into a short id, so hydration can tell whether
+ * markup came from the same template (FNV-1a, not for security)
+ * @param {string} source - Template source
+ * @returns {string} Base-36 hash
+ */
+export function hashTemplate(source) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < source.length; i++) {
+    hash ^= source.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(36);
+}
@@ -0,0 +1,104 @@
+/**
+ * Built-in validators for data-validate="required|email|maxLength:120" rules
+ */
+
+// Deliberately loose: one @, no spaces, a dot in the domain
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Whether a field counts as not filled in. Rules other than `required`
+ * pass on empty values, so optional fields are only checked once filled.
+ * @param {*} value - Field value
+ * @returns {boolean} True for null, undefined, blank strings and empty arrays
+ */
+export function isEmpty(value) {
+  if (value == null) return true;
+  if (typeof value === 'string') return value.trim() === '';
+  if (Array.isArray(value)) return value.length === 0;
+  return value === false;
+}
+
+/**
+ * Built-in validators. Each receives the value followed by the rule's
+ * arguments (as strings) and returns true when the value is valid, or an
+ * error message.
+ */
+export const builtinValidators = {
+  required(value) {
+    return !isEmpty(value) || 'This field is required';
+  },
+
+  email(value) {
+    return isEmpty(value) || EMAIL_PATTERN.test(String(value)) || 'Enter a valid email address';
+  },
+
+  url(value) {
+    return isEmpty(value) || /^https?:\/\/[^\s/$.?#][^\s]*$/i.test(String(value)) || 'Enter a valid URL';
+  },
+
+  number(value) {
+    return isEmpty(value) || Number.isFinite(Number(value)) || 'Enter a number';
+  },
+
+  integer(value) {
+    return isEmpty(value) || Number.isInteger(Number(value)) || 'Enter a whole number';
+  },
+
+  min(value, min) {
+    return isEmpty(value) || Number(value) >= Number(min) || `Must be at least ${min}`;
+  },
+
+  max(value, max) {
+    return isEmpty(value) || Number(value) <= Number(max) || `Must be at most ${max}`;
+  },
+
+  /**
+   * Counts characters of strings and items of arrays
+   */
+  minLength(value, length) {
+    return isEmpty(value) || lengthOf(value) >= Number(length) || `Must be at least ${length} characters`;
+  },
+
+  maxLength(value, length) {
+    return isEmpty(value) || lengthOf(value) <= Number(length) || `Must be at most ${length} characters`;
+  },
+
+  /**
+   * Tests the whole value against a regular expression
+   */
+  pattern(value, source) {
+    return isEmpty(value) || new RegExp(`^(?:${source})$`).test(String(value)) || 'Enter a value in the expected format';
+  }
+};
+
+/**
+ * Parses a data-validate attribute into rules. A pattern rule takes the rest
+ * of the attribute as its regular expression, so it may contain | and :
+ * but has to come last.
+ * @param {string} source - Rules such as 'required|minLength:3|pattern:^(a|b)$'
+ * @returns {Array} [{ name, args }]
+ */
+export function parseRules(source) {
+  const pattern = /(?:^|\|)\s*pattern:/.exec(source);
+  const head = pattern ? source.slice(0, pattern.index) : source;
+
+  const rules = head.split('|').map(rule => rule.trim()).filter(Boolean).map(rule => {
+    const [name, ...args] = rule.split(':');
+    if (!/^[a-zA-Z_$][a-zA-Z0-9_$]*$/.test(name)) {
+      throw new Error(`Invalid validation rule: ${rule}`);
+    }
+    return { name, args };
+  });
+
+  if (pattern) {
+    rules.push({ name: 'pattern', args: [source.slice(pattern.index + pattern[0].length).trim()] });
+  }
+  return rules;
+}
+
+/**
+ * @private
+ */
+function lengthOf(value) {
+  return Array.isArray(value) ? value.length : String(value).length;
+}
@@ -0,0 +1,59 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Jframe } from '../index.js';
+import { MODES, setupDom } from './helpers.js';
+
+const delay = (value, ms, fail = false) => new Promise((resolve, reject) => {
+  setTimeout(() => (fail ? reject(new Error(value)) : resolve(value)), ms);
+});
+
+for (const mode of MODES) {
+  describe(`{{#await}} (${mode})`, () => {
+    const template = '{{#await user}}loading{{then u}}<b>{{u.name}}</b>{{#await u.posts}}...{{then p}}{{#each p}}[{{this}}]{{/each}}{{/await}}{{catch e}}ERR{{/await}}'
+      + '|{{#await bad}}wait{{then}}ok{{catch err}}failed: {{err.message}}{{/await}}|{{#await plain}}x{{then v}}{{v.name}}{{/await}}';
+    const context = () => ({ user: delay({ name: '<Ann>', posts: delay(['a', 'b'], 5) }, 5), bad: delay('nope', 3, true), plain: { name: 'P' } });
+
+    it('renders the pending branch, and plain values as resolved', () => {
+      assert.equal(new Jframe({ mode }).render(template, context()), 'loading|wait|P');
+    });
+
+    it('waits for every promise, including ones found in settled branches, with renderAsync()', async () => {
+      const jf = new Jframe({ mode });
+      const data = context();
+      assert.equal(await jf.renderAsync(template, data), '<b>&lt;Ann&gt;</b>[a][b]|failed: nope|P');
+      assert.equal(jf.render(template, data), '<b>&lt;Ann&gt;</b>[a][b]|failed: nope|P');
+    });
+
+    it('re-renders an element when its promises settle', async () => {
+      setupDom('<div id="app"></div>');
+      const jf = new Jframe({ mode });
+      const app = document.getElementById('app');
+      const state = jf.reactive({ data: delay('one', 5) });
+      jf.render(app, state, { template: '{{#await data}}...{{then d}}{{d}}{{catch e}}!{{e.message}}{{/await}}' });
+      assert.equal(app.innerHTML, '...');
+
+      await delay(null, 10);
+      await jf.nextTick();
+      assert.equal(app.innerHTML, 'one');
+
+      state.data = delay('boom', 5, true);
+      await jf.nextTick();
+      assert.equal(app.innerHTML, '...');
+      await delay(null, 10);
+      await jf.nextTick();
+      assert.equal(app.innerHTML, '!boom');
+    });
+
+    it('outputs variables named then and catch outside of {{#await}}', () => {
+      const jf = new Jframe({ mode });
+      assert.equal(jf.render('{{then}}-{{catch}}{{#await p}}...{{then v}}{{v}}{{/await}}{{then}}', { then: 'T', catch: 'C', p: 1 }), 'T-C1T');
+    });
+
+    it('reports misplaced branches', () => {
+      const jf = new Jframe({ mode });
+      assert.throws(() => jf.compile('{{#await x}}{{#if y}}{{then}}{{/if}}{{/await}}'), /Unclosed \{\{#if\}\} directive/);
+      assert.throws(() => jf.compile('{{#await x}}a{{then a b}}{{/await}}'), /\{\{then\}\} takes a single name/);
+      assert.throws(() => jf.compile('{{#await x}}a'), /Unclosed \{\{#await\}\} directive/);
+    });
+  });
+}
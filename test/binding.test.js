@@ -0,0 +1,148 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Jframe } from '../index.js';
+import { MODES, setupDom, dispatch, type } from './helpers.js';
+
+for (const mode of MODES) {
+  describe(`data-bind (${mode})`, () => {
+    let jf;
+    let app;
+
+    beforeEach(() => {
+      setupDom('<div id="app"></div>');
+      jf = new Jframe({ mode });
+      app = document.getElementById('app');
+    });
+
+    const field = selector => app.querySelector(selector);
+    const check = (input, checked) => {
+      input.checked = checked;
+      dispatch(input, 'change');
+    };
+
+    it('writes text fields to the context', () => {
+      const context = { user: { name: 'bob' } };
+      jf.render(app, context, { template: '<input data-bind="user.name">', binding: true });
+      assert.equal(field('input').value, 'bob');
+      type(field('input'), 'ann');
+      assert.equal(context.user.name, 'ann');
+    });
+
+    it('binds checkbox groups, checkboxes, radios and multi-selects', () => {
+      const context = { topics: ['offers'], agree: false, plan: 'y', langs: ['fr'] };
+      jf.render(app, context, {
+        binding: true,
+        template: '<input type="checkbox" value="news" data-bind="topics"><input type="checkbox" value="offers" data-bind="topics">'
+          + '<input type="checkbox" class="agree" data-bind="agree">'
+          + '<input type="radio" name="p" value="m" data-bind="plan"><input type="radio" name="p" value="y" data-bind="plan">'
+          + '<select multiple data-bind="langs"><option value="en">en</option><option value="fr">fr</option></select>'
+      });
+      const [news, offers] = app.querySelectorAll('input[type=checkbox]');
+      const [monthly, yearly] = app.querySelectorAll('input[type=radio]');
+      const select = field('select');
+      assert.deepEqual([news.checked, offers.checked, monthly.checked, yearly.checked, select.options[1].selected], [false, true, false, true, true]);
+
+      check(news, true);
+      check(offers, false);
+      check(field('.agree'), true);
+      check(monthly, true);
+      select.options[0].selected = true;
+      select.options[1].selected = false;
+      dispatch(select, 'change');
+      assert.deepEqual(context, { topics: ['news'], agree: true, plan: 'm', langs: ['en'] });
+    });
+
+    it('applies the .number, .lazy and .trim modifiers', () => {
+      const context = { age: 1, name: 'x', count: 0 };
+      jf.render(app, context, { template: '<input class="age" data-bind.number="age"><input class="name" data-bind.lazy.trim="name"><input class="count" type="number" data-bind="count">', binding: true });
+      type(field('.age'), '42');
+      type(field('.name'), '  bob  ');
+      assert.equal(context.name, 'x');
+      dispatch(field('.name'), 'change');
+      type(field('.count'), '7');
+      assert.deepEqual(context, { age: 42, name: 'bob', count: 7 });
+      assert.throws(() => jf.render(document.createElement('div'), {}, { template: '<input data-bind.bogus="x">', binding: true }), /Unknown binding modifier ".bogus"/);
+    });
+
+    it('re-renders reactive contexts after input', async () => {
+      const state = jf.reactive({ name: '' });
+      jf.render(app, state, { template: '<input data-bind="name"><p>{{name}}</p>', binding: true });
+      const input = field('input');
+      type(input, 'typed');
+      await jf.nextTick();
+      assert.equal(field('p').textContent, 'typed');
+      assert.equal(field('input'), input);
+    });
+
+    describe('data-validate', () => {
+      const template = '<form name="signup"><input class="email" data-bind="user.email" data-validate="required|email">'
+        + '{{#if errors.user.email}}<span class="error">{{errors.user.email}}</span>{{/if}}'
+        + '<input class="age" data-bind.number="user.age" data-validate="integer|min:18">'
+        + '<b>{{#if validity.forms.signup}}ok{{else}}invalid{{/if}}</b></form>';
+
+      it('shows errors once a field is dirty and tracks form validity', async () => {
+        const state = jf.reactive({ user: { email: '', age: 20 } });
+        jf.render(app, state, { template, binding: true });
+        await jf.nextTick();
+        assert.equal(field('.error'), null);
+        assert.equal(field('b').textContent, 'invalid');
+
+        type(field('.email'), 'bob');
+        await jf.nextTick();
+        assert.equal(field('.error').textContent, 'Enter a valid email address');
+
+        type(field('.email'), 'bob@example.com');
+        await jf.nextTick();
+        assert.equal(field('.error'), null);
+        assert.equal(field('b').textContent, 'ok');
+        assert.equal(jf.validate(app), true);
+      });
+
+      it('marks every field dirty on validate()', async () => {
+        const state = jf.reactive({ user: { email: '', age: 20 } });
+        jf.render(app, state, { template, binding: true });
+        assert.equal(jf.validate(app), false);
+        await jf.nextTick();
+        assert.equal(field('.error').textContent, 'This field is required');
+        assert.deepEqual(state.validity.fields['user.email'], { valid: false, dirty: true, errors: ['This field is required'] });
+      });
+
+      it('keeps plain data bound while showing its errors', () => {
+        const data = { user: { email: '', age: 20 }, note: '' };
+        jf.render(app, data, { template: template + '<input class="note" data-bind="note">', binding: true });
+        assert.equal(field('b').textContent, 'invalid');
+
+        type(field('.email'), 'bob');
+        assert.equal(field('.error').textContent, 'Enter a valid email address');
+        assert.equal(data.errors.user.email, 'Enter a valid email address');
+
+        type(field('.note'), 'hi');
+        type(field('.email'), 'bob@example.com');
+        assert.equal(data.note, 'hi');
+        assert.equal(data.user.email, 'bob@example.com');
+        assert.equal(field('.error'), null);
+        assert.equal(field('b').textContent, 'ok');
+        assert.equal(data.validity.valid, true);
+      });
+
+      it('reads a pattern rule to the end of the attribute', () => {
+        const data = { code: '' };
+        jf.render(app, data, { template: '<input data-bind="code" data-validate="required|pattern:^(a|b):\\d$">', binding: true });
+        type(field('input'), 'c:1');
+        assert.deepEqual(data.validity.fields.code.errors, ['Enter a value in the expected format']);
+        type(field('input'), 'b:1');
+        assert.equal(data.validity.valid, true);
+      });
+
+      it('runs custom validators with the data as this', async () => {
+        jf.registerValidator('matches', function (value, other) { return value === this[other] || 'Passwords do not match'; });
+        const state = jf.reactive({ password: 'secret', confirm: '' });
+        jf.render(app, state, { template: '<input data-bind="confirm" data-validate="matches:password">{{errors.confirm}}', binding: true });
+        type(field('input'), 'secreX');
+        await jf.nextTick();
+        assert.match(app.textContent, /Passwords do not match/);
+        assert.throws(() => jf.render(document.createElement('div'), {}, { template: '<input data-bind="x" data-validate="nope">', binding: true }), /Unknown validator "nope"/);
+      });
+    });
+  });
+}
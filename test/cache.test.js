@@ -0,0 +1,77 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Jframe } from '../index.js';
+import { setupDom } from './helpers.js';
+
+describe('compiled-template cache', () => {
+  it('reuses compiled templates and counts hits and misses', () => {
+    const jf = new Jframe();
+    const render = jf.compile('{{a}}');
+    assert.equal(jf.compile('{{a}}'), render);
+    assert.deepEqual(jf.getCacheStats(), { size: 1, maxSize: 100, hits: 1, misses: 1, evictions: 0, hitRate: 0.5 });
+  });
+
+  it('evicts the least recently used template', () => {
+    const jf = new Jframe({ cacheSize: 2 });
+    const a = jf.compile('{{a}}');
+    jf.compile('{{b}}');
+    jf.compile('{{a}}');
+    jf.compile('{{c}}');
+    assert.equal(jf.compile('{{a}}'), a);
+    assert.equal(jf.getCacheStats().evictions, 1);
+    assert.equal(jf.getCacheStats().size, 2);
+  });
+
+  it('keys templates by id, recompiling when the source under an id changes', () => {
+    const jf = new Jframe();
+    const first = jf.compile('{{x}}', { id: 'row' });
+    assert.equal(jf.compile('{{x}}', { id: 'row' }), first);
+    const changed = jf.compile('{{y}}', { id: 'row' });
+    assert.notEqual(changed, first);
+    assert.equal(changed({ y: 3 }), '3');
+  });
+
+  it('recompiles templates after a helper takes over a context name', () => {
+    const jf = new Jframe();
+    assert.equal(jf.render('{{ up }}', { up: 'value' }), 'value');
+    jf.registerHelper('up', () => 'helper');
+    assert.equal(jf.render('{{ up }}', { up: 'value' }), 'helper');
+  });
+
+  it('keeps its statistics when helpers and partials are registered', () => {
+    const jf = new Jframe();
+    jf.compile('{{a}}');
+    jf.compile('{{a}}');
+    jf.registerHelper('up', value => value).registerPartial('card', '<i></i>');
+    assert.deepEqual(jf.getCacheStats(), { size: 0, maxSize: 100, hits: 1, misses: 1, evictions: 0, hitRate: 0.5 });
+
+    jf.clearCache();
+    assert.equal(jf.getCacheStats().hits, 0);
+  });
+
+  it('recompiles rendered elements after a partial or helper changes', () => {
+    setupDom('<div id="app"></div>');
+    const app = document.getElementById('app');
+    const jf = new Jframe()
+      .registerPartial('base', '<b>{{#block "body"}}{{/block}}</b>')
+      .registerHelper('mark', value => value);
+    jf.render(app, { v: 'x' }, { template: '{{#extends "base"}}{{#block "body"}}{{ mark v }}{{/block}}{{/extends}}' });
+    assert.equal(app.innerHTML, '<b>x</b>');
+
+    jf.registerPartial('base', '<i>{{#block "body"}}{{/block}}</i>').registerHelper('mark', value => `*${value}*`);
+    jf.update(app, { v: 'y' });
+    assert.equal(app.innerHTML, '<i>*y*</i>');
+  });
+
+  it('does not cache templates that fail to compile', () => {
+    const jf = new Jframe();
+    assert.throws(() => jf.compile('{{#if}}'));
+    assert.equal(jf.getCacheStats().size, 0);
+  });
+
+  it('can be turned off', () => {
+    const jf = new Jframe({ cacheSize: 0 });
+    assert.notEqual(jf.compile('{{a}}'), jf.compile('{{a}}'));
+    assert.throws(() => new Jframe({ cacheSize: -1 }), /Cache size must be a non-negative integer/);
+  });
+});
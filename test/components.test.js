@@ -0,0 +1,75 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Jframe } from '../index.js';
+import { MODES, setupDom, type } from './helpers.js';
+
+for (const mode of MODES) {
+  describe(`components (${mode})`, () => {
+    let jf;
+
+    beforeEach(() => {
+      jf = new Jframe({ mode });
+      jf.component('user-card', {
+        template: '<div class="card {{size}}"><h3>{{user.name}}</h3><slot name="badge"><em>no badge</em></slot><slot>empty</slot></div>',
+        props: { user: {}, size: { default: 'md' } }
+      });
+    });
+
+    it('renders props, defaults and slots', () => {
+      const html = jf.render('<user-card user="{{author}}" size="lg" class="c"><b>{{greeting}}</b><template slot="badge"><i>B</i></template></user-card><user-card user="{{author}}" />', {
+        author: { name: 'Ann<' }, greeting: 'hi'
+      });
+      assert.equal(html, '<user-card class="c"><div class="card lg"><h3>Ann&lt;</h3><i>B</i><b>hi</b></div></user-card>'
+        + '<user-card><div class="card md"><h3>Ann&lt;</h3><em>no badge</em>empty</div></user-card>');
+    });
+
+    it('writes unregistered custom tags back unchanged', () => {
+      assert.equal(jf.render('<other-el foo="{{v}}" bar>{{v}}</other-el>', { v: '"x"' }), '<other-el foo="&quot;x&quot;" bar>&quot;x&quot;</other-el>');
+    });
+
+    it('rejects names without a hyphen and definitions without a template', () => {
+      assert.throws(() => jf.component('card', { template: 'x' }), /Invalid component name: card/);
+      assert.throws(() => jf.component('x-card', {}), /needs a template string/);
+    });
+
+    describe('in the DOM', () => {
+      let app;
+
+      beforeEach(() => {
+        setupDom('<div id="app"></div>');
+        app = document.getElementById('app');
+        jf.component('counter-box', {
+          template: '<div><button on:click="inc()">{{label}}: {{count}}</button><input data-bind="note"><span>{{note}}</span><slot></slot></div>',
+          props: ['label', 'start'],
+          data: props => ({ count: Number(props.start) || 0, note: '' }),
+          methods: { inc() { this.count++; } }
+        });
+      });
+
+      it('keeps instance state, methods and bindings across re-renders', async () => {
+        const clicks = [];
+        const items = [{ id: 1, label: 'one' }, { id: 2, label: 'two' }];
+        jf.render(app, { items }, {
+          handlers: { hit: id => clicks.push(id) },
+          template: '{{#each items}}<counter-box key="{{this.id}}" label="{{this.label}}" start="{{@index}}"><b on:click="hit(this.id)">slot</b></counter-box>{{/each}}'
+        });
+        const buttons = () => [...app.querySelectorAll('button')].map(button => button.textContent);
+
+        app.querySelectorAll('button')[1].click();
+        app.querySelectorAll('b')[0].click();
+        type(app.querySelector('input'), 'memo');
+        await jf.nextTick();
+        assert.deepEqual(buttons(), ['one: 0', 'two: 2']);
+        assert.deepEqual(clicks, [1]);
+        assert.equal(app.querySelector('span').textContent, 'memo');
+
+        jf.update(app, { items: [items[1], items[0]] });
+        assert.deepEqual(buttons(), ['two: 2', 'one: 0']);
+        assert.equal(app.querySelectorAll('span')[1].textContent, 'memo');
+
+        jf.update(app, { items: [items[0]] });
+        assert.equal(jf.renderedElements.get(app).components.length, 1);
+      });
+    });
+  });
+}
@@ -0,0 +1,35 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Jframe, JframeSyntaxError, JframeRenderError } from '../index.js';
+import { MODES } from './helpers.js';
+
+for (const mode of MODES) {
+  describe(`error locations (${mode})`, () => {
+    it('points syntax errors at the directive with a code frame', () => {
+      const jf = new Jframe({ mode });
+      assert.throws(() => jf.compile('<p>\n  {{#if a}}\n</p>', { name: 'page' }), error => {
+        assert.ok(error instanceof JframeSyntaxError);
+        assert.equal(error.message, 'Unclosed {{#if}} directive (template "page", line 2, column 3)');
+        assert.equal(error.templateName, 'page');
+        assert.deepEqual([error.line, error.column], [2, 3]);
+        assert.equal(error.codeFrame, '  1 | <p>\n> 2 |   {{#if a}}\n    |   ^\n  3 | </p>');
+        return true;
+      });
+    });
+
+    it('reports invalid expressions as syntax errors', () => {
+      assert.throws(() => new Jframe({ mode }).compile('{{ a + }}'), { name: 'JframeSyntaxError', message: /Unexpected end of expression/ });
+    });
+
+    it('wraps render failures with the expression that was executing', () => {
+      const context = { boom() { throw new Error('bang'); } };
+      assert.throws(() => new Jframe({ mode }).render('<p>\n  {{ boom(1) }}</p>', context), error => {
+        assert.ok(error instanceof JframeRenderError);
+        assert.equal(error.message, 'Rendering failed: bang (line 2, column 3, in {{boom(1)}})');
+        assert.equal(error.expression, 'boom(1)');
+        assert.equal(error.cause.message, 'bang');
+        return true;
+      });
+    });
+  });
+}
@@ -0,0 +1,64 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Jframe } from '../index.js';
+import { MODES } from './helpers.js';
+
+const UNSAFE_URL = 'about:invalid#jframe-unsafe-url';
+const SCRIPT_BREAKOUT = '</script><script>alert(1)</script>';
+
+for (const mode of MODES) {
+  describe(`context-aware escaping (${mode})`, () => {
+    const render = (template, v) => new Jframe({ mode }).render(template, { v });
+
+    it('escapes element text and attribute values', () => {
+      assert.equal(render('<p>{{v}}</p>', '<b>&</b>'), '<p>&lt;b&gt;&amp;&lt;/b&gt;</p>');
+      assert.equal(render('<input value="{{v}}">', 'x" onmouseover="alert(1)'), '<input value="x&quot; onmouseover=&quot;alert(1)">');
+      assert.equal(render('<a title={{v}}>x</a>', 'a b onclick=1'), '<a title=a&#32;b&#32;onclick&#61;1>x</a>');
+      assert.equal(render('<textarea>{{v}}</textarea>', '</textarea><script>'), '<textarea>&lt;/textarea&gt;&lt;script&gt;</textarea>');
+    });
+
+    it('blocks unsafe URL schemes', () => {
+      assert.equal(render('<a href="{{v}}">x</a>', 'javascript:alert(1)'), `<a href="${UNSAFE_URL}">x</a>`);
+      assert.equal(render('<a href="{{v}}">x</a>', ' JaVa\tscript:alert(1)'), `<a href="${UNSAFE_URL}">x</a>`);
+      assert.equal(render('<img src="{{v}}">', 'data:text/html,<script>'), `<img src="${UNSAFE_URL}">`);
+      assert.equal(render('<a href="{{v | upper}}">', 'javascript:x'), `<a href="${UNSAFE_URL}">`);
+      assert.equal(render('<a href="mailto:{{v}}">x</a>', 'a@b.c'), '<a href="mailto:a@b.c">x</a>');
+    });
+
+    it('blocks unsafe schemes put together from several parts', () => {
+      const jf = new Jframe({ mode });
+      assert.equal(jf.render('<a href="{{a}}{{b}}">x</a>', { a: 'java', b: 'script:alert(1)' }), '<a href="javascript%3Aalert(1)">x</a>');
+      assert.equal(jf.render('<a href="java{{a}}">x</a>', { a: 'script:alert(1)' }), '<a href="javascript%3Aalert(1)">x</a>');
+      assert.equal(jf.render('<a href="{{a}}:alert(1)">x</a>', { a: 'javascript' }), `<a href="${UNSAFE_URL}:alert(1)">x</a>`);
+      assert.equal(jf.render('<a href="{{#if c}}http{{else}}{{a}}{{/if}}:alert(1)">x</a>', { a: 'javascript' }), `<a href="${UNSAFE_URL}:alert(1)">x</a>`);
+      assert.equal(jf.render('<a href="{{a}}://ex.com/{{b}}">x</a>', { a: 'https', b: 'p:q' }), '<a href="https://ex.com/p:q">x</a>');
+    });
+
+    it('percent-encodes URL paths, queries and fragments', () => {
+      assert.equal(render('<a href="{{v}}">x</a>', 'https://ex.com/a b?q="1"'), '<a href="https://ex.com/a%20b?q=%221%22">x</a>');
+      assert.equal(render('<a href="/u/{{v}}?q={{v}}#{{v}}">x</a>', 'a b&c/d'), '<a href="/u/a%20b&amp;c/d?q=a%20b%26c%2Fd#a%20b%26c%2Fd">x</a>');
+    });
+
+    it('encodes values in scripts and event attributes as JavaScript', () => {
+      assert.equal(render('<script>var a = {{v}}; var b = "{{v}}";</script>', SCRIPT_BREAKOUT),
+        '<script>var a =  "\\u003c\\u002fscript\\u003e\\u003cscript\\u003ealert(1)\\u003c\\u002fscript\\u003e" ; var b = "\\u003c\\u002fscript\\u003e\\u003cscript\\u003ealert(1)\\u003c\\u002fscript\\u003e";</script>');
+      assert.equal(render('<script>var o = {{v}};</script>', { a: [1, '<'], b: null }), '<script>var o =  {"a":[1,"\\u003c"],"b":null} ;</script>');
+      assert.equal(render("<button onclick=\"go('{{v}}')\">x</button>", "'); alert(1); ('"), "<button onclick=\"go('\\u0027); alert(1); (\\u0027')\">x</button>");
+    });
+
+    it('keeps CSS values from breaking out of their declaration', () => {
+      assert.equal(render('<div style="width: {{v}}">x</div>', '10px'), '<div style="width: 10px">x</div>');
+      assert.equal(render('<style>p { color: {{v}} }</style>', 'red; background: url(javascript:1)'), '<style>p { color: ZjframeZ }</style>');
+      assert.equal(render('<div style="color: {{v}}">x</div>', 'expression(alert(1))'), '<div style="color: ZjframeZ">x</div>');
+    });
+
+    it('only allows plain attribute names in tag position', () => {
+      assert.equal(render('<input {{v}}>', 'disabled'), '<input disabled>');
+      assert.equal(render('<input {{v}}>', 'onclick=alert(1)'), '<input ZjframeZ>');
+    });
+
+    it('keeps comments closed', () => {
+      assert.equal(render('<!-- {{v}} -->', '-->'), '<!-- --&gt; -->');
+    });
+  });
+}
@@ -0,0 +1,79 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Jframe } from '../index.js';
+import { MODES, setupDom } from './helpers.js';
+
+for (const mode of MODES) {
+  describe(`on:event handlers (${mode})`, () => {
+    let jf;
+    let app;
+    let log;
+    let handlers;
+
+    beforeEach(() => {
+      setupDom('<div id="app"></div>');
+      jf = new Jframe({ mode });
+      app = document.getElementById('app');
+      log = [];
+      handlers = {
+        prefix: 'P',
+        remove(id) { log.push(`${this.prefix}:remove:${id}`); },
+        outer(event) { log.push(`outer:${event.type}`); },
+        inner(event) { log.push('inner'); event.stopPropagation(); }
+      };
+    });
+
+    const click = element => element.dispatchEvent(new window.MouseEvent('click', { bubbles: true }));
+
+    it('calls handlers with loop variables, bound to the handlers object', () => {
+      const template = '<ul on:click="outer(event)">{{#each groups as |g gi|}}{{#each g.todos}}<li><button on:click="remove(this.id + \'-\' + g.name + gi + @index)">x</button></li>{{/each}}{{/each}}</ul>';
+      jf.render(app, { groups: [{ name: 'A', todos: [{ id: 1 }, { id: 2 }] }, { name: 'B', todos: [{ id: 3 }] }] }, { template, handlers });
+      app.querySelectorAll('button').forEach(click);
+      assert.deepEqual(log, ['P:remove:1-A00', 'outer:click', 'P:remove:2-A01', 'outer:click', 'P:remove:3-B10', 'outer:click']);
+    });
+
+    it('lets a handler stop propagation', () => {
+      jf.render(app, {}, { template: '<p on:click="outer(event)"><b on:click="inner(event)">b</b></p>', handlers });
+      click(app.querySelector('b'));
+      assert.deepEqual(log, ['inner']);
+    });
+
+    it('renders handler markers instead of inline attributes', () => {
+      jf.render(app, { items: ['x'] }, { template: '{{#each items}}<i on:click="remove(this)">{{this}}</i>{{/each}}', handlers });
+      assert.equal(app.querySelector('i').outerHTML, '<i data-jf-on-click="0">x</i>');
+      click(app.querySelector('i'));
+      assert.deepEqual(log, ['P:remove:x']);
+    });
+
+    it('leaves no space behind when string output drops the handlers', () => {
+      const template = '<a on:click="remove(v)">{{v}}</a><b class="c"\n  on:click="remove(v)">{{v}}</b><i on:click="remove(v)" />';
+      assert.equal(jf.render(template, { v: 1 }), '<a>1</a><b class="c">1</b><i />');
+      assert.match(jf.renderToString(template, { v: 1 }), /^<a data-jf-on-click="0">1<\/a><b class="c" data-jf-on-click="1">1<\/b><i data-jf-on-click="2" \/>/);
+    });
+
+    it('uses the rows of the latest render after update()', () => {
+      jf.render(app, { todos: [{ id: 1 }, { id: 2 }] }, { template: '{{#each todos key="id"}}<button on:click="remove(this.id)">x</button>{{/each}}', handlers });
+      jf.update(app, { todos: [{ id: 2 }, { id: 1 }] });
+      app.querySelectorAll('button').forEach(click);
+      assert.deepEqual(log, ['P:remove:2', 'P:remove:1']);
+    });
+
+    it('stops handling events after destroy()', () => {
+      jf.render(app, {}, { template: '<button on:click="remove(1)">x</button>', handlers });
+      jf.destroy();
+      click(app.querySelector('button'));
+      assert.deepEqual(log, []);
+    });
+
+    it('leaves the attribute syntax alone outside start tags', () => {
+      const template = '<p>Use on:click="save()" to bind</p><!-- on:click="{{x}}" --><code>{{n}} on:input=\'{{n}}\'</code>';
+      assert.equal(jf.compile(template)({ n: 1 }), '<p>Use on:click="save()" to bind</p><!-- on:click="" --><code>1 on:input=\'1\'</code>');
+    });
+
+    it('rejects handlers that are empty, invalid or hold tags', () => {
+      assert.throws(() => jf.compile('<a on:click="{{x}}">'), { name: 'JframeSyntaxError', message: /cannot contain \{\{ \}\} tags/ });
+      assert.throws(() => jf.compile('<a on:click="">'), { name: 'JframeSyntaxError', message: /Event handler for "click" is empty/ });
+      assert.throws(() => jf.compile('<a on:click="a(">'), { name: 'JframeSyntaxError', message: /Invalid event handler/ });
+    });
+  });
+}
@@ -0,0 +1,50 @@
+/**
+ * Test helpers - a jsdom document installed as the global DOM the engine
+ * renders into, and the engine modes rendering tests run in
+ */
+
+import { JSDOM } from 'jsdom';
+
+export const MODES = ['compile', 'interpret'];
+
+/**
+ * Installs a new jsdom document as the window, document and HTMLElement
+ * globals. Engines created afterwards load templates from this document.
+ * @param {string} body - Markup of the document body
+ * @returns {Window} The jsdom window
+ */
+export function setupDom(body = '') {
+  const { window } = new JSDOM(`<!doctype html><html><body>${body}</body></html>`);
+  globalThis.window = window;
+  globalThis.document = window.document;
+  globalThis.HTMLElement = window.HTMLElement;
+  return window;
+}
+
+/**
+ * Dispatches a bubbling DOM event, as a user interaction would
+ * @param {Element} element - Event target
+ * @param {string} type - Event type, e.g. 'input' or 'change'
+ */
+export function dispatch(element, type) {
+  element.dispatchEvent(new window.Event(type, { bubbles: true }));
+}
+
+/**
+ * Types into a field: sets its value and dispatches the input event
+ * @param {Element} element - Input element
+ * @param {string} value - New value
+ */
+export function type(element, value) {
+  element.value = value;
+  dispatch(element, 'input');
+}
+
+/**
+ * Removes the comments keyed #each rows leave in rendered markup
+ * @param {string} html - HTML
+ * @returns {string} HTML without comments
+ */
+export function stripComments(html) {
+  return html.replace(/<!--[\s\S]*?-->/g, '');
+}
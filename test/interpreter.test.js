@@ -0,0 +1,41 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Jframe, Interpreter } from '../index.js';
+
+/**
+ * Runs a function while the Function constructor throws, as under a CSP
+ * without 'unsafe-eval'
+ */
+function withoutEval(fn) {
+  const original = globalThis.Function;
+  globalThis.Function = function () {
+    throw new EvalError('Code generation from strings disallowed');
+  };
+  try {
+    return fn();
+  } finally {
+    globalThis.Function = original;
+  }
+}
+
+describe('interpret mode', () => {
+  const template = '{{#each items as |item|}}{{> row}}{{/each}}{{ total | number:1 }}{{#if (gt total 2)}}!{{/if}}';
+  const context = { items: [{ name: 'a' }, { name: '<b>' }], total: 3 };
+
+  it('uses the interpreter', () => {
+    assert.ok(new Jframe({ mode: 'interpret' }).compiler instanceof Interpreter);
+    assert.throws(() => new Jframe({ mode: 'eval' }), /Unknown mode "eval"/);
+  });
+
+  it('compiles and renders without the Function constructor', () => {
+    const jf = new Jframe({ mode: 'interpret' }).registerPartial('row', '<i>{{name}}</i>');
+    const html = withoutEval(() => jf.render(template, context));
+    assert.equal(html, '<i>a</i><i>&lt;b&gt;</i>3.0!');
+  });
+
+  it('renders what compile mode renders', () => {
+    const compiled = new Jframe().registerPartial('row', '<i>{{name}}</i>');
+    assert.throws(() => withoutEval(() => compiled.render(template, context)), /Code generation from strings disallowed/);
+    assert.equal(compiled.render(template, context), '<i>a</i><i>&lt;b&gt;</i>3.0!');
+  });
+});
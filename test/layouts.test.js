@@ -0,0 +1,49 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Jframe } from '../index.js';
+import { MODES } from './helpers.js';
+
+for (const mode of MODES) {
+  describe(`layouts (${mode})`, () => {
+    let jf;
+
+    beforeEach(() => {
+      jf = new Jframe({ mode })
+        .registerPartial('base', '<title>{{#block "title"}}Site{{/block}}</title><main>{{#block "content"}}default{{/block}}</main><footer>{{#block "footer"}}{{year}}{{/block}}</footer>')
+        .registerPartial('two-col', '{{#extends "base"}}{{#block "content"}}<div>{{#block "side"}}side{{/block}}</div>{{#block "main"}}{{/block}}{{/block}}{{/extends}}');
+    });
+
+    it('fills the blocks of a layout, keeping the ones not overridden', () => {
+      const html = jf.render('{{#extends "base"}}\n{{#block "title"}}{{super}} - {{name}}{{/block}}\n{{#block "content"}}{{#each items}}{{this}}{{/each}}{{/block}}', { name: '<b>', items: [1, 2], year: 2026 });
+      assert.equal(html, '<title>Site - &lt;b&gt;</title><main>12</main><footer>2026</footer>');
+    });
+
+    it('extends layouts that extend other layouts', () => {
+      const html = jf.render('{{#extends "two-col"}}{{#block "side"}}[{{super}}]{{/block}}{{#block "main"}}M{{/block}}{{/extends}}', { year: 1 });
+      assert.equal(html, '<title>Site</title><main><div>[side]</div>M</main><footer>1</footer>');
+    });
+
+    it('uses the new version of a layout registered again', () => {
+      const template = '{{#extends "base"}}{{#block "content"}}{{super}}+{{/block}}';
+      assert.equal(jf.render(template, {}), '<title>Site</title><main>default+</main><footer></footer>');
+      jf.registerPartial('base', '<b>{{#block "content"}}new{{/block}}</b>');
+      assert.equal(jf.render(template, {}), '<b>new+</b>');
+    });
+
+    it('reports structural mistakes', () => {
+      const error = (template, message) => assert.throws(() => jf.compile(template), { name: 'JframeSyntaxError', message });
+      error('{{#extends "nope"}}{{/extends}}', /Layout "nope" is not registered/);
+      error('x{{#extends "base"}}{{/extends}}', /must wrap the whole template/);
+      error('{{#extends "base"}}hi{{/extends}}', /Only \{\{#block\}\} directives may appear directly inside/);
+      error('{{#block "a"}}{{/block}}{{#block "a"}}{{/block}}', /Block "a" is defined more than once/);
+      error('{{super}}', /\{\{super\}\} can only be used inside a \{\{#block\}\} directive/);
+      error('{{#block "a"}}{{super}}{{/block}}', /\{\{super\}\} has no parent block to include/);
+      error('{{#extends "base"}}\n{{#block "sidebar"}}x{{/block}}{{/extends}}', /Block "sidebar" is not defined by layout "base" \(line 2, column 1\)/);
+    });
+
+    it('detects layouts that extend themselves', () => {
+      jf.registerPartial('loop1', '{{#extends "loop2"}}{{/extends}}').registerPartial('loop2', '{{#extends "loop1"}}{{/extends}}');
+      assert.throws(() => jf.compile('{{#extends "loop1"}}{{/extends}}'), /Layout "loop1" extends itself: loop1 > loop2 > loop1/);
+    });
+  });
+}
@@ -0,0 +1,117 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { Jframe, createDomLoader } from '../index.js';
+import { createFileLoader } from '../src/file-loader.js';
+import { setupDom, stripComments } from './helpers.js';
+
+describe('DOM loader', () => {
+  let jf;
+  let app;
+
+  beforeEach(() => {
+    setupDom('<script type="text/jframe" id="rows"><table>{{#each items}}<tr><td>{{this}}</td></tr>{{/each}}</table></script>'
+      + '<template id="cond"><p title="{{a > 1 && \'big\'}}">{{#if a > 1 && b}}<b on:click="hit(a)">yes</b>{{else}}no{{/if}}</p></template>'
+      + '<template id="table-rows"><table><tbody>{{#each rows}}<tr><td>{{this.a}}</td></tr>{{/each}}</tbody></table></template>'
+      + '<template id="nested-rows"><div>{{#if rows}}<table><tr>{{#each rows}}<td>{{this.a}}</td>{{else}}<td>-</td>{{/each}}</tr></table>{{/if}}</div></template>'
+      + '<template id="cells"><table><tr><td>{{#each rows}}<b>{{this.a}}</b>{{/each}}</td></tr></table>{{#if more}}<i>more</i>{{/if}}</template>'
+      + '<div id="plain">not a template</div><div id="app"></div>');
+    jf = new Jframe();
+    app = document.getElementById('app');
+  });
+
+  it('renders a <script type="text/jframe"> template by name, verbatim', () => {
+    jf.render('rows', { items: [1, 2] }, app);
+    assert.equal(stripComments(app.innerHTML), '<table><tbody><tr><td>1</td></tr><tr><td>2</td></tr></tbody></table>');
+  });
+
+  it('reads <template> content back with its expressions intact', () => {
+    const hits = [];
+    assert.equal(jf.loadTemplate('cond'), '<p title="{{a > 1 && \'big\'}}">{{#if a > 1 && b}}<b on:click="hit(a)">yes</b>{{else}}no{{/if}}</p>');
+    jf.render('cond', { a: 2, b: true }, app, { handlers: { hit: value => hits.push(value) } });
+    app.querySelector('b').click();
+    assert.deepEqual(hits, [2]);
+
+    jf.update(app, { b: false });
+    assert.equal(app.innerHTML, '<p title="big">no</p>');
+  });
+
+  it('reports <template> tables whose block tags the HTML parser moved out', () => {
+    assert.throws(() => jf.loadTemplate('table-rows'), /Template "table-rows" has block tags inside a <table>.*use <script type="text\/jframe" id="table-rows">/);
+    assert.throws(() => jf.render('nested-rows', { rows: [] }, app), /Template "nested-rows" has block tags inside a <table>/);
+
+    // Block tags inside a cell stay where they were written
+    jf.render('cells', { rows: [{ a: 1 }, { a: 2 }], more: true }, app);
+    assert.equal(app.innerHTML, '<table><tbody><tr><td><b>1</b><b>2</b></td></tr></tbody></table><i>more</i>');
+  });
+
+  it('reports names no loader knows', () => {
+    assert.throws(() => jf.loadTemplate('plain'), /Template "plain" was not found/);
+    assert.throws(() => jf.render('missing', {}, app), /Template "missing" was not found/);
+  });
+
+  it('tries the loaders it was given in order', () => {
+    const custom = new Jframe({ loaders: [] });
+    assert.throws(() => custom.loadTemplate('rows'), /not found/);
+    custom.addLoader(createDomLoader(document)).addLoader(name => (name === 'x' ? 'X{{v}}' : null));
+    assert.equal(custom.render(custom.loadTemplate('x'), { v: 1 }), 'X1');
+    assert.throws(() => custom.addLoader('nope'), /Loader must be a function/);
+  });
+});
+
+describe('file loader', () => {
+  let root;
+
+  before(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'jframe-views-'));
+    fs.mkdirSync(path.join(root, 'views', 'admin'), { recursive: true });
+    fs.mkdirSync(path.join(root, 'views', '..partials'));
+    fs.writeFileSync(path.join(root, 'views', 'greet.jframe.html'), 'Hi {{name}}');
+    fs.writeFileSync(path.join(root, 'views', 'admin', 'users.jframe.html'), '{{#each users}}<li>{{this}}</li>{{/each}}');
+    fs.writeFileSync(path.join(root, 'views', '..partials', 'x.jframe.html'), 'x');
+    fs.writeFileSync(path.join(root, 'secret.jframe.html'), 'secret');
+  });
+
+  after(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  const views = () => path.join(root, 'views');
+
+  it('loads templates by name relative to the root', () => {
+    const jf = new Jframe().addLoader(createFileLoader(views()));
+    assert.equal(jf.render(jf.loadTemplate('greet'), { name: 'Ann' }), 'Hi Ann');
+    assert.equal(jf.render(jf.loadTemplate('admin/users'), { users: ['a'] }), '<li>a</li>');
+    assert.equal(jf.loadTemplate('greet.jframe.html'), 'Hi {{name}}');
+    assert.equal(jf.loadTemplate('..partials/x'), 'x');
+  });
+
+  it('returns null for missing files', () => {
+    const loader = createFileLoader(views());
+    assert.equal(loader('nope'), null);
+    assert.equal(loader('greet/deeper'), null);
+  });
+
+  it('refuses names that leave the root', () => {
+    const loader = createFileLoader(views());
+    assert.throws(() => loader('../secret'), /resolves outside of/);
+    assert.throws(() => loader(path.join(root, 'secret')), /resolves outside of/);
+    assert.throws(() => loader('admin/../../secret'), /resolves outside of/);
+  });
+
+  it('caches sources until cleared, unless caching is off', () => {
+    const file = path.join(views(), 'edited.jframe.html');
+    fs.writeFileSync(file, 'one');
+    const cached = createFileLoader(views());
+    const live = createFileLoader(views(), { cache: false });
+    assert.equal(cached('edited'), 'one');
+
+    fs.writeFileSync(file, 'two');
+    assert.equal(cached('edited'), 'one');
+    assert.equal(live('edited'), 'two');
+    cached.clear();
+    assert.equal(cached('edited'), 'two');
+  });
+});
@@ -0,0 +1,95 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Jframe } from '../index.js';
+import { MODES, setupDom, type, stripComments } from './helpers.js';
+
+for (const mode of MODES) {
+  describe(`update() morphing (${mode})`, () => {
+    let jf;
+    let app;
+
+    beforeEach(() => {
+      setupDom('<div id="app"></div>');
+      jf = new Jframe({ mode });
+      app = document.getElementById('app');
+    });
+
+    it('patches changed text and attributes in place', () => {
+      jf.render(app, { title: 'T', cls: 'a' }, { template: '<h1 class="{{cls}}">{{title}}</h1>' });
+      const heading = app.querySelector('h1');
+      let clicks = 0;
+      heading.addEventListener('click', () => clicks++);
+
+      jf.update(app, { title: 'T2', cls: 'b' });
+      assert.equal(app.querySelector('h1'), heading);
+      assert.equal(heading.outerHTML, '<h1 class="b">T2</h1>');
+      heading.click();
+      assert.equal(clicks, 1);
+    });
+
+    it('keeps focus, caret and typed values of fields', () => {
+      jf.render(app, { title: 'T' }, { template: '<h1>{{title}}</h1><input value="bob"><textarea>{{note}}</textarea>' });
+      const input = app.querySelector('input');
+      const textarea = app.querySelector('textarea');
+      input.focus();
+      type(input, 'bobby');
+      input.setSelectionRange(2, 2);
+      textarea.value = 'typed';
+
+      jf.update(app, { title: 'T2' });
+      assert.equal(app.querySelector('input'), input);
+      assert.equal(document.activeElement, input);
+      assert.equal(input.value, 'bobby');
+      assert.equal(input.selectionStart, 2);
+      assert.equal(textarea.value, 'typed');
+    });
+
+    it('moves keyed rows with their DOM nodes', () => {
+      const template = '<ul>{{#each todos key="id"}}<li>{{this.text}}<input></li>{{else}}<li>none</li>{{/each}}<li class="tail"></li></ul>';
+      const todos = [1, 2, 3].map(id => ({ id, text: `t${id}` }));
+      jf.render(app, { todos }, { template });
+      const [first, second, third] = app.querySelectorAll('li');
+      app.querySelectorAll('input').forEach((input, index) => { input.value = `v${index + 1}`; });
+      const tail = app.querySelector('.tail');
+
+      jf.update(app, { todos: [todos[2], { id: 9, text: 'new' }, todos[0]] });
+      const rows = [...app.querySelectorAll('li')];
+      assert.equal(rows[0], third);
+      assert.equal(rows[2], first);
+      assert.ok(!rows.includes(second));
+      assert.deepEqual(rows.slice(0, 3).map(row => row.querySelector('input').value), ['v3', '', 'v1']);
+      assert.equal(app.querySelector('.tail'), tail);
+      assert.equal(stripComments(app.querySelector('ul').innerHTML).replace(/<input>/g, ''), '<li>t3</li><li>new</li><li>t1</li><li class="tail"></li>');
+
+      jf.update(app, { todos: [] });
+      assert.equal(stripComments(app.querySelector('ul').innerHTML), '<li>none</li><li class="tail"></li>');
+    });
+
+    it('marks keyed rows only in element and renderToString() output', () => {
+      const template = '<ul>{{#each todos key="id"}}<li>{{this.id}}</li>{{/each}}</ul>';
+      const data = { todos: [{ id: 1 }, { id: 2 }] };
+      assert.equal(jf.render(template, data), '<ul><li>1</li><li>2</li></ul>');
+      assert.match(jf.renderToString(template, data), /^<ul><!--jf-row:[\w.-]+:1--><li>1<\/li><!--jf-row:[\w.-]+:2--><li>2<\/li><!--\/jf-each:[\w.-]+--><\/ul>/);
+
+      jf.render(app, data, { template });
+      assert.match(app.innerHTML, /<!--jf-row:[\w.-]+:1-->/);
+    });
+
+    it('keeps keyed lists from partials apart from the list around them', () => {
+      jf.registerPartial('kids', '{{#each kids key="id"}}<i>{{this.id}}</i>{{/each}}');
+      const rows = [{ id: 1, kids: [{ id: 1 }] }, { id: 2, kids: [{ id: 2 }] }];
+      jf.render(app, { rows }, { template: '{{#each rows key="id"}}<b>{{this.id}}</b>{{> kids}}{{/each}}' });
+      const first = app.querySelector('b');
+
+      jf.update(app, { rows: [rows[1], rows[0]] });
+      assert.equal(stripComments(app.innerHTML), '<b>2</b><i>2</i><b>1</b><i>1</i>');
+      assert.equal(app.querySelectorAll('b')[1], first);
+    });
+
+    it('warns about duplicate row keys', t => {
+      const warn = t.mock.method(console, 'warn', () => {});
+      jf.render(app, { todos: [{ id: 1 }, { id: 1 }] }, { template: '{{#each todos key="id"}}<i></i>{{/each}}' });
+      assert.match(warn.mock.calls[0].arguments[0], /Duplicate key "1"/);
+    });
+  });
+}
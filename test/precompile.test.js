@@ -0,0 +1,109 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { execFileSync } from 'node:child_process';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { Jframe } from '../index.js';
+import { Runtime, runtime } from '../src/runtime.js';
+
+const RUNTIME_URL = new URL('../src/runtime.js', import.meta.url).href;
+const CLI = fileURLToPath(new URL('../bin/jframe.js', import.meta.url));
+
+describe('precompiled modules', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jframe-precompile-'));
+
+    // Generated modules are .js files; Node before 22 only loads those as ES modules in a module package
+    fs.writeFileSync(path.join(dir, 'package.json'), '{ "type": "module" }');
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // Helpers are resolved when compiling, as with the CLI's --helpers
+  const compiler = () => new Jframe().registerHelper('shout', value => value);
+
+  const load = (file, source) => {
+    fs.writeFileSync(path.join(dir, file), source);
+    return import(pathToFileURL(path.join(dir, file)).href);
+  };
+
+  it('exports a render function bound to the shared runtime', async () => {
+    const source = compiler().compileToModule('<p>{{ shout name }}</p>{{> tail}}', { name: 'card', runtime: RUNTIME_URL });
+    assert.doesNotMatch(source, /new Function/);
+
+    const card = await load('card.js', source);
+    runtime.registerHelper('shout', value => `${value}!`).registerPartial('tail', () => '<hr>');
+    assert.equal(card.templateName, 'card');
+    assert.equal(card.default({ name: '<x>' }), '<p>&lt;x&gt;!</p><hr>');
+  });
+
+  it('renders with a runtime passed in instead', async () => {
+    const { default: render } = await load('other.js', compiler().compileToModule('{{ shout name }}', { runtime: RUNTIME_URL }));
+    const other = new Runtime().registerHelper('shout', value => `${value}?`);
+    assert.equal(render({ name: 'a' }, other), 'a?');
+  });
+
+  it('imports and installs only the runtime extensions a template uses', async () => {
+    assert.doesNotMatch(compiler().compileToModule('{{ a }}', { runtime: RUNTIME_URL }), /runtime\/|\.use\(/);
+
+    const source = compiler().compileToModule('<x-tag label="{{ name }}"></x-tag>{{#await p}}...{{then v}}{{ v }}{{/await}}{{{sanitize-html html}}}', { runtime: RUNTIME_URL });
+    assert.match(source, /import \{ installComponents as __installComponents \} from ".*\/src\/runtime\/components\.js"/);
+    assert.match(source, /\/src\/runtime\/await\.js"/);
+    assert.match(source, /\/src\/runtime\/sanitizer\.js"/);
+
+    const { default: render } = await load('extended.js', source);
+    const bare = new Runtime();
+    assert.equal(typeof bare.component, 'undefined');
+
+    const data = { name: 'a', p: 1, html: '<b onclick="x()">b</b>' };
+    assert.equal(render(data, bare), '<x-tag label="a"></x-tag>1<b>b</b>');
+    bare.registerComponent('x-tag', { props: ['label'], render: state => `[${state.label}]` });
+    assert.equal(render(data, bare), '<x-tag>[a]</x-tag>1<b>b</b>');
+  });
+
+  it('installs each runtime extension once', () => {
+    let installs = 0;
+    const install = runtime => {
+      installs++;
+      runtime.registerHelper('installed', () => installs);
+    };
+    const other = new Runtime().use(install).use(install);
+    assert.equal(installs, 1);
+    assert.equal(other.helper('installed', null, [], {}), 1);
+    assert.throws(() => other.use('components'), /Runtime extension must be a function/);
+  });
+
+  it('reports render errors against the template name', async () => {
+    const { default: render } = await load('broken.js', compiler().compileToModule('<p>{{ shout x }}</p>', { name: 'broken', runtime: RUNTIME_URL }));
+    assert.throws(() => render({ x: 1 }, new Runtime()), { name: 'JframeRenderError', message: 'Rendering failed: Helper "shout" is not registered (template "broken", line 1, column 4, in {{shout x}})' });
+  });
+
+  it('compiles template files from the command line', async () => {
+    fs.mkdirSync(path.join(dir, 'views'));
+    fs.writeFileSync(path.join(dir, 'views', 'page.jframe.html'), '<h1>{{ upper name }}</h1>');
+    fs.writeFileSync(path.join(dir, 'helpers.mjs'), 'export const upper = s => String(s).toUpperCase();');
+
+    execFileSync(process.execPath, [CLI, 'compile', 'views/*.jframe.html', '--out', 'out', '--runtime', RUNTIME_URL, '--helpers', 'helpers.mjs'], { cwd: dir, stdio: 'pipe' });
+
+    const page = await import(pathToFileURL(path.join(dir, 'out', 'page.js')).href);
+    const { upper } = await import(pathToFileURL(path.join(dir, 'helpers.mjs')).href);
+    assert.equal(page.default({ name: 'ann' }, new Runtime().registerHelper('upper', upper)), '<h1>ANN</h1>');
+  });
+
+  it('merges layouts passed with --partials from the command line', async () => {
+    fs.mkdirSync(path.join(dir, 'layouts'));
+    fs.writeFileSync(path.join(dir, 'layouts', 'base.jframe.html'), '<main>{{#block "body"}}empty{{/block}}</main>');
+    fs.writeFileSync(path.join(dir, 'views', 'home.jframe.html'), '{{#extends "base"}}{{#block "body"}}<p>{{ name }}</p>{{/block}}{{/extends}}');
+
+    execFileSync(process.execPath, [CLI, 'compile', 'views/home.jframe.html', '--out', 'out', '--runtime', RUNTIME_URL, '--partials', 'layouts/*.jframe.html'], { cwd: dir, stdio: 'pipe' });
+
+    const home = await import(pathToFileURL(path.join(dir, 'out', 'home.js')).href);
+    assert.equal(home.default({ name: 'ann' }, new Runtime()), '<main><p>ann</p></main>');
+  });
+});
@@ -0,0 +1,104 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Jframe, reactive, isReactive, toRaw } from '../index.js';
+import { MODES, setupDom, stripComments } from './helpers.js';
+
+describe('reactive()', () => {
+  it('wraps nested data in proxies over the same raw objects', () => {
+    const raw = { user: { name: 'n' } };
+    const state = reactive(raw);
+    assert.ok(isReactive(state) && isReactive(state.user));
+    assert.equal(toRaw(state), raw);
+    assert.equal(toRaw(state.user), raw.user);
+    assert.equal(reactive(raw), state);
+  });
+});
+
+for (const mode of MODES) {
+  describe(`reactive rendering (${mode})`, () => {
+    let jf;
+    let app;
+
+    beforeEach(() => {
+      setupDom('<div id="app"></div><div id="other"></div>');
+      jf = new Jframe({ mode });
+      app = document.getElementById('app');
+    });
+
+    it('re-renders once per tick after the data it read changes', async () => {
+      let renders = 0;
+      jf.registerHelper('count', () => { renders++; return ''; });
+      const state = jf.reactive({ title: 'T', todos: [{ id: 1, text: 'a' }], unrelated: 1 });
+      jf.render(app, state, { template: '{{count}}<h1>{{title}}</h1>{{#each todos key="id"}}<li>{{this.text}}</li>{{/each}}' });
+      const row = app.querySelector('li');
+
+      state.todos.push({ id: 2, text: 'b' });
+      state.title = 'T2';
+      await jf.nextTick();
+      assert.equal(stripComments(app.innerHTML), '<h1>T2</h1><li>a</li><li>b</li>');
+      assert.equal(app.querySelector('li'), row);
+      assert.equal(renders, 2);
+
+      state.unrelated = 2;
+      await jf.nextTick();
+      assert.equal(renders, 2);
+    });
+
+    it('tracks nested objects, new keys and deletions', async () => {
+      const state = jf.reactive({ user: { name: 'n' }, counts: {} });
+      jf.render(app, state, { template: '<p>{{user.name}}</p>{{#each counts}}<i>{{@key}}={{this}}</i>{{/each}}' });
+
+      state.user.name = 'm';
+      state.counts.x = 1;
+      await jf.nextTick();
+      assert.equal(app.innerHTML, '<p>m</p><i>x=1</i>');
+
+      delete state.counts.x;
+      state.user = { name: 'new' };
+      await jf.nextTick();
+      assert.equal(app.innerHTML, '<p>new</p>');
+    });
+
+    it('stops re-rendering after destroy()', async () => {
+      const state = jf.reactive({ title: 'a' });
+      jf.render(app, state, { template: '{{title}}' });
+      jf.destroy();
+      state.title = 'b';
+      await jf.nextTick();
+      assert.equal(app.innerHTML, 'a');
+    });
+
+    describe('computed() and watch()', () => {
+      it('caches computed properties until a value they used changes', async () => {
+        const state = jf.reactive({ todos: [{ done: false }, { done: true }] });
+        let calls = 0;
+        jf.computed(state, 'remaining', s => { calls++; return s.todos.filter(todo => !todo.done).length; });
+        jf.computed(state, 'summary', s => `${s.remaining} of ${s.todos.length}`);
+        jf.render(app, state, { template: '<p>{{summary}}</p><p>{{remaining}}</p>' });
+        assert.equal(app.innerHTML, '<p>1 of 2</p><p>1</p>');
+        assert.equal(calls, 1);
+
+        state.todos[0].done = true;
+        await jf.nextTick();
+        assert.equal(app.innerHTML, '<p>0 of 2</p><p>0</p>');
+        assert.equal(calls, 2);
+        assert.throws(() => { state.remaining = 5; }, /Computed property "remaining" is read-only/);
+      });
+
+      it('calls watchers with new and old values until stopped', async () => {
+        const state = jf.reactive({ filter: 'all', todos: [] });
+        const log = [];
+        const stop = jf.watch(state, 'filter', (value, old) => log.push(`${old}->${value}`));
+        jf.watch(state, s => s.todos, todos => log.push(`todos ${todos.length}`), { deep: true, immediate: true });
+
+        state.filter = 'done';
+        state.todos.push({});
+        await jf.nextTick();
+        stop();
+        state.filter = 'all';
+        await jf.nextTick();
+        assert.deepEqual(log, ['todos 0', 'all->done', 'todos 1']);
+      });
+    });
+  });
+}
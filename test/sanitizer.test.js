@@ -0,0 +1,49 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Jframe, sanitizeHtml } from '../index.js';
+import { MODES } from './helpers.js';
+
+describe('sanitizeHtml', () => {
+  it('drops event handlers, unsafe URLs and dangerous elements', () => {
+    const html = '<p class="x" onclick="alert(1)">Hi <b>there</b> <a href="javascript:alert(1)">bad</a><a href="jav&#x61;script:1">e</a>'
+      + '<img src=x onerror=alert(1)><script>alert(1)</script><style>p{}</style><iframe src=x>in</iframe><svg><script>1</script></svg>after</p>';
+    assert.equal(sanitizeHtml(html), '<p>Hi <b>there</b> <a>bad</a><a>e</a><img src="x">after</p>');
+  });
+
+  it('keeps the text of unknown elements and escapes stray markup', () => {
+    assert.equal(sanitizeHtml('<custom>kept</custom> 1 < 2 &copy;'), 'kept 1 &lt; 2 &copy;');
+    assert.equal(sanitizeHtml('<em>unclosed'), '<em>unclosed</em>');
+    assert.equal(sanitizeHtml(null), '');
+  });
+
+  it('follows a custom allow-list but never allows scripts', () => {
+    const options = { allowedTags: ['i', 'a', 'script'], allowedAttributes: { a: ['href'] }, allowedSchemes: ['https'] };
+    assert.equal(sanitizeHtml('<i>x</i><b>b</b><script>1</script><a href="mailto:x">m</a><a href="/rel">r</a>', options), '<i>x</i>b<a>m</a><a href="/rel">r</a>');
+  });
+
+  it('handles large malformed input in linear time', () => {
+    const started = Date.now();
+    sanitizeHtml('<b>x</b><'.repeat(20000));
+    assert.ok(Date.now() - started < 2000);
+  });
+});
+
+for (const mode of MODES) {
+  describe(`sanitized raw output (${mode})`, () => {
+    const body = '<i onclick="x()">x</i><script>1</script>';
+
+    it('sanitizes {{{sanitize-html}}} output and leaves other raw output alone', () => {
+      const jf = new Jframe({ mode });
+      assert.equal(jf.render('{{{sanitize-html body}}}|{{{body}}}|{{sanitize-html body}}', { body }), '<i>x</i>|<i onclick="x()">x</i><script>1</script>|&lt;i&gt;x&lt;/i&gt;');
+    });
+
+    it('leaves a context key named sanitize to the context', () => {
+      assert.equal(new Jframe({ mode }).render('{{sanitize}}', { sanitize: 'yes' }), 'yes');
+    });
+
+    it('sanitizes all raw output with the sanitize option', () => {
+      assert.equal(new Jframe({ mode, sanitize: true }).render('{{{body}}}', { body }), '<i>x</i>');
+      assert.equal(new Jframe({ mode, sanitize: { allowedTags: ['b'] } }).render('{{{body}}}<b>', { body: '<b>b</b><i>i</i>' }), '<b>b</b>i<b>');
+    });
+  });
+}
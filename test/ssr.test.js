@@ -0,0 +1,60 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Jframe } from '../index.js';
+import { MODES, setupDom, type, stripComments } from './helpers.js';
+
+const template = '<h1>{{title}}</h1><input data-bind="title"><button on:click="add()">+</button><span>{{count}}</span>'
+  + '<my-counter start="{{count}}"></my-counter>{{#each items key="id"}}<i on:click="pick(this.id)">{{this.name}}</i>{{/each}}';
+const counter = {
+  template: '<b on:click="inc()">{{n}}</b>',
+  props: ['start'],
+  data: props => ({ n: Number(props.start) * 10 }),
+  methods: { inc() { this.n++; } }
+};
+const context = { title: 'Hi </script>', count: 2, items: [{ id: 1, name: 'a' }, { id: 2, name: 'b' }] };
+
+for (const mode of MODES) {
+  describe(`server rendering and hydration (${mode})`, () => {
+    const serverHtml = () => new Jframe({ mode }).component('my-counter', counter).renderToString(template, context);
+
+    it('renders markup with handler markers and the serialized context', () => {
+      const html = serverHtml();
+      assert.match(html, /^<h1>Hi &lt;\/script&gt;<\/h1><input data-bind="title"><button data-jf-on-click="0">\+<\/button>/);
+      assert.match(html, /<my-counter data-jf-component="0"><b data-jf-on-click="1">20<\/b><\/my-counter>/);
+      const [, id, state] = html.match(/<script type="application\/json" data-jf-hydrate="(\w+)">(.*)<\/script>$/);
+      assert.equal(id.length > 0, true);
+      assert.deepEqual(JSON.parse(state), context);
+      assert.doesNotMatch(state, /<\//);
+    });
+
+    it('attaches handlers, components and bindings to the existing markup', async () => {
+      setupDom(`<div id="app">${serverHtml()}</div>`);
+      const client = new Jframe({ mode }).component('my-counter', counter);
+      const app = document.getElementById('app');
+      const heading = app.querySelector('h1');
+      const picked = [];
+      const state = client.hydrate(app, template, { binding: true, reactive: true, handlers: { add() { state.count++; }, pick: id => picked.push(id) } });
+
+      assert.equal(app.querySelector('h1'), heading);
+      assert.equal(app.querySelector('script'), null);
+      app.querySelector('button').click();
+      app.querySelectorAll('i')[1].click();
+      app.querySelector('my-counter b').click();
+      type(app.querySelector('input'), 'typed');
+      await client.nextTick();
+
+      assert.deepEqual(picked, [2]);
+      assert.equal(app.querySelector('span').textContent, '3');
+      assert.equal(app.querySelector('my-counter b').textContent, '21');
+      assert.equal(app.querySelector('h1'), heading);
+      assert.equal(stripComments(heading.outerHTML), '<h1>typed</h1>');
+    });
+
+    it('refuses markup from another template or without a context', () => {
+      setupDom(`<div id="app">${serverHtml()}</div><div id="empty"></div>`);
+      const client = new Jframe({ mode });
+      assert.throws(() => client.hydrate(document.getElementById('app'), `${template} `), /#app was rendered from a different template/);
+      assert.throws(() => client.hydrate(document.getElementById('empty'), template), /#empty has no serialized context/);
+    });
+  });
+}
@@ -0,0 +1,60 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { PassThrough } from 'node:stream';
+import { Jframe, toReadableStream, pipeToWritable } from '../index.js';
+import { MODES } from './helpers.js';
+
+const collect = async chunks => {
+  const collected = [];
+  for await (const chunk of chunks) collected.push(chunk);
+  return collected;
+};
+
+for (const mode of MODES) {
+  describe(`streaming render (${mode})`, () => {
+    const jf = new Jframe({ mode })
+      .registerPartial('cell', '<td>{{name}}</td>')
+      .component('x-row', { template: '<tr>{{id}}<slot></slot></tr>', props: ['id'] });
+    const rows = Array.from({ length: 2000 }, (_, id) => ({ id, name: `<n${id}>` }));
+    const context = { rows, title: 'T"' };
+
+    it('yields chunks between loop rows that join to render() output', async () => {
+      const template = '<h1>{{title}}</h1><table>{{#each rows key="id"}}<tr>{{> cell}}{{#if (eq @index 5)}}<td>five</td>{{/if}}</tr>{{/each}}</table>';
+      const chunks = await collect(jf.renderStream(template, context));
+      assert.ok(chunks.length > 10);
+      assert.equal(chunks.join(''), jf.render(template, context));
+    });
+
+    it('streams components, partials and layouts whole', async () => {
+      const template = '{{#each rows}}<x-row id="{{this.id}}">{{this.name}}</x-row>{{/each}}';
+      assert.equal((await collect(jf.renderStream(template, context))).join(''), jf.render(template, context));
+    });
+
+    it('throws compile errors from the iterator', async () => {
+      await assert.rejects(collect(jf.renderStream('{{#each rows}}', context)), /Unclosed \{\{#each\}\} directive/);
+    });
+
+    it('adapts to ReadableStream and Node writable streams', async () => {
+      const template = '{{#each rows}}<i>{{this.name}}</i>{{/each}}';
+      const expected = jf.render(template, context);
+      assert.equal(await new Response(toReadableStream(jf.renderStream(template, context))).text(), expected);
+
+      const writable = new PassThrough({ highWaterMark: 16 });
+      let written = '';
+      writable.on('data', data => { written += data; });
+      await pipeToWritable(jf.renderStream(template, context), writable);
+      assert.equal(written, expected);
+      assert.equal(writable.writableEnded, true);
+    });
+  });
+}
+
+describe('pipeToWritable', () => {
+  it('rejects when the stream closes before rendering finishes', async () => {
+    // Nothing reads the stream, so it fills up and waits for a drain that never comes
+    const writable = new PassThrough({ highWaterMark: 1 });
+    const piping = pipeToWritable(['full', 'never written'], writable);
+    setImmediate(() => writable.destroy());
+    await assert.rejects(piping, /Stream closed before rendering finished/);
+  });
+});
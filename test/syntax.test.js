@@ -0,0 +1,105 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Jframe } from '../index.js';
+import { MODES } from './helpers.js';
+
+for (const mode of MODES) {
+  describe(`template syntax (${mode})`, () => {
+    const engine = () => new Jframe({ mode });
+
+    describe('#if', () => {
+      it('renders the first branch whose condition holds', () => {
+        const jf = engine();
+        const template = '{{#if (eq role "admin")}}admin{{else if items.length > 1}}many{{else}}none{{/if}}';
+        assert.equal(jf.render(template, { role: 'admin', items: [] }), 'admin');
+        assert.equal(jf.render(template, { role: 'user', items: [1, 2] }), 'many');
+        assert.equal(jf.render(template, { role: 'user', items: [] }), 'none');
+      });
+
+      it('rejects an {{else}} after the final {{else}}', () => {
+        assert.throws(() => engine().compile('{{#if a}}1{{else}}2{{else}}3{{/if}}'), { name: 'JframeSyntaxError' });
+      });
+    });
+
+    describe('#each', () => {
+      it('names the item and index and exposes loop metadata', () => {
+        const template = '{{#each users as |u i|}}{{u.name}}{{i}}/{{@length}}{{#if @last}}.{{else}},{{/if}}{{/each}}';
+        assert.equal(engine().render(template, { users: [{ name: 'x' }, { name: 'y' }] }), 'x0/2,y1/2.');
+      });
+
+      it('reaches outer loops through ../ and @parent', () => {
+        const template = '{{#each groups}}{{#each this.users}}{{../name}}:{{this}} {{@parent.name}}|{{/each}}{{/each}}';
+        assert.equal(engine().render(template, { groups: [{ name: 'g', users: ['a', 'b'] }] }), 'g:a g|g:b g|');
+      });
+
+      it('iterates objects, Maps, Sets and iterables', () => {
+        const jf = engine();
+        const template = '{{#each items as |value key|}}{{key}}={{value}};{{else}}empty{{/each}}';
+        assert.equal(jf.render(template, { items: { x: 1, y: '<' } }), 'x=1;y=&lt;;');
+        assert.equal(jf.render(template, { items: new Map([['a', 1], ['b', 2]]) }), 'a=1;b=2;');
+        assert.equal(jf.render(template, { items: new Set(['q']) }), '0=q;');
+        assert.equal(jf.render(template, { items: (function* () { yield 'g'; })() }), '0=g;');
+        assert.equal(jf.render(template, { items: {} }), 'empty');
+      });
+    });
+
+    describe('partials', () => {
+      it('includes a partial with its context and hash parameters', () => {
+        const jf = engine().registerPartial('card', '<i>{{name}}{{#if big}}!{{/if}}</i>');
+        const template = '{{#each people}}{{> card}}{{/each}}{{> card person big=true}}';
+        assert.equal(jf.render(template, { people: [{ name: 'p1' }], person: { name: 'P' } }), '<i>p1</i><i>P!</i>');
+      });
+
+      it('rejects partials that include themselves outside of any condition', () => {
+        const jf = engine()
+          .registerPartial('box', '<x-box><b slot="head">{{> row}}</b></x-box>')
+          .registerPartial('row', '{{#block "body"}}<slot>{{> box}}</slot>{{/block}}')
+          .registerPartial('tree', '<ul>{{#each children}}<li>{{> tree}}</li>{{/each}}</ul>');
+        assert.throws(() => jf.render('{{> box}}', {}), /Partial "box" includes itself without a terminating condition: box > row > box/);
+        assert.equal(jf.render('{{> tree}}', { children: [{ children: [] }] }), '<ul><li><ul></ul></li></ul>');
+      });
+
+      it('reports a partial that is not registered', () => {
+        assert.throws(() => engine().render('{{> missing}}', {}), /Partial "missing" is not registered/);
+      });
+    });
+
+    describe('helpers', () => {
+      it('calls helpers with positional and hash arguments', () => {
+        const jf = engine().registerHelper('link', (text, options) => `${text}->${options.hash.to}`);
+        assert.equal(jf.render('{{link title to=url}}', { title: 'a', url: '/b' }), 'a-&gt;/b');
+        assert.equal(jf.render('{{{link title to=url}}}', { title: 'a', url: '/b' }), 'a->/b');
+      });
+
+      it('uses helpers as #if conditions', () => {
+        assert.equal(engine().render('{{#if (gt items.length 1)}}big{{/if}}{{#if (and a b)}}ab{{/if}}', { items: [1, 2], a: 1, b: 0 }), 'big');
+      });
+
+      it('leaves the in and instanceof operators to the expression', () => {
+        const context = { a: 'x', b: { x: 1 }, list: [], Array };
+        assert.equal(engine().render('{{a in b}} {{#if a in b}}in{{/if}} {{#if list instanceof Array}}array{{/if}}', context), 'true in array');
+      });
+    });
+
+    describe('filters', () => {
+      it('pipes output through built-in and custom filters', () => {
+        const jf = engine().registerFilter('twice', value => String(value).repeat(2));
+        assert.equal(jf.render('{{ name | upper | truncate:2 }} {{ price | number:2 }} {{ name | twice }}', { name: 'a<b', price: 3 }), 'A&lt;... 3.00 a&lt;ba&lt;b');
+      });
+
+      it('reports a filter that is not registered', () => {
+        assert.throws(() => engine().render('{{ a | nope }}', { a: 1 }), /Filter "nope" is not registered/);
+      });
+    });
+
+    it('compares loosely with == and !=', () => {
+      assert.equal(engine().render('{{ a == null }} {{ b == "1" }} {{ b != 1 }} {{ b === "1" }}', { a: undefined, b: 1 }), 'true true false false');
+    });
+
+    it('evaluates expressions without reaching the Function constructor', () => {
+      const jf = engine();
+      assert.equal(jf.render('{{ [1,2,3].map(x => x * 2).join("-") }} {{ a > b ? "A" : "B" }} {{ missing?.x }}', { a: 1, b: 2 }), '2-4-6 B ');
+      assert.throws(() => jf.render('{{ a.constructor.constructor("return 1")() }}', { a: {} }), /not allowed/);
+    });
+  });
+}
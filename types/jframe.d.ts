@@ -1,13 +1,206 @@
-declare module 'jframe' {
+declare module 'templating-engine' {
+  export interface JframeOptions {
+    mode?: 'compile' | 'interpret';
+    cacheSize?: number;
+    sanitize?: boolean | SanitizerOptions;
+    loaders?: TemplateLoader[];
+  }
+
+  /** Returns the source of a named template, or null when it has none */
+  export type TemplateLoader = (name: string) => string | null | undefined;
+
+  export function createDomLoader(doc?: Document): TemplateLoader;
+
+  export interface SanitizerOptions {
+    allowedTags?: string[];
+    allowedAttributes?: Record<string, string[]>;
+    allowedSchemes?: string[];
+  }
+
+  export class Sanitizer {
+    constructor(options?: SanitizerOptions);
+    sanitize(html: unknown): string;
+  }
+
+  export function sanitizeHtml(html: unknown, options?: SanitizerOptions): string;
+
+  export function toReadableStream(chunks: AsyncIterable<string> | Iterable<string>): ReadableStream<Uint8Array>;
+  export function pipeToWritable(
+    chunks: AsyncIterable<string> | Iterable<string>,
+    writable: { write(chunk: string): boolean; end(): void; on(event: string, listener: (...args: any[]) => void): unknown; off(event: string, listener: (...args: any[]) => void): unknown },
+    options?: { end?: boolean }
+  ): Promise<void>;
+
+  export interface CacheStats {
+    size: number;
+    maxSize: number;
+    hits: number;
+    misses: number;
+    evictions: number;
+    hitRate: number;
+  }
+
+  export interface RenderOptions {
+    binding?: boolean;
+    handlers?: object;
+    template?: string;
+  }
+
+  export interface HydrateOptions<T extends object = Record<string, any>> extends Omit<RenderOptions, 'template'> {
+    context?: T;
+    reactive?: boolean;
+    id?: string;
+  }
+
   export class Jframe {
-    constructor();
-    compile(template: string): (context: object) => string;
-    render(target: string | HTMLElement, context?: object, enableBinding?: boolean): string | HTMLElement;
+    constructor(options?: JframeOptions);
+    readonly mode: 'compile' | 'interpret';
+    compile(template: string, options: { name?: string; id?: string; stream: true }): (context: object) => Iterator<string>;
+    compile(template: string, options?: { name?: string; id?: string; stream?: false }): (context: object) => string;
+    compileToModule(template: string, options?: { name?: string; runtime?: string }): string;
+    registerPartial(name: string, template: string): this;
+    addLoader(loader: TemplateLoader): this;
+    loadTemplate(name: string): string;
+    registerHelper(name: string, fn: (...args: any[]) => any): this;
+    registerFilter(name: string, fn: (value: any, ...args: any[]) => any): this;
+    registerValidator(name: string, fn: Validator): this;
+    component(name: string, definition: ComponentDefinition): this;
+    render(target: string, context?: object): string;
+    render(target: HTMLElement, context?: object, options?: RenderOptions | boolean): HTMLElement;
+    render(name: string, context: object, element: HTMLElement, options?: Omit<RenderOptions, 'template'> | boolean): HTMLElement;
+    renderAsync(template: string, context?: object, options?: { name?: string }): Promise<string>;
+    renderStream(template: string, context?: object, options?: { name?: string }): AsyncIterable<string>;
+    renderToString(template: string, context?: object, options?: { id?: string; name?: string }): string;
+    hydrate<T extends object = Record<string, any>>(element: HTMLElement, template: string, options?: HydrateOptions<T>): T;
     update(element: HTMLElement, newContext?: object): HTMLElement;
+    validate(element: HTMLElement): boolean;
+    clearCache(): this;
+    getCacheStats(): CacheStats;
+    reactive<T extends object>(data: T): T;
+    computed<T extends object, V>(data: T, name: string, getter: (this: T, data: T) => V): T;
+    watch<T extends object, V = any>(data: T, source: string | ((this: T, data: T) => V), callback: (value: V, oldValue: V | undefined) => void, options?: WatchOptions): () => void;
+    nextTick(): Promise<void>;
     destroy(): void;
   }
+
+  export interface ComponentDefinition {
+    template: string;
+    /** Prop names, or names mapped to { default } (a function default is called per instance) */
+    props?: string[] | Record<string, { default?: unknown }>;
+    data?: (props: Record<string, any>) => object;
+    methods?: Record<string, (this: any, ...args: any[]) => any>;
+  }
+
+  /** Returns true when the value is valid, or an error message */
+  export type Validator = (this: any, value: any, ...args: string[]) => true | string | boolean;
+
+  export interface FieldValidity {
+    valid: boolean;
+    dirty: boolean;
+    errors: string[];
+  }
+
+  /** Written to bound data as `validity`, next to `errors` */
+  export interface Validity {
+    valid: boolean;
+    fields: Record<string, FieldValidity>;
+    forms: Record<string, boolean>;
+  }
+
+  export interface WatchOptions {
+    immediate?: boolean;
+    deep?: boolean;
+  }
+
+  export function reactive<T extends object>(data: T): T;
+  export function isReactive(value: unknown): boolean;
+  export function toRaw<T>(value: T): T;
+  export function nextTick(): Promise<void>;
+
+  export class Watcher {
+    constructor(callback: () => void, options?: { sync?: boolean });
+    readonly active: boolean;
+    collect<T>(fn: () => T): T;
+    schedule(): void;
+    stop(): void;
+  }
   
   export const jframe: Jframe;
+
+  /** Adds methods and state to a runtime; see Runtime.use() */
+  export type RuntimeExtension = (runtime: Runtime) => void;
+
+  export class Runtime {
+    constructor(options?: { resolvePartial?: (name: string) => ((context: object) => string) | null | undefined });
+    use(install: RuntimeExtension): this;
+    registerHelper(name: string, fn: (...args: any[]) => any): this;
+    registerFilter(name: string, fn: (value: any, ...args: any[]) => any): this;
+    registerPartial(name: string, render: (context: object) => string): this;
+    /** Available after use(installComponents) */
+    registerComponent?(name: string, definition: Omit<ComponentDefinition, 'template'> & { render: (context: object) => string }): this;
+    /** Available after use(installSanitizer) */
+    configureSanitizer?(options?: SanitizerOptions): this;
+    /** Available after use(installSanitizer) */
+    sanitize?(html: unknown): string;
+  }
+
+  /** Runtime used by precompiled template modules by default */
+  export const runtime: Runtime;
+
+  export const installComponents: RuntimeExtension;
+  export const installSanitizer: RuntimeExtension;
+  export const installAwait: RuntimeExtension;
+
+  export interface TemplateLocation {
+    line: number;
+    column: number;
+    offset: number;
+    end: number;
+  }
+
+  export class JframeError extends Error {
+    reason: string;
+    loc: TemplateLocation | null;
+    templateName: string | null;
+    source: string | null;
+    expression: string | null;
+    cause?: unknown;
+    readonly line: number | null;
+    readonly column: number | null;
+    readonly codeFrame: string;
+  }
+
+  export class JframeSyntaxError extends JframeError {}
+  export class JframeRenderError extends JframeError {}
+}
+
+declare module 'templating-engine/runtime' {
+  export { Runtime, runtime, RuntimeExtension } from 'templating-engine';
+}
+
+declare module 'templating-engine/runtime/components' {
+  import type { RuntimeExtension } from 'templating-engine';
+
+  export const installComponents: RuntimeExtension;
+}
+
+declare module 'templating-engine/runtime/sanitizer' {
+  import type { RuntimeExtension } from 'templating-engine';
+
+  export const installSanitizer: RuntimeExtension;
+}
+
+declare module 'templating-engine/runtime/await' {
+  import type { RuntimeExtension } from 'templating-engine';
+
+  export const installAwait: RuntimeExtension;
+}
+
+declare module 'templating-engine/file-loader' {
+  import type { TemplateLoader } from 'templating-engine';
+
+  export const TEMPLATE_FILE_EXTENSION: string;
+  export function createFileLoader(root: string, options?: { extension?: string; cache?: boolean }): TemplateLoader & { clear(): void };
 }
 
 // Template context interface